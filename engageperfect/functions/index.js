@@ -0,0 +1,26 @@
+/**
+ * File: index.js
+ * Version: 1.5.1
+ * Purpose: Cloud Functions for EngagePerfect.
+ * Billing and quota fields, the draft counter on users/{uid} and
+ * two-factor recovery codes are written only here, and only here can profiles be deleted; firestore.rules keeps the web app from changing
+ * them. Stripe price ids
+ * are read from functions/.env (STRIPE_PRICE_BASIC_MONTH,
+ * STRIPE_PRICE_PREMIUM_MONTH, STRIPE_PRICE_PREMIUM_YEAR,
+ * STRIPE_PRICE_FLEX_PACK). The generate endpoint forwards reserved
+ * generations to GENERATION_UPSTREAM_URL, sending GENERATION_UPSTREAM_KEY
+ * as a bearer token when it is set. Recovery codes are only accepted with
+ * the account password, checked using AUTH_WEB_API_KEY.
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+
+initializeApp();
+
+export { syncSubscriptionToProfile } from './src/subscriptions.js';
+export { grantFlexPackOnPayment } from './src/credits.js';
+export { reserveRequest } from './src/quota.js';
+export { generate } from './src/generation.js';
+export { createDraft, deleteDraft } from './src/drafts.js';
+export { eraseUserContent, deleteUserProfile } from './src/accounts.js';
+export { generateMfaRecoveryCodes, redeemMfaRecoveryCode } from './src/mfaRecovery.js';
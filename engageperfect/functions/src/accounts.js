@@ -0,0 +1,45 @@
+/**
+ * File: accounts.js
+ * Version: 1.0.0
+ * Purpose: Backend side of account erasure.
+ * eraseUserContent deletes the subcollections of users/{uid} for a user
+ * who has just signed in again. The profile document holds the quota
+ * counters, so it is only deleted by deleteUserProfile once the Auth user
+ * is gone and cannot recreate it with a fresh quota.
+ */
+
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { auth } from 'firebase-functions/v1';
+import { getFirestore } from 'firebase-admin/firestore';
+
+// Erasure must follow a fresh sign-in, as deleting the Auth user requires
+const RECENT_SIGN_IN_MS = 10 * 60 * 1000;
+
+/**
+ * Returns the profile document of a user
+ * @param {string} uid - User ID
+ * @returns {DocumentReference}
+ */
+const profileRef = (uid) => getFirestore().collection('users').doc(uid);
+
+export const eraseUserContent = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to delete your account.');
+  }
+  if (Date.now() - request.auth.token.auth_time * 1000 > RECENT_SIGN_IN_MS) {
+    throw new HttpsError('failed-precondition', 'Sign in again to delete your account.');
+  }
+
+  const db = getFirestore();
+  const subcollections = await profileRef(request.auth.uid).listCollections();
+  for (const collectionRef of subcollections) {
+    await db.recursiveDelete(collectionRef);
+  }
+
+  return { erased: subcollections.map((collectionRef) => collectionRef.id) };
+});
+
+// Also covers accounts removed from the Firebase console
+export const deleteUserProfile = auth.user().onDelete(async (user) => {
+  await getFirestore().recursiveDelete(profileRef(user.uid));
+});
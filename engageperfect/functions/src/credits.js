@@ -0,0 +1,200 @@
+/**
+ * File: credits.js
+ * Version: 1.3.0
+ * Purpose: Flex Pack credits and their ledger in users/{uid}/credit_ledger.
+ * Open packs and their remaining credits live on users/{uid}.flex_packs;
+ * every grant, consumption, refund and expiry is also written to the
+ * ledger for reconciliation. Packs are granted here when the Stripe
+ * extension records a succeeded payment, never by the web app.
+ */
+
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { logger } from 'firebase-functions';
+import { FieldValue, getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { CHECKOUT_PLANS } from './plans.js';
+import { CREDIT_LEDGER_TYPES, getFlexCreditBalance, partitionPacks } from './shared/flexPacks.js';
+
+/**
+ * Returns the ledger collection for a user
+ * @param {string} uid - User ID
+ * @returns {CollectionReference} Ledger collection
+ */
+const ledgerCollection = (uid) => getFirestore().collection('users').doc(uid).collection('credit_ledger');
+
+/**
+ * Queues ledger entries for packs that have expired with credits left.
+ * Must run inside a transaction that already read the user document.
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {string} uid - User ID
+ * @param {Array<Object>} expired - Expired packs from partitionPacks
+ * @param {number} balance - Balance of the packs that are still active
+ */
+const writeExpiryEntries = (transaction, uid, expired, balance) => {
+  expired.forEach((pack) => {
+    transaction.set(ledgerCollection(uid).doc(), {
+      type: CREDIT_LEDGER_TYPES.EXPIRE,
+      packId: pack.id,
+      amount: -pack.remaining,
+      balanceAfter: balance,
+      createdAt: FieldValue.serverTimestamp()
+    });
+  });
+};
+
+/**
+ * Uses one flex credit from the pack that expires first, expiring stale
+ * packs on the way. Must run inside a transaction that already read the
+ * user document; the caller's user document update is merged with ours.
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {string} uid - User ID
+ * @param {Object} data - users/{uid} document data read in the transaction
+ * @param {Date} [now] - Current time
+ * @returns {{packId: string|null, updates: Object}} Pack drawn from (null when
+ *   there are no credits) and the user document fields to write
+ */
+export const drawFlexCredit = (transaction, uid, data, now = new Date()) => {
+  const { open, active, expired } = partitionPacks(data, now);
+  const balance = active.reduce((sum, pack) => sum + pack.remaining, 0);
+
+  writeExpiryEntries(transaction, uid, expired, balance);
+
+  if (active.length === 0) {
+    const stale = open.length < (data.flex_packs || []).length;
+    return { packId: null, updates: stale ? { flex_packs: open } : {} };
+  }
+
+  const [pack] = active;
+
+  transaction.set(ledgerCollection(uid).doc(), {
+    type: CREDIT_LEDGER_TYPES.CONSUME,
+    packId: pack.id,
+    amount: -1,
+    balanceAfter: balance - 1,
+    createdAt: FieldValue.serverTimestamp()
+  });
+
+  return {
+    packId: pack.id,
+    updates: {
+      flex_packs: open.map((item) => (item.id === pack.id ? { ...item, remaining: item.remaining - 1 } : item))
+    }
+  };
+};
+
+/**
+ * Returns a flex credit to its pack after a failed generation. Skipped
+ * if the pack has expired since.
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {string} uid - User ID
+ * @param {Object} data - users/{uid} document data read in the transaction
+ * @param {string} packId - Pack the credit was drawn from
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} User document fields to write, or null to skip
+ */
+export const refundFlexCredit = (transaction, uid, data, packId, now = new Date()) => {
+  const packs = data.flex_packs || [];
+  const pack = packs.find((item) => item.id === packId);
+  if (!pack || pack.expiresAt.toDate() <= now) return null;
+
+  transaction.set(ledgerCollection(uid).doc(), {
+    type: CREDIT_LEDGER_TYPES.REFUND,
+    packId,
+    amount: 1,
+    balanceAfter: getFlexCreditBalance(data, now) + 1,
+    createdAt: FieldValue.serverTimestamp()
+  });
+
+  return {
+    flex_packs: packs.map((item) => (item.id === packId ? { ...item, remaining: item.remaining + 1 } : item))
+  };
+};
+
+/**
+ * Finds the Flex Pack a payment paid for and how many were bought. Only
+ * the Stripe line items the extension copies onto the payment are trusted;
+ * checkout metadata is written by the web app and could name any plan.
+ * @param {Object} payment - Payment document written by the Stripe extension
+ * @returns {{plan: Object, quantity: number}|null} Plan and packs paid for,
+ *   or null when the payment is not for a Flex Pack
+ */
+const findPaidFlexPack = (payment) => {
+  const items = payment.items || [];
+
+  for (const plan of CHECKOUT_PLANS) {
+    if (plan.mode !== 'payment' || !plan.priceId) continue;
+
+    const quantity = items
+      .filter((item) => item.price?.id === plan.priceId)
+      .reduce((sum, item) => sum + (item.quantity || 1), 0);
+    if (quantity > 0) return { plan, quantity };
+  }
+
+  return null;
+};
+
+/**
+ * Opens a pack for a succeeded Flex Pack payment. The grant entry uses the
+ * payment id as its document id so each payment is credited exactly once.
+ * @param {string} uid - User ID
+ * @param {Object} payment - Payment document written by the Stripe extension
+ * @returns {Promise<boolean>} Whether a new pack was granted
+ */
+const grantFlexPack = async (uid, payment) => {
+  const purchase = findPaidFlexPack(payment);
+  if (!purchase) return false;
+
+  const { plan, quantity } = purchase;
+  const credits = plan.requestAllowance * quantity;
+
+  const db = getFirestore();
+  const userDocRef = db.collection('users').doc(uid);
+  const grantRef = ledgerCollection(uid).doc(`grant_${payment.id}`);
+
+  return db.runTransaction(async (transaction) => {
+    const [userDoc, grantDoc] = await Promise.all([
+      transaction.get(userDocRef),
+      transaction.get(grantRef)
+    ]);
+    if (!userDoc.exists || grantDoc.exists) return false;
+
+    const now = new Date();
+    const data = userDoc.data();
+    const { open, active, expired } = partitionPacks(data, now);
+    const balance = active.reduce((sum, pack) => sum + pack.remaining, 0);
+    const grantedAt = payment.created ? new Date(payment.created * 1000) : now;
+    const expiresAt = Timestamp.fromDate(
+      new Date(grantedAt.getTime() + plan.creditValidityDays * 24 * 60 * 60 * 1000)
+    );
+
+    writeExpiryEntries(transaction, uid, expired, balance);
+
+    transaction.set(grantRef, {
+      type: CREDIT_LEDGER_TYPES.GRANT,
+      packId: payment.id,
+      planId: plan.id,
+      paymentId: payment.id,
+      amount: credits,
+      balanceAfter: balance + credits,
+      expiresAt,
+      createdAt: FieldValue.serverTimestamp()
+    });
+    transaction.update(userDocRef, {
+      flex_packs: [...open, { id: payment.id, remaining: credits, expiresAt }]
+    });
+
+    return true;
+  });
+};
+
+export const grantFlexPackOnPayment = onDocumentWritten(
+  'customers/{uid}/payments/{paymentId}',
+  async (event) => {
+    const paymentDoc = event.data?.after;
+    if (!paymentDoc?.exists || paymentDoc.data().status !== 'succeeded') return;
+
+    const { uid } = event.params;
+    if (await grantFlexPack(uid, { id: paymentDoc.id, ...paymentDoc.data() })) {
+      logger.info(`Granted Flex Pack for payment ${paymentDoc.id} to ${uid}`);
+    }
+  }
+);
@@ -0,0 +1,100 @@
+/**
+ * File: drafts.js
+ * Version: 1.0.0
+ * Purpose: Creates and deletes drafts in users/{uid}/drafts.
+ * Both run in a transaction with the users/{uid}.stats.draftsSaved
+ * counter so the per-plan cap always holds. The web app calls them
+ * through src/services/draftService.js; it can only edit existing drafts
+ * and cannot change the counter itself.
+ */
+
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { FieldValue, getFirestore } from 'firebase-admin/firestore';
+import { PLAN_TYPES } from './plans.js';
+
+// Editors that save drafts
+const DRAFT_TYPES = ['caption', 'blog'];
+
+/**
+ * Returns the signed-in user's id or rejects the call
+ * @param {Object} request - Callable request
+ * @returns {string} User ID
+ */
+const requireUid = (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to save drafts.');
+  }
+  return request.auth.uid;
+};
+
+export const createDraft = onCall(async (request) => {
+  const uid = requireUid(request);
+  const { type, title = '', data } = request.data || {};
+  if (!DRAFT_TYPES.includes(type) || typeof title !== 'string' || typeof data !== 'object' || data === null) {
+    throw new HttpsError('invalid-argument', 'A draft needs a type, a title and editor data.');
+  }
+
+  const db = getFirestore();
+  const userDocRef = db.collection('users').doc(uid);
+  const draftRef = userDocRef.collection('drafts').doc();
+
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userDocRef);
+    if (!userDoc.exists) {
+      throw new HttpsError('failed-precondition', 'Your profile could not be found. Please reload and try again.', {
+        code: 'drafts/no-profile'
+      });
+    }
+
+    const userData = userDoc.data();
+    const count = userData.stats?.draftsSaved || 0;
+    const limit = (PLAN_TYPES[userData.plan_type] || PLAN_TYPES.free).draftLimit;
+
+    if (count >= limit) {
+      throw new HttpsError(
+        'resource-exhausted',
+        `You have reached your limit of ${limit} drafts. Delete a draft to save a new one.`,
+        { code: 'drafts/limit-reached', count, limit }
+      );
+    }
+
+    transaction.set(draftRef, {
+      type,
+      title,
+      data,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    transaction.update(userDocRef, { 'stats.draftsSaved': count + 1 });
+    return { draftId: draftRef.id };
+  });
+});
+
+export const deleteDraft = onCall(async (request) => {
+  const uid = requireUid(request);
+  const { draftId } = request.data || {};
+  if (typeof draftId !== 'string' || !draftId) {
+    throw new HttpsError('invalid-argument', 'A draft id is required.');
+  }
+
+  const db = getFirestore();
+  const userDocRef = db.collection('users').doc(uid);
+  const draftRef = userDocRef.collection('drafts').doc(draftId);
+
+  return db.runTransaction(async (transaction) => {
+    const [userDoc, draftDoc] = await Promise.all([
+      transaction.get(userDocRef),
+      transaction.get(draftRef)
+    ]);
+
+    // Already deleted, e.g. from another tab
+    if (!draftDoc.exists) return { deleted: false };
+
+    transaction.delete(draftRef);
+    if (userDoc.exists) {
+      const count = userDoc.data().stats?.draftsSaved || 0;
+      transaction.update(userDocRef, { 'stats.draftsSaved': Math.max(0, count - 1) });
+    }
+    return { deleted: true };
+  });
+});
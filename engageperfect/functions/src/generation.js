@@ -0,0 +1,161 @@
+/**
+ * File: generation.js
+ * Version: 1.0.0
+ * Purpose: Generation endpoint for the web app's HTTP provider.
+ * Checks the caller's Firebase ID token, spends one call of the quota
+ * reservation named in the request and forwards the request to the model
+ * service at GENERATION_UPSTREAM_URL, streaming its answer back. When the
+ * model service fails the call is recorded against the reservation, which
+ * gives the request back once every call has failed. Calls the user
+ * cancels are not refunded.
+ */
+
+import { onRequest } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { getAuth } from 'firebase-admin/auth';
+import { recordFailedCall, spendReservedCall } from './quota.js';
+
+/**
+ * Sends a JSON error in the shape the HTTP provider reads
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code, e.g. 'quota/no-reservation'
+ * @param {string} message - Message that can be shown to the user
+ */
+const sendError = (res, status, code, message) => {
+  res.status(status).json({ error: { code, message } });
+};
+
+/**
+ * Returns the user id from the request's bearer token
+ * @param {Object} req - Express request
+ * @returns {Promise<string|null>} User ID, or null when the token is missing or invalid
+ */
+const verifyCaller = async (req) => {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) return null;
+
+  try {
+    const { uid } = await getAuth().verifyIdToken(match[1]);
+    return uid;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Checks whether a line of the upstream NDJSON stream reports an error
+ * @param {string} line - One line of the stream
+ * @returns {boolean}
+ */
+const isErrorLine = (line) => {
+  try {
+    return Boolean(JSON.parse(line).error);
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * Forwards the upstream response to the caller
+ * @param {Response} upstream - Response from the model service
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} Whether the upstream answer was complete and error free
+ */
+const relayResponse = async (upstream, res) => {
+  const contentType = upstream.headers.get('Content-Type') || 'application/x-ndjson';
+  res.status(200).set('Content-Type', contentType);
+
+  if (contentType.includes('application/json')) {
+    const body = await upstream.text();
+    res.send(body);
+    return !isErrorLine(body);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let failed = false;
+
+  for await (const chunk of upstream.body) {
+    res.write(chunk);
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    failed = failed || lines.some((line) => line.trim() && isErrorLine(line));
+  }
+
+  failed = failed || Boolean(buffer.trim() && isErrorLine(buffer));
+  res.end();
+  return !failed;
+};
+
+export const generate = onRequest({ cors: true }, async (req, res) => {
+  if (req.method !== 'POST') {
+    sendError(res, 405, 'generation/method-not-allowed', 'Use POST to generate content.');
+    return;
+  }
+
+  const uid = await verifyCaller(req);
+  if (!uid) {
+    sendError(res, 401, 'generation/unauthenticated', 'Sign in to generate content.');
+    return;
+  }
+
+  const { reservationId, ...request } = req.body || {};
+  if (!(await spendReservedCall(uid, reservationId, request.task))) {
+    sendError(res, 403, 'quota/no-reservation', 'This generation was not reserved. Please try again.');
+    return;
+  }
+
+  const upstreamUrl = process.env.GENERATION_UPSTREAM_URL;
+  const upstreamKey = process.env.GENERATION_UPSTREAM_KEY;
+  const controller = new AbortController();
+  let canceled = false;
+  let succeeded = false;
+
+  // Stop the model call when the user cancels the generation
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      canceled = true;
+      controller.abort();
+    }
+  });
+
+  try {
+    if (!upstreamUrl) {
+      sendError(res, 503, 'generation/not-configured', 'Content generation is not set up yet. Please try again later.');
+    } else {
+      const upstream = await fetch(upstreamUrl, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/x-ndjson, application/json',
+          ...(upstreamKey && { Authorization: `Bearer ${upstreamKey}` })
+        },
+        body: JSON.stringify(request)
+      });
+
+      if (!upstream.ok) {
+        sendError(res, upstream.status === 429 ? 429 : 502, 'generation/upstream-error', 'The generation service is unavailable. Please try again.');
+      } else {
+        succeeded = await relayResponse(upstream, res);
+      }
+    }
+  } catch (error) {
+    if (!canceled) {
+      logger.error('Generation upstream failed', { uid, task: request.task, error: error.message });
+      if (!res.headersSent) {
+        sendError(res, 502, 'generation/upstream-error', 'The generation service is unavailable. Please try again.');
+      } else {
+        res.end(`${JSON.stringify({ error: { message: 'The generation stream was interrupted.' } })}\n`);
+      }
+    }
+  }
+
+  if (!succeeded && !canceled) {
+    await recordFailedCall(uid, reservationId).catch((error) => {
+      logger.error('Could not record failed generation', { uid, reservationId, error: error.message });
+    });
+  }
+});
@@ -0,0 +1,237 @@
+/**
+ * File: mfaRecovery.js
+ * Version: 1.1.0
+ * Purpose: One-time recovery codes for TOTP two-factor authentication.
+ * generateMfaRecoveryCodes issues a new set after enrollment and stores
+ * only their SHA-256 hashes in users/{uid}/security/mfa_recovery.
+ * redeemMfaRecoveryCode checks a code during sign-in and removes the
+ * second factor so the user can sign in with their password and enroll
+ * again. The caller must also pass the account password, which is checked
+ * with the Identity Toolkit API using AUTH_WEB_API_KEY. Repeated
+ * wrong passwords or codes lock recovery for that caller for a while;
+ * attempts are counted per account and IP address in
+ * mfa_recovery_attempts, which only the backend can read.
+ */
+
+import { createHash, randomInt } from 'node:crypto';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { getAuth } from 'firebase-admin/auth';
+import { FieldValue, getFirestore, Timestamp } from 'firebase-admin/firestore';
+
+// Recovery codes issued per enrollment and their shape (XXXXX-XXXXX)
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_GROUP_LENGTH = 5;
+
+// Letters and digits that cannot be confused with each other
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Codes can only be issued shortly after signing in, as enrollment requires
+const RECENT_SIGN_IN_MS = 10 * 60 * 1000;
+
+// Wrong codes allowed before recovery is locked, and for how long
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Checks an email and password without creating a session
+const PASSWORD_SIGN_IN_URL = 'https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword';
+
+/**
+ * Returns the recovery code document for a user
+ * @param {string} uid - User ID
+ * @returns {DocumentReference}
+ */
+const recoveryCodesRef = (uid) => getFirestore().collection('users').doc(uid).collection('security').doc('mfa_recovery');
+
+/**
+ * Returns the failed-attempt counter for one caller of one account. The id
+ * is a hash so IP addresses are not stored.
+ * @param {string} uid - User ID
+ * @param {string} ip - Caller IP address
+ * @returns {DocumentReference}
+ */
+const recoveryAttemptsRef = (uid, ip) => (
+  getFirestore()
+    .collection('mfa_recovery_attempts')
+    .doc(createHash('sha256').update(`${uid}:${ip}`).digest('hex'))
+);
+
+/**
+ * Upper-cases a recovery code and strips spaces and dashes
+ * @param {string} code - Code as typed by the user
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Hashes a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 of the normalized code
+ */
+const hashRecoveryCode = (code) => createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Generates one random recovery code
+ * @returns {string} Code like 'K7MPX-2QW9R'
+ */
+const generateRecoveryCode = () => {
+  const characters = Array.from(
+    { length: RECOVERY_CODE_GROUP_LENGTH * 2 },
+    () => RECOVERY_CODE_ALPHABET[randomInt(RECOVERY_CODE_ALPHABET.length)]
+  );
+  return `${characters.slice(0, RECOVERY_CODE_GROUP_LENGTH).join('')}-${characters.slice(RECOVERY_CODE_GROUP_LENGTH).join('')}`;
+};
+
+/**
+ * Whether a user has an authenticator app enrolled
+ * @param {UserRecord} user - Firebase Auth user
+ * @returns {boolean}
+ */
+const hasTotpFactor = (user) => (
+  (user.multiFactor?.enrolledFactors || []).some((factor) => factor.factorId === 'totp')
+);
+
+/**
+ * Rejects a caller whose recovery attempts are locked
+ * @param {DocumentReference} attemptsRef - Caller's attempt counter
+ * @returns {Promise<void>}
+ */
+const assertNotLockedOut = async (attemptsRef) => {
+  const attemptsDoc = await attemptsRef.get();
+  const lockedUntil = attemptsDoc.exists ? attemptsDoc.data().locked_until : null;
+  if (lockedUntil && lockedUntil.toMillis() > Date.now()) {
+    throw new HttpsError('resource-exhausted', 'Too many wrong recovery codes. Please try again later.');
+  }
+};
+
+/**
+ * Counts a failed attempt and locks the caller out after too many
+ * @param {DocumentReference} attemptsRef - Caller's attempt counter
+ * @returns {Promise<void>}
+ */
+const recordFailedAttempt = async (attemptsRef) => {
+  await getFirestore().runTransaction(async (transaction) => {
+    const attemptsDoc = await transaction.get(attemptsRef);
+    const failedAttempts = (attemptsDoc.exists ? attemptsDoc.data().failed_attempts : 0) + 1;
+    const lockout = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+    transaction.set(attemptsRef, {
+      failed_attempts: lockout ? 0 : failedAttempts,
+      locked_until: lockout ? Timestamp.fromMillis(Date.now() + LOCKOUT_MS) : null,
+      // Removed by a TTL policy (firestore.indexes.json) once stale
+      expires_at: Timestamp.fromMillis(Date.now() + LOCKOUT_MS * 2)
+    });
+  });
+};
+
+/**
+ * Checks the account password. Accounts with a second factor answer a
+ * correct password with a pending second-factor credential instead of a
+ * session, which is the proof needed here.
+ * @param {UserRecord} user - Account the code is for
+ * @param {string} email - Email as typed by the user
+ * @param {string} password - Password as typed by the user
+ * @returns {Promise<boolean>} Whether the password belongs to the account
+ */
+const verifyFirstFactor = async (user, email, password) => {
+  const apiKey = process.env.AUTH_WEB_API_KEY;
+  if (!apiKey) {
+    logger.error('AUTH_WEB_API_KEY is not set; recovery codes cannot be checked');
+    throw new HttpsError('unavailable', 'Recovery codes cannot be checked right now. Please try again later.');
+  }
+
+  const response = await fetch(`${PASSWORD_SIGN_IN_URL}?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password, returnSecureToken: true })
+  });
+  if (!response.ok) return false;
+
+  const result = await response.json();
+  return Boolean(result.mfaPendingCredential) && (!result.localId || result.localId === user.uid);
+};
+
+// Same answer for unknown accounts, wrong passwords and wrong codes so
+// accounts cannot be probed
+const invalidCodeError = () => new HttpsError('permission-denied', 'That recovery code is not valid or has already been used.');
+
+export const generateMfaRecoveryCodes = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to create recovery codes.');
+  }
+  if (Date.now() - request.auth.token.auth_time * 1000 > RECENT_SIGN_IN_MS) {
+    throw new HttpsError('failed-precondition', 'Sign in again to create new recovery codes.');
+  }
+
+  const { uid } = request.auth;
+  if (!hasTotpFactor(await getAuth().getUser(uid))) {
+    throw new HttpsError('failed-precondition', 'Turn on two-factor authentication first.');
+  }
+
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await recoveryCodesRef(uid).set({
+    code_hashes: codes.map(hashRecoveryCode),
+    created_at: FieldValue.serverTimestamp()
+  });
+
+  return { codes };
+});
+
+export const redeemMfaRecoveryCode = onCall(async (request) => {
+  const { email, password, code } = request.data || {};
+  if ([email, password, code].some((value) => typeof value !== 'string' || !value)) {
+    throw new HttpsError('invalid-argument', 'An email, password and recovery code are required.');
+  }
+
+  let user;
+  try {
+    user = await getAuth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') throw invalidCodeError();
+    throw error;
+  }
+  if (!hasTotpFactor(user)) throw invalidCodeError();
+
+  const db = getFirestore();
+  const codesRef = recoveryCodesRef(user.uid);
+  const attemptsRef = recoveryAttemptsRef(user.uid, request.rawRequest.ip);
+
+  await assertNotLockedOut(attemptsRef);
+
+  // Only the owner of the first factor may use a code, so a stranger who
+  // knows the email can neither redeem codes nor lock the owner out
+  if (!(await verifyFirstFactor(user, email, password))) {
+    await recordFailedAttempt(attemptsRef);
+    throw invalidCodeError();
+  }
+
+  const hash = hashRecoveryCode(code);
+
+  // Use up the code in one step so concurrent attempts cannot reuse it
+  const redeemed = await db.runTransaction(async (transaction) => {
+    const codesDoc = await transaction.get(codesRef);
+    if (!codesDoc.exists) return false;
+
+    const data = codesDoc.data();
+    if (!data.code_hashes.includes(hash)) return false;
+
+    transaction.update(codesRef, {
+      code_hashes: data.code_hashes.filter((item) => item !== hash)
+    });
+    return true;
+  });
+
+  if (!redeemed) {
+    await recordFailedAttempt(attemptsRef);
+    throw invalidCodeError();
+  }
+
+  // The remaining codes belonged to the factor being removed
+  await getAuth().updateUser(user.uid, { multiFactor: { enrolledFactors: null } });
+  await codesRef.delete();
+  await attemptsRef.delete();
+  logger.info(`Removed two-factor authentication from ${user.uid} with a recovery code`);
+
+  return { success: true };
+});
@@ -0,0 +1,51 @@
+/**
+ * File: plans.js
+ * Version: 1.1.0
+ * Purpose: Server copy of the plan catalog in src/constants/plans.js.
+ * Only the fields the backend needs: request and draft limits per plan
+ * type and the allowance of each Stripe price. Price ids come from
+ * functions/.env so they match the VITE_STRIPE_PRICE_* values of the same
+ * deployment.
+ */
+
+// Monthly request limits and draft caps for each users/{uid}.plan_type
+export const PLAN_TYPES = {
+  free: { requestLimit: 25, draftLimit: 25 },
+  basic: { requestLimit: 75, draftLimit: 100 },
+  premium: { requestLimit: 250, draftLimit: 500 },
+  flexy: { requestLimit: 25, draftLimit: 25 }
+};
+
+// Plans that can be bought through Stripe Checkout
+export const CHECKOUT_PLANS = [
+  {
+    id: 'basic_month',
+    planType: 'basic',
+    priceId: process.env.STRIPE_PRICE_BASIC_MONTH,
+    mode: 'subscription',
+    requestAllowance: 75
+  },
+  {
+    id: 'premium_month',
+    planType: 'premium',
+    priceId: process.env.STRIPE_PRICE_PREMIUM_MONTH,
+    mode: 'subscription',
+    requestAllowance: 250
+  },
+  {
+    id: 'premium_year',
+    planType: 'premium',
+    priceId: process.env.STRIPE_PRICE_PREMIUM_YEAR,
+    mode: 'subscription',
+    requestAllowance: 3000
+  },
+  {
+    id: 'flexy',
+    planType: 'flexy',
+    priceId: process.env.STRIPE_PRICE_FLEX_PACK,
+    mode: 'payment',
+    requestAllowance: 50,
+    // Flex credits expire this many days after purchase
+    creditValidityDays: 365
+  }
+];
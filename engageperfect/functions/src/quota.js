@@ -0,0 +1,215 @@
+/**
+ * File: quota.js
+ * Version: 1.3.0
+ * Purpose: Request quota enforcement for content generation.
+ * reserveRequest takes one request from users/{uid}.requests_used, or a
+ * Flex Pack credit once the monthly allowance is used up, and records the
+ * reservation in users/{uid}/quota_reservations. Each reservation covers
+ * a number of calls to one generation task. The generate function
+ * (generation.js) spends those calls and gives the request back once
+ * when every call failed upstream; the web app cannot refund requests.
+ * Accounts with an unverified email cannot reserve requests.
+ */
+
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { FieldValue, getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { PLAN_TYPES } from './plans.js';
+import { drawFlexCredit, refundFlexCredit } from './credits.js';
+import { getQuotaCycle, toDate } from './shared/quotaCycle.js';
+
+// Requests included in the free plan
+const DEFAULT_REQUEST_LIMIT = PLAN_TYPES.free.requestLimit;
+
+// Reservations can be spent for this long; a TTL policy on expiresAt
+// (firestore.indexes.json) removes them afterwards
+const RESERVATION_TTL_MS = 60 * 60 * 1000;
+
+// Calls one reservation may cover per task. Drafting a blog post spends
+// one request on a call per outline section.
+const TASK_CALL_LIMITS = {
+  caption: 1,
+  blog_outline: 1,
+  blog_section: 30,
+  blog_meta: 1
+};
+
+/**
+ * Builds an error the web app turns back into a QuotaError
+ * @param {string} status - HttpsError status, e.g. 'resource-exhausted'
+ * @param {string} code - Quota error code, e.g. 'quota/exhausted'
+ * @param {string} message - Message that can be shown to the user
+ * @param {Object} [details] - Usage details; dates as epoch milliseconds
+ * @returns {HttpsError}
+ */
+const quotaError = (status, code, message, details = {}) => (
+  new HttpsError(status, message, { code, ...details })
+);
+
+/**
+ * Returns the signed-in user's id or rejects the call
+ * @param {Object} request - Callable request
+ * @returns {string} User ID
+ */
+const requireUid = (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to generate content.');
+  }
+  return request.auth.uid;
+};
+
+/**
+ * Returns the reservation document for a user
+ * @param {string} uid - User ID
+ * @param {string} reservationId - Reservation ID
+ * @returns {DocumentReference}
+ */
+const reservationRef = (uid, reservationId) => (
+  getFirestore().collection('users').doc(uid).collection('quota_reservations').doc(reservationId)
+);
+
+export const reserveRequest = onCall(async (request) => {
+  const uid = requireUid(request);
+  if (!request.auth.token.email_verified) {
+    throw quotaError('failed-precondition', 'quota/email-unverified', 'Verify your email address to start generating content.');
+  }
+
+  const { task, calls = 1 } = request.data || {};
+  const callLimit = TASK_CALL_LIMITS[task];
+  if (!callLimit) {
+    throw new HttpsError('invalid-argument', 'A generation task is required.');
+  }
+  if (!Number.isInteger(calls) || calls < 1 || calls > callLimit) {
+    throw new HttpsError('invalid-argument', `A ${task} request covers 1 to ${callLimit} calls.`);
+  }
+
+  const db = getFirestore();
+  const userDocRef = db.collection('users').doc(uid);
+  const newReservationRef = userDocRef.collection('quota_reservations').doc();
+
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userDocRef);
+    if (!userDoc.exists) {
+      throw quotaError('failed-precondition', 'quota/no-profile', 'Your profile could not be found. Please reload and try again.');
+    }
+
+    const data = userDoc.data();
+    const limit = data.requests_limit ?? DEFAULT_REQUEST_LIMIT;
+    const { cycleStart, resetsAt, expired } = getQuotaCycle(data);
+    const used = expired ? 0 : data.requests_used || 0;
+    const cycleUpdates = {
+      requests_used: used,
+      quota_cycle_start: Timestamp.fromDate(cycleStart)
+    };
+    const reservation = {
+      task,
+      callsAllowed: calls,
+      callsLeft: calls,
+      callsFailed: 0,
+      cycleStart: Timestamp.fromDate(cycleStart),
+      createdAt: FieldValue.serverTimestamp(),
+      expiresAt: Timestamp.fromMillis(Date.now() + RESERVATION_TTL_MS)
+    };
+
+    if (used < limit) {
+      transaction.update(userDocRef, { ...cycleUpdates, requests_used: used + 1 });
+      transaction.set(newReservationRef, { ...reservation, source: 'allowance', packId: null });
+      return { reservationId: newReservationRef.id, source: 'allowance' };
+    }
+
+    const { packId, updates } = drawFlexCredit(transaction, uid, data);
+    if (!packId) {
+      throw quotaError(
+        'resource-exhausted',
+        'quota/exhausted',
+        `You have used all ${limit} requests for this billing cycle.`,
+        { used, limit, resetsAt: resetsAt.getTime(), flexCredits: 0 }
+      );
+    }
+
+    transaction.update(userDocRef, { ...cycleUpdates, ...updates });
+    transaction.set(newReservationRef, { ...reservation, source: 'flex', packId });
+    return { reservationId: newReservationRef.id, source: 'flex' };
+  });
+});
+
+/**
+ * Spends one call of a reservation before a generation is sent upstream
+ * @param {string} uid - User ID
+ * @param {string} reservationId - Reservation from reserveRequest
+ * @param {string} task - Generation task about to run
+ * @returns {Promise<boolean>} Whether the reservation covered the call
+ */
+export const spendReservedCall = async (uid, reservationId, task) => {
+  if (typeof reservationId !== 'string' || !reservationId) return false;
+
+  const db = getFirestore();
+  const ref = reservationRef(uid, reservationId);
+
+  return db.runTransaction(async (transaction) => {
+    const reservationDoc = await transaction.get(ref);
+    if (!reservationDoc.exists) return false;
+
+    const reservation = reservationDoc.data();
+    if (
+      reservation.task !== task
+      || reservation.callsLeft < 1
+      || reservation.expiresAt.toMillis() <= Date.now()
+    ) {
+      return false;
+    }
+
+    transaction.update(ref, { callsLeft: reservation.callsLeft - 1 });
+    return true;
+  });
+};
+
+/**
+ * Records a call that failed upstream and gives the request back once
+ * every call of the reservation has failed. Allowance refunds are skipped
+ * if the cycle has reset since the reservation was made; flex refunds if
+ * the pack has expired.
+ * @param {string} uid - User ID
+ * @param {string} reservationId - Reservation the call was spent from
+ * @returns {Promise<boolean>} Whether the request was refunded
+ */
+export const recordFailedCall = async (uid, reservationId) => {
+  const db = getFirestore();
+  const userDocRef = db.collection('users').doc(uid);
+  const ref = reservationRef(uid, reservationId);
+
+  return db.runTransaction(async (transaction) => {
+    const [userDoc, reservationDoc] = await Promise.all([
+      transaction.get(userDocRef),
+      transaction.get(ref)
+    ]);
+    if (!userDoc.exists || !reservationDoc.exists) return false;
+
+    const data = userDoc.data();
+    const reservation = reservationDoc.data();
+    const callsFailed = reservation.callsFailed + 1;
+
+    if (callsFailed < reservation.callsAllowed) {
+      transaction.update(ref, { callsFailed });
+      return false;
+    }
+
+    // Every call failed, so the reservation is closed and refunded
+    transaction.delete(ref);
+
+    if (reservation.source === 'flex') {
+      const updates = refundFlexCredit(transaction, uid, data, reservation.packId);
+      if (updates) transaction.update(userDocRef, updates);
+      return Boolean(updates);
+    }
+
+    const currentStart = toDate(data.quota_cycle_start);
+    if (!currentStart || currentStart.getTime() !== reservation.cycleStart.toMillis()) {
+      return false;
+    }
+
+    transaction.update(userDocRef, {
+      requests_used: Math.max(0, (data.requests_used || 0) - 1)
+    });
+    return true;
+  });
+};
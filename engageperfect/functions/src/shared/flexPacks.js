@@ -0,0 +1,47 @@
+/**
+ * File: flexPacks.js
+ * Version: 1.0.0
+ * Purpose: Reads Flex Pack credits off a user document.
+ * Shared by the credit functions and the web app's creditService, so it
+ * must stay free of Firebase SDK imports. Timestamps from either SDK work.
+ */
+
+// Ledger entry types
+export const CREDIT_LEDGER_TYPES = {
+  GRANT: 'grant',
+  CONSUME: 'consume',
+  REFUND: 'refund',
+  EXPIRE: 'expire'
+};
+
+/**
+ * Splits packs into those to keep, those still usable and those that
+ * expired with credits left. Used-up packs are kept until they expire so
+ * a refund can still find them.
+ * @param {Object} data - users/{uid} document data
+ * @param {Date} now - Current time
+ * @returns {{open: Array<Object>, active: Array<Object>, expired: Array<Object>}}
+ *   Packs, soonest expiry first
+ */
+export const partitionPacks = (data, now) => {
+  const packs = [...(data.flex_packs || [])].sort(
+    (a, b) => a.expiresAt.toMillis() - b.expiresAt.toMillis()
+  );
+  const open = packs.filter((pack) => pack.expiresAt.toDate() > now);
+
+  return {
+    open,
+    active: open.filter((pack) => pack.remaining > 0),
+    expired: packs.filter((pack) => pack.remaining > 0 && pack.expiresAt.toDate() <= now)
+  };
+};
+
+/**
+ * Sums the usable flex credits on a user document
+ * @param {Object} data - users/{uid} document data
+ * @param {Date} [now] - Current time
+ * @returns {number} Flex credits available
+ */
+export const getFlexCreditBalance = (data, now = new Date()) => (
+  partitionPacks(data || {}, now).active.reduce((sum, pack) => sum + pack.remaining, 0)
+);
@@ -0,0 +1,72 @@
+/**
+ * File: quotaCycle.js
+ * Version: 1.0.0
+ * Purpose: Works out which monthly quota cycle a user is in.
+ * Shared by the quota functions and the web app's quotaService, so it must
+ * stay free of Firebase SDK imports. Timestamps from either SDK work.
+ */
+
+/**
+ * Converts a Firestore timestamp or Date into a Date
+ * @param {Timestamp|Date|null} value - Stored value
+ * @returns {Date|null} Date, or null when unset
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value instanceof Date) return value;
+  return null;
+};
+
+/**
+ * Adds calendar months to a date
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} New date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+/**
+ * Works out the current quota cycle for a user document.
+ * Paid plans reset on next_billing_date; everyone else resets monthly
+ * from the start of their first cycle.
+ * @param {Object} data - users/{uid} document data
+ * @param {Date} now - Current time
+ * @returns {{cycleStart: Date, resetsAt: Date, expired: boolean}} Cycle info
+ */
+export const getQuotaCycle = (data, now = new Date()) => {
+  const storedStart = toDate(data.quota_cycle_start) || toDate(data.createdAt) || now;
+  const billingDate = toDate(data.next_billing_date);
+
+  // A billing date after the cycle start marks the next renewal
+  if (billingDate && billingDate > storedStart) {
+    if (billingDate > now) {
+      return { cycleStart: storedStart, resetsAt: billingDate, expired: false };
+    }
+
+    // Renewals can be missed for several periods; skip past all of them
+    let periods = 0;
+    while (addMonths(billingDate, periods + 1) <= now) {
+      periods += 1;
+    }
+    const cycleStart = addMonths(billingDate, periods);
+    return { cycleStart, resetsAt: addMonths(cycleStart, 1), expired: true };
+  }
+
+  // Otherwise step forward one month at a time until the cycle contains now
+  let months = 0;
+  while (addMonths(storedStart, months + 1) <= now) {
+    months += 1;
+  }
+  const cycleStart = addMonths(storedStart, months);
+
+  return {
+    cycleStart,
+    resetsAt: addMonths(cycleStart, 1),
+    expired: months > 0
+  };
+};
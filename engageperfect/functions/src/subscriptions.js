@@ -0,0 +1,131 @@
+/**
+ * File: subscriptions.js
+ * Version: 1.0.0
+ * Purpose: Mirrors Stripe subscription state onto users/{uid}.
+ * Runs whenever the Stripe extension writes customers/{uid}/subscriptions
+ * and updates the plan, request limit and renewal date that quotas read.
+ * Users without any subscription documents are never touched, so accounts
+ * on the free plan or with manually assigned plans keep their settings.
+ */
+
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { logger } from 'firebase-functions';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { CHECKOUT_PLANS, PLAN_TYPES } from './plans.js';
+
+// Statuses that still grant the plan's features
+const ENTITLED_STATUSES = ['trialing', 'active', 'past_due'];
+
+/**
+ * Converts a Firestore timestamp into a Date
+ * @param {Timestamp|null} value - Stored value
+ * @returns {Date|null} Date, or null when unset
+ */
+const toDate = (value) => (value?.toDate ? value.toDate() : null);
+
+/**
+ * Returns the Stripe price id of a subscription document
+ * @param {Object} subscription - Subscription document data
+ * @returns {string|null} Price id
+ */
+const getPriceId = (subscription) => subscription.items?.[0]?.price?.id || subscription.price?.id || null;
+
+/**
+ * Derives the plan state from the user's Stripe subscriptions: the newest
+ * entitled one decides, otherwise the newest of any status. Mirrors
+ * deriveSubscriptionState in src/services/subscriptionService.js.
+ * @param {Array<Object>} subscriptions - Subscription documents with ids (at least one)
+ * @returns {Object} Plan type, status, renewal and allowance; planKnown is
+ *   false for a live subscription to a price missing from the catalog
+ */
+const deriveSubscriptionState = (subscriptions) => {
+  const byNewest = [...subscriptions].sort(
+    (a, b) => (toDate(b.created)?.getTime() || 0) - (toDate(a.created)?.getTime() || 0)
+  );
+  const subscription = byNewest.find((item) => ENTITLED_STATUSES.includes(item.status)) || byNewest[0];
+
+  const plan = CHECKOUT_PLANS.find((item) => item.priceId && item.priceId === getPriceId(subscription));
+  const entitled = ENTITLED_STATUSES.includes(subscription.status) && Boolean(plan);
+
+  return {
+    subscriptionId: subscription.id,
+    planType: entitled ? plan.planType : 'free',
+    status: subscription.status,
+    renewsAt: entitled ? toDate(subscription.current_period_end) : null,
+    periodStart: entitled ? toDate(subscription.current_period_start) : null,
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+    requestAllowance: entitled ? plan.requestAllowance : PLAN_TYPES.free.requestLimit,
+    planKnown: Boolean(plan) || !ENTITLED_STATUSES.includes(subscription.status)
+  };
+};
+
+/**
+ * Works out the user document fields that differ from the subscription
+ * state. A new billing period starts a new quota cycle with the usage
+ * counter reset.
+ * @param {Object} data - users/{uid} document data
+ * @param {Object} state - Result of deriveSubscriptionState
+ * @returns {Object} Fields to update; empty when nothing changed
+ */
+const getProfileUpdates = (data, state) => {
+  const updates = {};
+
+  if (data.plan_type !== state.planType) {
+    updates.plan_type = state.planType;
+  }
+  if ((data.requests_limit ?? null) !== state.requestAllowance) {
+    updates.requests_limit = state.requestAllowance;
+  }
+  if ((data.subscription_status ?? 'none') !== state.status) {
+    updates.subscription_status = state.status;
+  }
+  if (Boolean(data.cancel_at_period_end) !== state.cancelAtPeriodEnd) {
+    updates.cancel_at_period_end = state.cancelAtPeriodEnd;
+  }
+
+  const storedRenewal = toDate(data.next_billing_date)?.getTime() ?? null;
+  if (storedRenewal !== (state.renewsAt?.getTime() ?? null)) {
+    updates.next_billing_date = state.renewsAt ? Timestamp.fromDate(state.renewsAt) : null;
+  }
+
+  const storedCycleStart = toDate(data.quota_cycle_start);
+  if (state.periodStart && (!storedCycleStart || state.periodStart > storedCycleStart)) {
+    updates.quota_cycle_start = Timestamp.fromDate(state.periodStart);
+    updates.requests_used = 0;
+  }
+
+  return updates;
+};
+
+export const syncSubscriptionToProfile = onDocumentWritten(
+  'customers/{uid}/subscriptions/{subscriptionId}',
+  async (event) => {
+    const { uid } = event.params;
+    const db = getFirestore();
+
+    const snapshot = await db.collection('customers').doc(uid).collection('subscriptions').get();
+    if (snapshot.empty) return;
+
+    const state = deriveSubscriptionState(
+      snapshot.docs.map((subscriptionDoc) => ({ id: subscriptionDoc.id, ...subscriptionDoc.data() }))
+    );
+
+    // A live subscription to an unknown price usually means misconfigured
+    // price ids; never downgrade the user because of it
+    if (!state.planKnown) {
+      logger.warn(`Subscription ${state.subscriptionId} of ${uid} uses a price that is not in the plan catalog`);
+      return;
+    }
+
+    const userDocRef = db.collection('users').doc(uid);
+    await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userDocRef);
+      if (!userDoc.exists) return;
+
+      const updates = getProfileUpdates(userDoc.data(), state);
+      if (Object.keys(updates).length > 0) {
+        transaction.update(userDocRef, updates);
+      }
+    });
+  }
+);
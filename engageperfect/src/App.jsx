@@ -1,6 +1,6 @@
 /**
  * File: App.jsx
- * Version: 1.2.0
+ * Version: 1.10.0
  * Purpose: Main application component with routing and theme provider.
  * Updated to show navbar globally for all users.
  */
@@ -8,12 +8,20 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { ThemeProvider } from './context/ThemeProvider';
 import { AuthProvider, RequireAuth } from './context/AuthContext';
+import { SubscriptionProvider } from './context/SubscriptionContext';
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
 import ForgotPassword from './pages/ForgotPassword';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
+import CaptionGenerator from './pages/CaptionGenerator';
+import BlogGenerator from './pages/BlogGenerator';
+import ContentLibrary from './pages/ContentLibrary';
+import Drafts from './pages/Drafts';
+import Settings from './pages/Settings';
+import VerifyEmail from './pages/VerifyEmail';
+import AuthAction from './pages/AuthAction';
 import { Toaster } from 'react-hot-toast';
 
 function App() {
@@ -21,44 +29,91 @@ function App() {
     <Router>
       <ThemeProvider>
         <AuthProvider>
-          <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
-            {/* Global Navbar - visible for all routes */}
-            <Navbar />
+          <SubscriptionProvider>
+            <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
+              {/* Global Navbar - visible for all routes */}
+              <Navbar />
             
-            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-20 pb-10">
-              <Routes>
-                {/* Public routes */}
-                <Route path="/login" element={<Login />} />
-                <Route path="/signup" element={<Signup />} />
-                <Route path="/forgot-password" element={<ForgotPassword />} />
+              <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-20 pb-10">
+                <Routes>
+                  {/* Public routes */}
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/signup" element={<Signup />} />
+                  <Route path="/forgot-password" element={<ForgotPassword />} />
+                  <Route path="/auth/action" element={<AuthAction />} />
                 
-                {/* Protected routes */}
-                <Route path="/dashboard" element={
-                  <RequireAuth>
-                    <Dashboard />
-                  </RequireAuth>
-                } />
+                  {/* Signed in, email not yet verified */}
+                  <Route path="/verify-email" element={
+                    <RequireAuth>
+                      <VerifyEmail />
+                    </RequireAuth>
+                  } />
                 
-                <Route path="/profile" element={
-                  <RequireAuth>
-                    <Profile />
-                  </RequireAuth>
-                } />
+                  {/* Protected routes */}
+                  <Route path="/dashboard" element={
+                    <RequireAuth>
+                      <Dashboard />
+                    </RequireAuth>
+                  } />
                 
-                {/* Redirect from home to dashboard for authenticated users */}
-                <Route path="/" element={
-                  <RequireAuth>
-                    <Navigate to="/dashboard" replace />
-                  </RequireAuth>
-                } />
+                  <Route path="/profile" element={
+                    <RequireAuth>
+                      <Profile />
+                    </RequireAuth>
+                  } />
                 
-                {/* 404 - redirect to home */}
-                <Route path="*" element={<Navigate to="/" replace />} />
-              </Routes>
-            </main>
+                  {/* Generation needs a verified email */}
+                  <Route path="/new-caption" element={
+                    <RequireAuth requireVerified>
+                      <CaptionGenerator />
+                    </RequireAuth>
+                  } />
+                
+                  <Route path="/new-blog" element={
+                    <RequireAuth requireVerified>
+                      <BlogGenerator />
+                    </RequireAuth>
+                  } />
+                
+                  <Route path="/library" element={
+                    <RequireAuth>
+                      <ContentLibrary />
+                    </RequireAuth>
+                  } />
+                
+                  <Route path="/drafts" element={
+                    <RequireAuth>
+                      <Drafts />
+                    </RequireAuth>
+                  } />
+                
+                  <Route path="/settings" element={
+                    <RequireAuth>
+                      <Navigate to="/settings/content" replace />
+                    </RequireAuth>
+                  } />
+                
+                  <Route path="/settings/:tab" element={
+                    <RequireAuth>
+                      <Settings />
+                    </RequireAuth>
+                  } />
+                
+                  {/* Redirect from home to dashboard for authenticated users */}
+                  <Route path="/" element={
+                    <RequireAuth>
+                      <Navigate to="/dashboard" replace />
+                    </RequireAuth>
+                  } />
+                
+                  {/* 404 - redirect to home */}
+                  <Route path="*" element={<Navigate to="/" replace />} />
+                </Routes>
+              </main>
             
-            <Toaster position="top-right" />
-          </div>
+              <Toaster position="top-right" />
+            </div>
+          </SubscriptionProvider>
         </AuthProvider>
       </ThemeProvider>
     </Router>
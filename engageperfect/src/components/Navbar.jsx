@@ -1,6 +1,6 @@
 /**
  * File: Navbar.jsx
- * Version: 1.1.0
+ * Version: 1.6.0
  * Purpose: Global navigation component for the EngagePerfect application.
  * Features responsive design, logo, theme toggle, and authentication buttons.
  * Shows sign in/sign up for non-authenticated users and user menu for authenticated users.
@@ -11,12 +11,16 @@ import { Link, useNavigate, useLocation } from 'react-router-dom';
 import ThemeToggle from './ThemeToggle';
 import Logo from './Logo';
 import { useAuth } from '../context/AuthContext';
+import { useSubscription } from '../hooks/useSubscription';
+import { getPlanType } from '../constants/plans';
+import Avatar from './ui/Avatar';
 import { Menu, X, LogOut, User, Settings, LogIn } from 'lucide-react';
 
 export default function Navbar() {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const { user, logout } = useAuth();
+  const subscription = useSubscription();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -53,6 +57,18 @@ export default function Navbar() {
           >
             New Blog
           </Link>
+          <Link 
+            to="/library" 
+            className="px-3 py-2 text-sm font-medium text-gray-500 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+          >
+            Library
+          </Link>
+          <Link 
+            to="/drafts" 
+            className="px-3 py-2 text-sm font-medium text-gray-500 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+          >
+            Drafts
+          </Link>
         </>
       );
     }
@@ -77,15 +93,7 @@ export default function Navbar() {
           >
             <span className="sr-only">Open user menu</span>
             <div className="h-8 w-8 rounded-full flex items-center justify-center text-gray-700 dark:text-gray-200">
-              {user?.photoURL ? (
-                <img
-                  className="h-8 w-8 rounded-full"
-                  src={user.photoURL}
-                  alt={user.displayName || 'User'}
-                />
-              ) : (
-                <User size={16} />
-              )}
+              <Avatar src={user?.photoURL} name={user?.displayName || user?.email} />
             </div>
           </button>
 
@@ -100,6 +108,11 @@ export default function Navbar() {
               <div className="px-4 py-2 text-sm text-gray-700 dark:text-gray-200 border-b border-gray-200 dark:border-gray-700">
                 <p className="font-medium">{user?.displayName || 'User'}</p>
                 <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{user?.email}</p>
+                {!subscription.loading && (
+                  <span className="inline-flex items-center mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300">
+                    {getPlanType(subscription.planType).label}
+                  </span>
+                )}
               </div>
               <Link
                 to="/profile"
@@ -187,27 +200,41 @@ export default function Navbar() {
             >
               New Blog
             </Link>
+            <Link
+              to="/library"
+              className="block px-3 py-2 text-base font-medium text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+              onClick={() => setIsMenuOpen(false)}
+            >
+              Library
+            </Link>
+            <Link
+              to="/drafts"
+              className="block px-3 py-2 text-base font-medium text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+              onClick={() => setIsMenuOpen(false)}
+            >
+              Drafts
+            </Link>
           </div>
           
           {/* Mobile user options */}
           <div className="pt-4 pb-3 border-t border-gray-200 dark:border-gray-700">
             <div className="flex items-center px-4">
               <div className="flex-shrink-0">
-                {user?.photoURL ? (
-                  <img
-                    className="h-10 w-10 rounded-full"
-                    src={user.photoURL}
-                    alt={user.displayName || 'User'}
-                  />
-                ) : (
-                  <div className="h-10 w-10 rounded-full bg-gray-200 dark:bg-gray-700 flex items-center justify-center">
-                    <User className="h-6 w-6 text-gray-600 dark:text-gray-300" />
-                  </div>
-                )}
+                <Avatar
+                  src={user?.photoURL}
+                  name={user?.displayName || user?.email}
+                  className="h-10 w-10"
+                  textClassName="text-sm"
+                />
               </div>
               <div className="ml-3">
                 <div className="text-base font-medium text-gray-800 dark:text-white">{user?.displayName || 'User'}</div>
                 <div className="text-sm font-medium text-gray-500 dark:text-gray-400">{user?.email}</div>
+                {!subscription.loading && (
+                  <span className="inline-flex items-center mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300">
+                    {getPlanType(subscription.planType).label}
+                  </span>
+                )}
               </div>
             </div>
             <div className="mt-3 space-y-1">
@@ -0,0 +1,122 @@
+/**
+ * File: SecondFactorForm.jsx
+ * Version: 1.0.1
+ * Purpose: Second-factor challenge form.
+ * Asks for the six-digit code from the user's authenticator app, or, when
+ * allowed, one of their recovery codes. Used by the login page and by the
+ * re-authentication prompt.
+ */
+
+import { useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+
+// Messages for errors the user can fix by trying again
+const CODE_ERROR_MESSAGES = {
+  'auth/invalid-verification-code': 'That code is not correct. Check your authenticator app and try again.',
+  'auth/totp-challenge-timeout': 'The sign-in took too long. Please start again.',
+  'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+  'mfa/invalid-recovery-code': 'That recovery code is not valid or has already been used.',
+  'mfa/too-many-attempts': 'Too many wrong recovery codes. Please try again later.'
+};
+
+export default function SecondFactorForm({ onVerify, onUseRecoveryCode, onCancel, allowRecovery = false }) {
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    setError('');
+    setLoading(true);
+
+    try {
+      if (useRecovery) {
+        await onUseRecoveryCode(code);
+      } else {
+        await onVerify(code);
+      }
+    } catch (err) {
+      console.error('Error verifying second factor:', err);
+      setError(CODE_ERROR_MESSAGES[err.code] || err.message || 'Verification failed. Please try again.');
+      setLoading(false);
+    }
+  };
+
+  // Switch between an authenticator code and a recovery code
+  const toggleRecovery = () => {
+    setUseRecovery((prev) => !prev);
+    setCode('');
+    setError('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="text-center">
+        <ShieldCheck size={40} className="mx-auto text-primary-600 dark:text-primary-400" />
+        <h2 className="mt-4 text-xl font-bold text-gray-900 dark:text-white">
+          Two-factor authentication
+        </h2>
+        <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+          {useRecovery
+            ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+            : 'Enter the six-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300 p-3 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="second-factor-code" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          {useRecovery ? 'Recovery code' : 'Authentication code'}
+        </label>
+        <input
+          id="second-factor-code"
+          name="code"
+          type="text"
+          autoComplete="one-time-code"
+          inputMode={useRecovery ? 'text' : 'numeric'}
+          maxLength={useRecovery ? 11 : 6}
+          autoFocus
+          value={code}
+          onChange={(e) => setCode(useRecovery ? e.target.value : e.target.value.replace(/\D/g, ''))}
+          className="w-full px-4 py-2 rounded-md border dark:border-gray-700 dark:bg-gray-800 text-gray-900 dark:text-white text-center tracking-widest focus:ring-primary-500 focus:border-primary-500"
+          placeholder={useRecovery ? 'XXXXX-XXXXX' : '123456'}
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading || !code.trim()}
+        className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-70 disabled:cursor-not-allowed"
+      >
+        {loading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="flex items-center justify-between text-sm">
+        {allowRecovery ? (
+          <button
+            type="button"
+            onClick={toggleRecovery}
+            className="text-primary-600 hover:text-primary-500 dark:text-primary-400"
+          >
+            {useRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+        ) : <span></span>}
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-gray-600 hover:text-gray-500 dark:text-gray-400 dark:hover:text-gray-300"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,31 @@
+/**
+ * File: SecondFactorModal.jsx
+ * Version: 1.0.0
+ * Purpose: Modal asking for an authenticator code while re-authenticating.
+ * Shown by AuthProvider when a sensitive action needs a fresh sign-in and
+ * the account has two-factor authentication turned on.
+ */
+
+import SecondFactorForm from './SecondFactorForm';
+
+export default function SecondFactorModal({ onVerify, onCancel }) {
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onCancel}
+          aria-hidden="true"
+        ></div>
+
+        {/* Modal panel */}
+        <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-md sm:w-full">
+          <div className="px-4 pt-5 pb-4 sm:p-6">
+            <SecondFactorForm onVerify={onVerify} onCancel={onCancel} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+/**
+ * File: BlogDocument.jsx
+ * Version: 1.0.0
+ * Purpose: Read-only preview of a finished blog post.
+ * Renders headings, paragraphs and bullet lists from the section Markdown.
+ */
+
+// Render a Markdown section body as paragraphs and bullet lists
+const renderContent = (content) => {
+  return (content || '')
+    .split(/\n{2,}/)
+    .filter((block) => block.trim())
+    .map((block, index) => {
+      const lines = block.split('\n');
+
+      if (lines.every((line) => /^\s*[-*]\s+/.test(line))) {
+        return (
+          <ul key={index} className="list-disc pl-6 mb-4 space-y-1">
+            {lines.map((line, lineIndex) => (
+              <li key={lineIndex}>{line.replace(/^\s*[-*]\s+/, '')}</li>
+            ))}
+          </ul>
+        );
+      }
+
+      return (
+        <p key={index} className="mb-4 leading-relaxed">{block}</p>
+      );
+    });
+};
+
+export default function BlogDocument({ title, sections }) {
+  return (
+    <article className="text-gray-800 dark:text-gray-200">
+      <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-6">{title}</h1>
+      {sections.map((section) => (
+        <section key={section.id} className="mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-3">{section.heading}</h2>
+          {renderContent(section.content)}
+        </section>
+      ))}
+    </article>
+  );
+}
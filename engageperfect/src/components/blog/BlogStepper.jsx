@@ -0,0 +1,52 @@
+/**
+ * File: BlogStepper.jsx
+ * Version: 1.0.0
+ * Purpose: Step indicator for the blog generator workflow.
+ */
+
+import { Check } from 'lucide-react';
+
+export default function BlogStepper({ steps, currentStep }) {
+  const currentIndex = steps.findIndex((step) => step.id === currentStep);
+
+  return (
+    <ol className="flex items-center w-full mb-8">
+      {steps.map((step, index) => {
+        const isComplete = index < currentIndex;
+        const isCurrent = index === currentIndex;
+
+        return (
+          <li key={step.id} className={`flex items-center ${index < steps.length - 1 ? 'flex-1' : ''}`}>
+            <div className="flex items-center">
+              <span
+                className={`flex items-center justify-center h-8 w-8 rounded-full text-sm font-medium ${
+                  isComplete
+                    ? 'bg-purple-600 text-white'
+                    : isCurrent
+                      ? 'border-2 border-purple-600 text-purple-600 dark:text-purple-400'
+                      : 'border-2 border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400'
+                }`}
+              >
+                {isComplete ? <Check size={16} /> : index + 1}
+              </span>
+              <span
+                className={`ml-2 text-sm font-medium hidden sm:inline ${
+                  isCurrent ? 'text-gray-900 dark:text-white' : 'text-gray-500 dark:text-gray-400'
+                }`}
+              >
+                {step.label}
+              </span>
+            </div>
+            {index < steps.length - 1 && (
+              <div
+                className={`flex-1 h-0.5 mx-4 ${
+                  isComplete ? 'bg-purple-600' : 'bg-gray-200 dark:bg-gray-700'
+                }`}
+              ></div>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,111 @@
+/**
+ * File: OutlineEditor.jsx
+ * Version: 1.0.0
+ * Purpose: Editable list of blog outline sections.
+ * Supports renaming, reordering, adding and removing sections.
+ */
+
+import { ArrowUp, ArrowDown, Trash2, Plus } from 'lucide-react';
+
+const inputClassName = "block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm";
+
+export default function OutlineEditor({ outline, onChange, disabled }) {
+  // Update a single field of a section
+  const updateSection = (index, changes) => {
+    onChange(outline.map((section, i) => (i === index ? { ...section, ...changes } : section)));
+  };
+
+  // Move a section up or down
+  const moveSection = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= outline.length) return;
+
+    const next = [...outline];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  // Remove a section
+  const removeSection = (index) => {
+    onChange(outline.filter((_, i) => i !== index));
+  };
+
+  // Append an empty section
+  const addSection = () => {
+    onChange([
+      ...outline,
+      { id: `section-${Date.now()}`, heading: '', points: [] }
+    ]);
+  };
+
+  return (
+    <div className="space-y-4">
+      {outline.map((section, index) => (
+        <div key={section.id} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+          <div className="flex items-start space-x-2">
+            <span className="mt-2 text-sm font-semibold text-gray-500 dark:text-gray-400 w-6">{index + 1}.</span>
+            <div className="flex-1 space-y-2">
+              <input
+                type="text"
+                value={section.heading}
+                onChange={(e) => updateSection(index, { heading: e.target.value })}
+                disabled={disabled}
+                placeholder="Section heading"
+                aria-label={`Section ${index + 1} heading`}
+                className={inputClassName}
+              />
+              <textarea
+                rows={2}
+                value={section.points.join('\n')}
+                onChange={(e) => updateSection(index, { points: e.target.value.split('\n') })}
+                disabled={disabled}
+                placeholder="Key points, one per line"
+                aria-label={`Section ${index + 1} key points`}
+                className={inputClassName}
+              />
+            </div>
+            <div className="flex flex-col space-y-1">
+              <button
+                type="button"
+                onClick={() => moveSection(index, -1)}
+                disabled={disabled || index === 0}
+                className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 disabled:opacity-40"
+              >
+                <span className="sr-only">Move section up</span>
+                <ArrowUp size={16} />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveSection(index, 1)}
+                disabled={disabled || index === outline.length - 1}
+                className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 disabled:opacity-40"
+              >
+                <span className="sr-only">Move section down</span>
+                <ArrowDown size={16} />
+              </button>
+              <button
+                type="button"
+                onClick={() => removeSection(index)}
+                disabled={disabled || outline.length === 1}
+                className="p-1 text-red-400 hover:text-red-600 disabled:opacity-40"
+              >
+                <span className="sr-only">Remove section</span>
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addSection}
+        disabled={disabled}
+        className="inline-flex items-center px-3 py-2 border border-dashed border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+      >
+        <Plus size={16} className="mr-1.5" />
+        Add Section
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+/**
+ * File: SectionDraft.jsx
+ * Version: 1.1.0
+ * Purpose: Shows the draft of one blog section during generation.
+ * The generated text stays editable and can be regenerated on its own.
+ */
+
+import { RefreshCw, Loader2, AlertTriangle } from 'lucide-react';
+
+export default function SectionDraft({ section, draft, index, onChange, onRegenerate, disabled }) {
+  const status = draft?.status || 'pending';
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-md font-semibold text-gray-900 dark:text-white">
+          {index + 1}. {section.heading}
+        </h3>
+        <button
+          type="button"
+          onClick={onRegenerate}
+          disabled={disabled || status === 'generating'}
+          className="inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-md text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+        >
+          <RefreshCw size={14} className="mr-1" />
+          Regenerate
+        </button>
+      </div>
+
+      {status === 'pending' && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Waiting to be drafted...</p>
+      )}
+
+      {status === 'generating' && (
+        <div>
+          <p className="flex items-center text-sm text-purple-600 dark:text-purple-400">
+            <Loader2 size={14} className="mr-1.5 animate-spin" />
+            Writing this section...
+          </p>
+          {draft.content && (
+            <p className="mt-2 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line">{draft.content}</p>
+          )}
+        </div>
+      )}
+
+      {status === 'error' && (
+        <p className="flex items-center text-sm text-red-600 dark:text-red-400">
+          <AlertTriangle size={14} className="mr-1.5" />
+          {draft.error || 'Failed to draft this section'}
+        </p>
+      )}
+
+      {status === 'done' && (
+        <textarea
+          rows={8}
+          value={draft.content}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          aria-label={`${section.heading} content`}
+          className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm font-mono"
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+/**
+ * File: CaptionVariantCard.jsx
+ * Version: 1.0.0
+ * Purpose: Displays a generated caption variant with its hashtags.
+ * Lets the user copy the caption, with or without hashtags.
+ */
+
+import { useState } from 'react';
+import { Copy, Check } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+
+export default function CaptionVariantCard({ variant, index }) {
+  const [copied, setCopied] = useState(false);
+
+  const hashtagLine = variant.hashtags.map((tag) => `#${tag}`).join(' ');
+
+  // Copy caption text and hashtags to the clipboard
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(hashtagLine ? `${variant.text}\n\n${hashtagLine}` : variant.text);
+      setCopied(true);
+      toast.success('Caption copied to clipboard');
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying caption:', error);
+      toast.error('Could not copy caption');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-5">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Variant {index + 1}</h3>
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-md text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+        >
+          {copied ? <Check size={14} className="mr-1" /> : <Copy size={14} className="mr-1" />}
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      <p className="text-gray-900 dark:text-white whitespace-pre-line">{variant.text}</p>
+      {variant.hashtags.length > 0 && (
+        <div className="mt-3 flex flex-wrap gap-2">
+          {variant.hashtags.map((tag) => (
+            <span
+              key={tag}
+              className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300"
+            >
+              #{tag}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * File: MediaUpload.jsx
+ * Version: 1.0.0
+ * Purpose: Image/video picker with preview for the caption generator.
+ * Validates type and size before handing the file to the parent form.
+ */
+
+import { useEffect, useState } from 'react';
+import { UploadCloud, X } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+
+const MAX_MEDIA_SIZE = 10 * 1024 * 1024;
+
+export default function MediaUpload({ file, onChange, disabled }) {
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  // Create and release an object URL for the selected file
+  useEffect(() => {
+    if (!file) {
+      setPreviewUrl(null);
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    setPreviewUrl(url);
+
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  // Handle file selection
+  const handleFileChange = (event) => {
+    const selected = event.target.files[0];
+    event.target.value = '';
+    if (!selected) return;
+
+    if (!selected.type.startsWith('image/') && !selected.type.startsWith('video/')) {
+      toast.error('Please select an image or video file');
+      return;
+    }
+
+    if (selected.size > MAX_MEDIA_SIZE) {
+      toast.error('Media size should be less than 10MB');
+      return;
+    }
+
+    onChange(selected);
+  };
+
+  if (file && previewUrl) {
+    return (
+      <div className="relative rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden">
+        {file.type.startsWith('video/') ? (
+          <video src={previewUrl} className="w-full max-h-64 object-contain bg-black" controls />
+        ) : (
+          <img src={previewUrl} alt={file.name} className="w-full max-h-64 object-contain bg-gray-100 dark:bg-gray-900" />
+        )}
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          disabled={disabled}
+          className="absolute top-2 right-2 p-1 rounded-full bg-gray-900 bg-opacity-60 text-white hover:bg-opacity-80"
+        >
+          <span className="sr-only">Remove media</span>
+          <X size={16} />
+        </button>
+        <p className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400 truncate">{file.name}</p>
+      </div>
+    );
+  }
+
+  return (
+    <label
+      htmlFor="media-upload"
+      className={`flex flex-col items-center justify-center px-6 py-8 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-md text-center ${
+        disabled ? 'opacity-70 cursor-not-allowed' : 'cursor-pointer hover:border-blue-400 dark:hover:border-blue-500'
+      }`}
+    >
+      <UploadCloud size={32} className="text-gray-400 dark:text-gray-500 mb-2" />
+      <span className="text-sm font-medium text-blue-600 dark:text-blue-400">Upload an image or video</span>
+      <span className="text-xs text-gray-500 dark:text-gray-400 mt-1">PNG, JPG, GIF, MP4 up to 10MB</span>
+      <input
+        id="media-upload"
+        type="file"
+        accept="image/*,video/*"
+        className="hidden"
+        onChange={handleFileChange}
+        disabled={disabled}
+      />
+    </label>
+  );
+}
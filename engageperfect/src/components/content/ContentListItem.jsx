@@ -0,0 +1,72 @@
+/**
+ * File: ContentListItem.jsx
+ * Version: 1.0.0
+ * Purpose: Compact row for a saved content item.
+ * Shows the type, title, platform, status and creation date; extra
+ * controls can be passed as children.
+ */
+
+import { MessageSquare, FileText } from 'lucide-react';
+import { getOptionLabel, PLATFORM_OPTIONS } from '../../constants/contentOptions';
+
+// Badge colours for each content status
+const STATUS_STYLES = {
+  draft: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  published: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  archived: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+};
+
+/**
+ * Formats a Firestore timestamp for display
+ * @param {Timestamp|null} timestamp - Stored timestamp (null while the write is pending)
+ * @returns {string} Formatted date
+ */
+const formatDate = (timestamp) => {
+  if (!timestamp?.toDate) return 'Just now';
+
+  return timestamp.toDate().toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+export default function ContentListItem({ content, onClick, children }) {
+  const Icon = content.type === 'blog' ? FileText : MessageSquare;
+
+  return (
+    <div className="flex items-center justify-between py-3">
+      <button
+        type="button"
+        onClick={onClick}
+        disabled={!onClick}
+        className="flex items-center min-w-0 text-left disabled:cursor-default"
+      >
+        <div className={`flex-shrink-0 p-2 rounded-full ${
+          content.type === 'blog'
+            ? 'bg-purple-100 dark:bg-purple-900/50 text-purple-600 dark:text-purple-400'
+            : 'bg-blue-100 dark:bg-blue-900/50 text-blue-600 dark:text-blue-400'
+        }`}>
+          <Icon size={16} />
+        </div>
+        <div className="ml-3 min-w-0">
+          <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{content.title}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {content.type === 'blog' ? 'Blog post' : 'Caption'}
+            {content.platform && ` · ${getOptionLabel(PLATFORM_OPTIONS, content.platform)}`}
+            {` · ${formatDate(content.createdAt)}`}
+          </p>
+        </div>
+      </button>
+
+      <div className="flex items-center space-x-2 ml-4 flex-shrink-0">
+        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${
+          STATUS_STYLES[content.status] || STATUS_STYLES.draft
+        }`}>
+          {content.status}
+        </span>
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+/**
+ * File: DraftStatus.jsx
+ * Version: 1.0.0
+ * Purpose: Small autosave indicator shown in the generator headers.
+ * Reports saving progress and links to the drafts list when the cap is hit.
+ */
+
+import { Link } from 'react-router-dom';
+import { Loader2, Check, AlertTriangle } from 'lucide-react';
+
+export default function DraftStatus({ status, error }) {
+  if (status === 'saving') {
+    return (
+      <span className="inline-flex items-center text-sm text-gray-500 dark:text-gray-400">
+        <Loader2 size={14} className="mr-1.5 animate-spin" />
+        Saving draft...
+      </span>
+    );
+  }
+
+  if (status === 'saved') {
+    return (
+      <span className="inline-flex items-center text-sm text-gray-500 dark:text-gray-400">
+        <Check size={14} className="mr-1.5 text-green-500" />
+        Draft saved
+      </span>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <span className="inline-flex items-center text-sm text-red-600 dark:text-red-400">
+        <AlertTriangle size={14} className="mr-1.5" />
+        {error?.code === 'drafts/limit-reached' ? (
+          <>
+            Draft limit reached.&nbsp;
+            <Link to="/drafts" className="underline hover:text-red-500">Manage drafts</Link>
+          </>
+        ) : (
+          'Draft not saved'
+        )}
+      </span>
+    );
+  }
+
+  return null;
+}
@@ -0,0 +1,93 @@
+/**
+ * File: QuotaExceededModal.jsx
+ * Version: 1.0.0
+ * Purpose: Modal shown when a generation is blocked by the request quota.
+ * Explains when the quota resets and points the user to upgrade options.
+ */
+
+import { useNavigate } from 'react-router-dom';
+import { X, AlertTriangle } from 'lucide-react';
+
+export default function QuotaExceededModal({ error, onClose }) {
+  const navigate = useNavigate();
+  const { limit, resetsAt } = error.details || {};
+
+  // Open the profile page with the upgrade modal showing
+  const handleUpgrade = () => {
+    navigate('/profile', { state: { openUpgrade: true } });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+          aria-hidden="true"
+        ></div>
+
+        {/* Modal panel */}
+        <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+          <div className="px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="sm:flex sm:items-start">
+              <div className="mx-auto flex-shrink-0 flex items-center justify-center h-12 w-12 rounded-full bg-yellow-100 dark:bg-yellow-900/30 sm:mx-0 sm:h-10 sm:w-10">
+                <AlertTriangle className="h-6 w-6 text-yellow-600 dark:text-yellow-500" />
+              </div>
+              <div className="mt-3 text-center sm:mt-0 sm:ml-4 sm:text-left flex-1">
+                <div className="flex justify-between items-center">
+                  <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+                    You're out of requests
+                  </h3>
+                  <button
+                    onClick={onClose}
+                    className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300 focus:outline-none"
+                  >
+                    <X size={20} />
+                  </button>
+                </div>
+                <div className="mt-2 space-y-2">
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {limit
+                      ? `You have used all ${limit} requests included in your plan for this billing cycle.`
+                      : error.message}
+                  </p>
+                  {resetsAt && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      Your requests reset on {resetsAt.toLocaleDateString('en-US', {
+                        year: 'numeric',
+                        month: 'long',
+                        day: 'numeric'
+                      })}.
+                    </p>
+                  )}
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Upgrade your plan or add a Flex Pack to keep creating right away.
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Actions */}
+            <div className="mt-5 sm:mt-6 flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 shadow-sm text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+              >
+                Not Now
+              </button>
+              <button
+                type="button"
+                onClick={handleUpgrade}
+                className="px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+              >
+                View Upgrade Options
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
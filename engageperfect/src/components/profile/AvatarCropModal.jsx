@@ -0,0 +1,186 @@
+/**
+ * File: AvatarCropModal.jsx
+ * Version: 1.0.0
+ * Purpose: Modal for cropping and zooming a new profile photo.
+ * The user drags the image inside a square frame and zooms with a slider;
+ * the chosen square is passed to onSave in source-image pixels.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { X, ZoomIn, ZoomOut } from 'lucide-react';
+
+// Width and height of the crop frame in CSS pixels
+const FRAME_SIZE = 256;
+const MAX_ZOOM = 3;
+
+/**
+ * Keeps the image covering the whole frame
+ * @param {number} offset - Proposed offset of the image's left or top edge
+ * @param {number} displaySize - Displayed image width or height
+ * @returns {number} Clamped offset
+ */
+const clampOffset = (offset, displaySize) => Math.min(0, Math.max(FRAME_SIZE - displaySize, offset));
+
+export default function AvatarCropModal({ image, onClose, onSave, saving = false, progress = 0 }) {
+  // Scale at zoom 1 makes the shorter side fill the frame
+  const baseScale = FRAME_SIZE / Math.min(image.naturalWidth, image.naturalHeight);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState(() => ({
+    x: (FRAME_SIZE - image.naturalWidth * baseScale) / 2,
+    y: (FRAME_SIZE - image.naturalHeight * baseScale) / 2
+  }));
+  const dragRef = useRef(null);
+
+  const scale = baseScale * zoom;
+  const displayWidth = image.naturalWidth * scale;
+  const displayHeight = image.naturalHeight * scale;
+
+  // Zoom around the center of the frame
+  const handleZoom = (nextZoom) => {
+    const nextScale = baseScale * nextZoom;
+    const center = FRAME_SIZE / 2;
+    setOffset((prev) => ({
+      x: clampOffset(center - ((center - prev.x) / scale) * nextScale, image.naturalWidth * nextScale),
+      y: clampOffset(center - ((center - prev.y) / scale) * nextScale, image.naturalHeight * nextScale)
+    }));
+    setZoom(nextZoom);
+  };
+
+  // Drag the image with mouse, pen or touch
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { x: event.clientX, y: event.clientY, offset };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    const { x, y, offset: start } = dragRef.current;
+    setOffset({
+      x: clampOffset(start.x + event.clientX - x, displayWidth),
+      y: clampOffset(start.y + event.clientY - y, displayHeight)
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // Close on Escape unless an upload is running
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !saving) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, saving]);
+
+  // Convert the frame into a square in source pixels
+  const handleSave = () => {
+    onSave({
+      x: -offset.x / scale,
+      y: -offset.y / scale,
+      size: FRAME_SIZE / scale
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={saving ? undefined : onClose}
+          aria-hidden="true"
+        ></div>
+
+        {/* Modal panel */}
+        <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-md sm:w-full">
+          <div className="px-4 pt-5 pb-4 sm:p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+                Crop Profile Photo
+              </h3>
+              <button
+                onClick={onClose}
+                disabled={saving}
+                className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300 focus:outline-none"
+              >
+                <X size={20} />
+              </button>
+            </div>
+
+            {/* Crop frame */}
+            <div
+              className="relative mx-auto overflow-hidden rounded-full bg-gray-100 dark:bg-gray-900 cursor-move touch-none select-none"
+              style={{ width: FRAME_SIZE, height: FRAME_SIZE }}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+            >
+              <img
+                src={image.src}
+                alt="Crop preview"
+                draggable={false}
+                className="absolute max-w-none pointer-events-none"
+                style={{
+                  width: displayWidth,
+                  height: displayHeight,
+                  left: offset.x,
+                  top: offset.y
+                }}
+              />
+            </div>
+
+            {/* Zoom */}
+            <div className="flex items-center mt-5 space-x-3">
+              <ZoomOut size={16} className="text-gray-500 dark:text-gray-400" />
+              <input
+                type="range"
+                min="1"
+                max={MAX_ZOOM}
+                step="0.01"
+                value={zoom}
+                onChange={(e) => handleZoom(Number(e.target.value))}
+                disabled={saving}
+                className="flex-1 accent-purple-600"
+                aria-label="Zoom"
+              />
+              <ZoomIn size={16} className="text-gray-500 dark:text-gray-400" />
+            </div>
+
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2 text-center">
+              Drag to reposition
+            </p>
+
+            {saving && (
+              <div className="mt-4 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                <div className="h-full bg-purple-600" style={{ width: `${progress}%` }}></div>
+              </div>
+            )}
+
+            {/* Actions */}
+            <div className="mt-5 sm:mt-6 flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={saving}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 shadow-sm text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSave}
+                disabled={saving}
+                className="px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving...' : 'Save Photo'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
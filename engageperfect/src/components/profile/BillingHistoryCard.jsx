@@ -0,0 +1,132 @@
+/**
+ * File: BillingHistoryCard.jsx
+ * Version: 1.0.0
+ * Purpose: Billing history panel on the profile page.
+ * Lists subscription invoices and Flex Pack payments with links to the
+ * hosted invoice or receipt, and exports them as CSV.
+ */
+
+import { useEffect, useState } from 'react';
+import { Download, ExternalLink, Receipt } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import {
+  billingHistoryToCsv,
+  formatBillingAmount,
+  listBillingHistory
+} from '../../services/billingService';
+
+// Badge colors for payment and invoice statuses
+const STATUS_STYLES = {
+  paid: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  open: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  processing: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  void: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  uncollectible: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+export default function BillingHistoryCard({ uid }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Load invoices and payments
+  useEffect(() => {
+    if (!uid) return;
+
+    const fetchHistory = async () => {
+      try {
+        setRecords(await listBillingHistory(uid));
+      } catch (error) {
+        console.error('Error loading billing history:', error);
+        toast.error('Could not load billing history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [uid]);
+
+  // Download the history as a CSV file
+  const handleExport = () => {
+    const blob = new Blob([billingHistoryToCsv(records)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `engageperfect-billing-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Billing History</h2>
+        {records.length > 0 && (
+          <button
+            onClick={handleExport}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+          >
+            <Download size={14} className="mr-1.5" />
+            Export CSV
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="py-6 flex justify-center">
+          <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-primary-500"></div>
+        </div>
+      ) : records.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                <th className="py-2 pr-4">Date</th>
+                <th className="py-2 pr-4">Description</th>
+                <th className="py-2 pr-4">Amount</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2"><span className="sr-only">Invoice</span></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {records.map((record) => (
+                <tr key={`${record.kind}-${record.id}`} className="text-gray-700 dark:text-gray-300">
+                  <td className="py-3 pr-4 whitespace-nowrap">
+                    {record.date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}
+                  </td>
+                  <td className="py-3 pr-4">{record.description}</td>
+                  <td className="py-3 pr-4 whitespace-nowrap">{formatBillingAmount(record.amount, record.currency)}</td>
+                  <td className="py-3 pr-4">
+                    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[record.status] || STATUS_STYLES.void}`}>
+                      {record.status}
+                    </span>
+                  </td>
+                  <td className="py-3 text-right">
+                    {record.url && (
+                      <a
+                        href={record.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex items-center text-purple-600 dark:text-purple-400 hover:text-purple-500"
+                      >
+                        {record.kind === 'invoice' ? 'Invoice' : 'Receipt'}
+                        <ExternalLink size={12} className="ml-1" />
+                      </a>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="py-8 text-center text-gray-500 dark:text-gray-400">
+          <Receipt size={32} className="mx-auto mb-3 text-gray-400 dark:text-gray-600" />
+          <p>No payments yet</p>
+          <p className="text-sm mt-1">Invoices and receipts will appear here after your first purchase</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,14 +1,26 @@
 /**
  * File: ChangePasswordModal.jsx
- * Version: 1.0.0
+ * Version: 1.1.0
  * Purpose: Modal for changing user password.
- * Validates current password and ensures new password meets requirements.
+ * Validates current password and checks the new one against the shared
+ * password policy, with a live strength meter.
  */
 
 import { useState } from 'react';
 import { X, Eye, EyeOff } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import PasswordStrengthMeter from '../ui/PasswordStrengthMeter';
+import {
+  PASSWORD_POLICY,
+  getPasswordRuleMessage,
+  isPasswordPolicyError,
+  validatePassword
+} from '../../utils/passwordPolicy';
 
 export default function ChangePasswordModal({ onClose, onSubmit }) {
+  const { user } = useAuth();
+  // Personal details the new password must not contain
+  const userInputs = [user?.displayName, user?.email];
   const [formData, setFormData] = useState({
     currentPassword: '',
     newPassword: '',
@@ -40,10 +52,13 @@ export default function ChangePasswordModal({ onClose, onSubmit }) {
     }
     
     // Validate new password
+    const passwordCheck = validatePassword(formData.newPassword, { userInputs });
     if (!formData.newPassword) {
       newErrors.newPassword = 'New password is required';
-    } else if (formData.newPassword.length < 6) {
-      newErrors.newPassword = 'Password must be at least 6 characters';
+    } else if (!passwordCheck.valid) {
+      newErrors.newPassword = passwordCheck.message;
+    } else if (formData.newPassword === formData.currentPassword) {
+      newErrors.newPassword = 'New password must be different from your current password';
     }
     
     // Validate confirm password
@@ -76,6 +91,10 @@ export default function ChangePasswordModal({ onClose, onSubmit }) {
         setErrors({
           currentPassword: 'Current password is incorrect'
         });
+      } else if (isPasswordPolicyError(error)) {
+        setErrors({
+          newPassword: getPasswordRuleMessage('weak')
+        });
       } else {
         setErrors({
           form: error.message || 'An error occurred. Please try again.'
@@ -193,8 +212,9 @@ export default function ChangePasswordModal({ onClose, onSubmit }) {
                     {errors.newPassword}
                   </p>
                 )}
+                <PasswordStrengthMeter password={formData.newPassword} userInputs={userInputs} />
                 <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
-                  Password must be at least 6 characters long
+                  Use at least {PASSWORD_POLICY.minLength} characters. Several unrelated words work well.
                 </p>
               </div>
               
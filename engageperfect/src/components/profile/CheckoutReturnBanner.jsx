@@ -0,0 +1,95 @@
+/**
+ * File: CheckoutReturnBanner.jsx
+ * Version: 1.0.0
+ * Purpose: Banner shown on the profile page after returning from Stripe Checkout.
+ * Tells the user whether the purchase is confirmed, still on its way, or
+ * was canceled.
+ */
+
+import { Loader2, CheckCircle, Clock, XCircle, X } from 'lucide-react';
+import { getCheckoutPlan } from '../../constants/plans';
+
+/**
+ * Describes what was bought, e.g. "Premium plan" or "Flex Pack"
+ * @param {string} planId - Plan id from the return URL
+ * @returns {string} Purchase description
+ */
+const describePurchase = (planId) => {
+  const plan = getCheckoutPlan(planId);
+  if (!plan) return 'purchase';
+  return plan.mode === 'payment' ? plan.name : `${plan.name} plan`;
+};
+
+export default function CheckoutReturnBanner({ status, planId, onDismiss }) {
+  const plan = getCheckoutPlan(planId);
+  const purchase = describePurchase(planId);
+
+  if (status === 'confirming') {
+    return (
+      <div className="mb-6 p-4 rounded-md border border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/30 flex items-start">
+        <Loader2 className="h-5 w-5 text-blue-600 dark:text-blue-400 mr-3 flex-shrink-0 animate-spin" />
+        <div>
+          <h3 className="text-sm font-medium text-blue-800 dark:text-blue-300">Payment received</h3>
+          <p className="text-sm text-blue-700 dark:text-blue-400 mt-1">
+            We're activating your {purchase}. This usually takes a few seconds.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  let icon;
+  let title;
+  let message;
+  let styles;
+
+  if (status === 'confirmed') {
+    icon = <CheckCircle className="h-5 w-5 text-green-600 dark:text-green-400 mr-3 flex-shrink-0" />;
+    title = 'Purchase complete';
+    message = plan?.mode === 'payment'
+      ? `${plan.requestAllowance} extra requests have been added to your account.`
+      : `Your ${purchase} is now active.`;
+    styles = {
+      box: 'border-green-200 dark:border-green-800 bg-green-50 dark:bg-green-900/30',
+      title: 'text-green-800 dark:text-green-300',
+      text: 'text-green-700 dark:text-green-400'
+    };
+  } else if (status === 'delayed') {
+    icon = <Clock className="h-5 w-5 text-yellow-600 dark:text-yellow-500 mr-3 flex-shrink-0" />;
+    title = 'Your payment is still being processed';
+    message = `Your ${purchase} has not reached your account yet. It can take a few minutes; refresh this page shortly. You will not be charged twice.`;
+    styles = {
+      box: 'border-yellow-200 dark:border-yellow-800 bg-yellow-50 dark:bg-yellow-900/30',
+      title: 'text-yellow-800 dark:text-yellow-300',
+      text: 'text-yellow-700 dark:text-yellow-400'
+    };
+  } else if (status === 'canceled') {
+    icon = <XCircle className="h-5 w-5 text-gray-500 dark:text-gray-400 mr-3 flex-shrink-0" />;
+    title = 'Checkout canceled';
+    message = 'You have not been charged. You can upgrade any time from this page.';
+    styles = {
+      box: 'border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800',
+      title: 'text-gray-800 dark:text-gray-200',
+      text: 'text-gray-600 dark:text-gray-400'
+    };
+  } else {
+    return null;
+  }
+
+  return (
+    <div className={`mb-6 p-4 rounded-md border flex items-start ${styles.box}`}>
+      {icon}
+      <div className="flex-1">
+        <h3 className={`text-sm font-medium ${styles.title}`}>{title}</h3>
+        <p className={`text-sm mt-1 ${styles.text}`}>{message}</p>
+      </div>
+      <button
+        onClick={onDismiss}
+        className="ml-3 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+        aria-label="Dismiss"
+      >
+        <X size={16} />
+      </button>
+    </div>
+  );
+}
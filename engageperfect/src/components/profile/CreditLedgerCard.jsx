@@ -0,0 +1,104 @@
+/**
+ * File: CreditLedgerCard.jsx
+ * Version: 1.0.0
+ * Purpose: Flex Pack credit ledger shown on the profile page.
+ * Lists the latest grants, consumption, refunds and expiries live from
+ * users/{uid}/credit_ledger.
+ */
+
+import { useEffect, useState } from 'react';
+import { Package } from 'lucide-react';
+import { CREDIT_LEDGER_TYPES, subscribeToCreditLedger } from '../../services/creditService';
+
+// Display names for ledger entry types
+const ENTRY_LABELS = {
+  [CREDIT_LEDGER_TYPES.GRANT]: 'Flex Pack purchased',
+  [CREDIT_LEDGER_TYPES.CONSUME]: 'Request used',
+  [CREDIT_LEDGER_TYPES.REFUND]: 'Request refunded',
+  [CREDIT_LEDGER_TYPES.EXPIRE]: 'Credits expired'
+};
+
+/**
+ * Formats a ledger timestamp; pending server timestamps read as null
+ * @param {Timestamp|null} timestamp - Firestore timestamp
+ * @returns {string} Formatted date and time
+ */
+const formatEntryDate = (timestamp) => {
+  if (!timestamp?.toDate) return 'Just now';
+  return timestamp.toDate().toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+export default function CreditLedgerCard({ uid, balance }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Follow the latest ledger entries
+  useEffect(() => {
+    if (!uid) return;
+
+    return subscribeToCreditLedger(
+      uid,
+      (items) => {
+        setEntries(items);
+        setLoading(false);
+      },
+      (error) => {
+        console.error('Error loading credit ledger:', error);
+        setLoading(false);
+      }
+    );
+  }, [uid]);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Flex Credits</h2>
+        <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          Balance: {balance}
+        </span>
+      </div>
+
+      {loading ? (
+        <div className="py-6 flex justify-center">
+          <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-primary-500"></div>
+        </div>
+      ) : entries.length > 0 ? (
+        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+          {entries.map((entry) => (
+            <div key={entry.id} className="py-3 flex justify-between items-center">
+              <div>
+                <p className="text-sm font-medium text-gray-900 dark:text-white">
+                  {ENTRY_LABELS[entry.type] || entry.type}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {formatEntryDate(entry.createdAt)}
+                  {entry.type === CREDIT_LEDGER_TYPES.GRANT && entry.expiresAt && (
+                    <> &middot; Expires {entry.expiresAt.toDate().toLocaleDateString('en-US')}</>
+                  )}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className={`text-sm font-semibold ${entry.amount > 0 ? 'text-green-600 dark:text-green-400' : 'text-gray-700 dark:text-gray-300'}`}>
+                  {entry.amount > 0 ? `+${entry.amount}` : entry.amount}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">Balance {entry.balanceAfter}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="py-8 text-center text-gray-500 dark:text-gray-400">
+          <Package size={32} className="mx-auto mb-3 text-gray-400 dark:text-gray-600" />
+          <p>No Flex Pack activity yet</p>
+          <p className="text-sm mt-1">Flex credits are used once your monthly requests run out</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * File: DataExportCard.jsx
+ * Version: 1.0.0
+ * Purpose: "Export my data" panel on the profile page.
+ * Builds the personal data ZIP in the browser, shows progress for each
+ * part of the export and downloads the result.
+ */
+
+import { useState } from 'react';
+import { Download, Loader2, CheckCircle, XCircle, Circle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { DATA_EXPORT_STEPS, exportUserData } from '../../services/dataExportService';
+
+// Icon for an export step status: 'running', 'done', 'error' or pending
+const StepIcon = ({ status }) => {
+  if (status === 'running') return <Loader2 size={16} className="text-purple-600 dark:text-purple-400 animate-spin" />;
+  if (status === 'done') return <CheckCircle size={16} className="text-green-600 dark:text-green-400" />;
+  if (status === 'error') return <XCircle size={16} className="text-red-600 dark:text-red-400" />;
+  return <Circle size={16} className="text-gray-300 dark:text-gray-600" />;
+};
+
+export default function DataExportCard({ uid }) {
+  const [exporting, setExporting] = useState(false);
+  const [progress, setProgress] = useState({});
+  const [archivePercent, setArchivePercent] = useState(0);
+
+  // Build the ZIP and download it
+  const handleExport = async () => {
+    setExporting(true);
+    setProgress({});
+    setArchivePercent(0);
+
+    try {
+      const archive = await exportUserData(uid, {
+        onProgress: (stepId, status, percent) => {
+          setProgress((prev) => ({ ...prev, [stepId]: status }));
+          if (percent !== undefined) setArchivePercent(percent);
+        }
+      });
+
+      const url = URL.createObjectURL(archive);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `engageperfect-export-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      toast.success('Your data export is ready');
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      toast.error('Could not export your data. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Your Data</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Download your profile, content, drafts, billing records and uploaded files as a ZIP.
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="mt-3 sm:mt-0 inline-flex items-center justify-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          <Download size={16} className="mr-2" />
+          {exporting ? 'Exporting...' : 'Export my data'}
+        </button>
+      </div>
+
+      {Object.keys(progress).length > 0 && (
+        <ul className="mt-4 space-y-2">
+          {DATA_EXPORT_STEPS.map((step) => (
+            <li key={step.id} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+              <StepIcon status={progress[step.id]} />
+              <span className="ml-2">
+                {step.label}
+                {step.id === 'archive' && progress.archive === 'running' && ` (${archivePercent}%)`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,14 +1,30 @@
 /**
  * File: DeleteAccountModal.jsx
- * Version: 1.0.0
+ * Version: 1.1.1
  * Purpose: Modal for confirming account deletion.
- * Requires password confirmation for security.
+ * Requires password (or Google) confirmation for security, shows progress
+ * through each deletion step and offers to finish an interrupted deletion.
  */
 
 import { useState } from 'react';
-import { X, AlertTriangle, Eye, EyeOff } from 'lucide-react';
+import { AlertTriangle, Eye, EyeOff, Loader2, CheckCircle, XCircle, Circle } from 'lucide-react';
+import { DELETION_STEPS } from '../../services/accountDeletionService';
 
-export default function DeleteAccountModal({ onClose, onDelete }) {
+// Icon for a deletion step status: 'running', 'done', 'left', 'error' or pending
+const StepIcon = ({ status }) => {
+  if (status === 'running') return <Loader2 size={16} className="text-red-600 dark:text-red-400 animate-spin" />;
+  if (status === 'done' || status === 'left') return <CheckCircle size={16} className="text-green-600 dark:text-green-400" />;
+  if (status === 'error') return <XCircle size={16} className="text-red-600 dark:text-red-400" />;
+  return <Circle size={16} className="text-gray-300 dark:text-gray-600" />;
+};
+
+export default function DeleteAccountModal({
+  onClose,
+  onDelete,
+  progress = {},
+  resuming = false,
+  requiresPassword = true
+}) {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
@@ -18,7 +34,7 @@ export default function DeleteAccountModal({ onClose, onDelete }) {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!password) {
+    if (requiresPassword && !password) {
       setError('Please enter your password to confirm deletion');
       return;
     }
@@ -31,8 +47,10 @@ export default function DeleteAccountModal({ onClose, onDelete }) {
     } catch (err) {
       console.error('Error deleting account:', err);
       
-      if (err.code === 'auth/wrong-password') {
+      if (err.code === 'auth/wrong-password' || err.code === 'auth/invalid-credential') {
         setError('Incorrect password. Please try again.');
+      } else if (err.code === 'auth/popup-closed-by-user') {
+        setError('Google confirmation was cancelled.');
       } else {
         setError(err.message || 'Failed to delete account. Please try again.');
       }
@@ -47,7 +65,7 @@ export default function DeleteAccountModal({ onClose, onDelete }) {
         {/* Background overlay */}
         <div 
           className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" 
-          onClick={onClose}
+          onClick={loading ? undefined : onClose}
           aria-hidden="true"
         ></div>
 
@@ -64,7 +82,9 @@ export default function DeleteAccountModal({ onClose, onDelete }) {
                 </h3>
                 <div className="mt-2">
                   <p className="text-sm text-gray-500 dark:text-gray-400">
-                    This action cannot be undone. This will permanently delete your account and remove your data from our servers.
+                    {resuming
+                      ? 'Deleting your account was interrupted. Confirm again to finish removing your data.'
+                      : 'This action cannot be undone. This will permanently delete your account, your content and uploaded files, and cancel any active subscription.'}
                   </p>
                 </div>
               </div>
@@ -77,44 +97,68 @@ export default function DeleteAccountModal({ onClose, onDelete }) {
               </div>
             )}
             
+            {/* Deletion progress */}
+            {(loading || Object.keys(progress).length > 0) && (
+              <ul className="mt-4 space-y-2">
+                {DELETION_STEPS.map((step) => (
+                  <li key={step.id} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                    <StepIcon status={progress[step.id]} />
+                    <span className="ml-2">{step.label}</span>
+                    {progress[step.id] === 'left' && (
+                      <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">
+                        (Stripe removes the rest when it deletes your customer record)
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            
             {/* Password confirmation form */}
             <form onSubmit={handleSubmit} className="mt-5">
-              <div>
-                <label 
-                  htmlFor="password" 
-                  className="block text-sm font-medium text-gray-700 dark:text-gray-300"
-                >
-                  Enter your password to confirm
-                </label>
-                <div className="relative mt-1">
-                  <input
-                    type={showPassword ? "text" : "password"}
-                    name="password"
-                    id="password"
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 dark:bg-gray-700 dark:text-white sm:text-sm"
-                    placeholder="Your current password"
-                  />
-                  <button
-                    type="button"
-                    className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-500 dark:hover:text-gray-300"
-                    onClick={() => setShowPassword(!showPassword)}
+              {requiresPassword ? (
+                <div>
+                  <label 
+                    htmlFor="password" 
+                    className="block text-sm font-medium text-gray-700 dark:text-gray-300"
                   >
-                    {showPassword ? (
-                      <EyeOff className="h-5 w-5" />
-                    ) : (
-                      <Eye className="h-5 w-5" />
-                    )}
-                  </button>
+                    Enter your password to confirm
+                  </label>
+                  <div className="relative mt-1">
+                    <input
+                      type={showPassword ? "text" : "password"}
+                      name="password"
+                      id="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 dark:bg-gray-700 dark:text-white sm:text-sm"
+                      placeholder="Your current password"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-500 dark:hover:text-gray-300"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5" />
+                      ) : (
+                        <Eye className="h-5 w-5" />
+                      )}
+                    </button>
+                  </div>
                 </div>
-              </div>
+              ) : (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  You will be asked to confirm with Google.
+                </p>
+              )}
               
               {/* Actions */}
               <div className="mt-5 sm:mt-6 flex justify-end space-x-3">
                 <button
                   type="button"
                   onClick={onClose}
+                  disabled={loading}
                   className="px-4 py-2 border border-gray-300 dark:border-gray-600 shadow-sm text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
                 >
                   Cancel
@@ -126,7 +170,7 @@ export default function DeleteAccountModal({ onClose, onDelete }) {
                     loading ? 'opacity-70 cursor-not-allowed' : ''
                   }`}
                 >
-                  {loading ? 'Deleting...' : 'Delete Account'}
+                  {loading ? 'Deleting...' : resuming ? 'Finish Deleting' : 'Delete Account'}
                 </button>
               </div>
             </form>
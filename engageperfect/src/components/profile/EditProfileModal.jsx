@@ -1,23 +1,22 @@
 /**
  * File: EditProfileModal.jsx
- * Version: 1.0.0
+ * Version: 1.2.0
  * Purpose: Modal for editing user profile information.
- * Allows updating display name, email, and user preferences.
+ * Allows updating display name and email. Content defaults live on the
+ * settings page.
+ * Changing the email asks for the current password (or a Google
+ * confirmation) and sends a verification link to the new address.
  */
 
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { X } from 'lucide-react';
 
-export default function EditProfileModal({ profile, onClose, onSubmit }) {
+export default function EditProfileModal({ profile, onClose, onSubmit, requiresPassword = true }) {
   const [formData, setFormData] = useState({
     displayName: '',
     email: '',
-    preferences: {
-      defaultPlatform: '',
-      defaultTone: '',
-      defaultNiche: '',
-      defaultGoal: ''
-    }
+    currentPassword: ''
   });
   
   const [errors, setErrors] = useState({});
@@ -29,16 +28,13 @@ export default function EditProfileModal({ profile, onClose, onSubmit }) {
       setFormData({
         displayName: profile.displayName || '',
         email: profile.email || '',
-        preferences: {
-          defaultPlatform: profile.preferences?.defaultPlatform || '',
-          defaultTone: profile.preferences?.defaultTone || '',
-          defaultNiche: profile.preferences?.defaultNiche || '',
-          defaultGoal: profile.preferences?.defaultGoal || ''
-        }
+        currentPassword: ''
       });
     }
   }, [profile]);
 
+  const emailChanged = Boolean(profile) && formData.email.trim() !== (profile.email || '');
+
   // Validate form input
   const validateForm = () => {
     const newErrors = {};
@@ -54,6 +50,11 @@ export default function EditProfileModal({ profile, onClose, onSubmit }) {
     } else if (!/^\S+@\S+\.\S+$/.test(formData.email)) {
       newErrors.email = 'Invalid email format';
     }
+
+    // Changing the email needs the current password
+    if (emailChanged && requiresPassword && !formData.currentPassword) {
+      newErrors.currentPassword = 'Enter your current password to change your email';
+    }
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -68,19 +69,31 @@ export default function EditProfileModal({ profile, onClose, onSubmit }) {
     setLoading(true);
     
     try {
-      await onSubmit(formData);
+      await onSubmit({ ...formData, email: formData.email.trim() });
     } catch (error) {
       console.error('Error updating profile:', error);
       
       // Set form-level error for server-side validation failures
-      if (error.code === 'auth/requires-recent-login') {
-        setErrors({ 
-          form: 'For security, please log out and log back in to change your email.' 
+      if (error.code === 'auth/wrong-password' || error.code === 'auth/invalid-credential') {
+        setErrors({
+          currentPassword: 'Current password is incorrect.'
         });
       } else if (error.code === 'auth/email-already-in-use') {
         setErrors({
           email: 'This email is already in use by another account.'
         });
+      } else if (error.code === 'auth/invalid-email') {
+        setErrors({
+          email: 'Invalid email format'
+        });
+      } else if (error.code === 'auth/popup-closed-by-user' || error.code === 'auth/cancelled-popup-request') {
+        setErrors({
+          form: 'Confirm with Google to change your email.'
+        });
+      } else if (error.code === 'auth/too-many-requests') {
+        setErrors({
+          form: 'Too many attempts. Please wait a moment and try again.'
+        });
       } else {
         setErrors({ 
           form: error.message || 'An error occurred. Please try again.' 
@@ -94,23 +107,10 @@ export default function EditProfileModal({ profile, onClose, onSubmit }) {
   // Handle input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
-    
-    // Handle nested preferences
-    if (name.startsWith('preferences.')) {
-      const preferenceField = name.split('.')[1];
-      setFormData(prev => ({
-        ...prev,
-        preferences: {
-          ...prev.preferences,
-          [preferenceField]: value
-        }
-      }));
-    } else {
-      setFormData(prev => ({
-        ...prev,
-        [name]: value
-      }));
-    }
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
   };
 
   return (
@@ -196,115 +196,56 @@ export default function EditProfileModal({ profile, onClose, onSubmit }) {
                       {errors.email}
                     </p>
                   )}
+                  {emailChanged && !errors.email && (
+                    <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                      We'll send a link to the new address. Your email changes once you follow it.
+                    </p>
+                  )}
                 </div>
-                
-                {/* Preferences Section */}
-                <div className="mt-6">
-                  <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
-                    Default Content Preferences
-                  </h4>
-                  
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {/* Default Platform */}
-                    <div>
-                      <label 
-                        htmlFor="defaultPlatform" 
-                        className="block text-sm font-medium text-gray-700 dark:text-gray-300"
-                      >
-                        Default Platform
-                      </label>
-                      <select
-                        name="preferences.defaultPlatform"
-                        id="defaultPlatform"
-                        value={formData.preferences.defaultPlatform}
-                        onChange={handleChange}
-                        className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm"
-                      >
-                        <option value="">Select Platform</option>
-                        <option value="instagram">Instagram</option>
-                        <option value="twitter">Twitter</option>
-                        <option value="facebook">Facebook</option>
-                        <option value="linkedin">LinkedIn</option>
-                        <option value="tiktok">TikTok</option>
-                      </select>
-                    </div>
-                    
-                    {/* Default Tone */}
-                    <div>
-                      <label 
-                        htmlFor="defaultTone" 
-                        className="block text-sm font-medium text-gray-700 dark:text-gray-300"
-                      >
-                        Default Tone
-                      </label>
-                      <select
-                        name="preferences.defaultTone"
-                        id="defaultTone"
-                        value={formData.preferences.defaultTone}
-                        onChange={handleChange}
-                        className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm"
-                      >
-                        <option value="">Select Tone</option>
-                        <option value="professional">Professional</option>
-                        <option value="casual">Casual</option>
-                        <option value="humorous">Humorous</option>
-                        <option value="inspirational">Inspirational</option>
-                        <option value="educational">Educational</option>
-                      </select>
-                    </div>
-                    
-                    {/* Default Niche */}
-                    <div>
-                      <label 
-                        htmlFor="defaultNiche" 
-                        className="block text-sm font-medium text-gray-700 dark:text-gray-300"
-                      >
-                        Default Niche
-                      </label>
-                      <select
-                        name="preferences.defaultNiche"
-                        id="defaultNiche"
-                        value={formData.preferences.defaultNiche}
-                        onChange={handleChange}
-                        className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm"
-                      >
-                        <option value="">Select Niche</option>
-                        <option value="technology">Technology</option>
-                        <option value="business">Business</option>
-                        <option value="health">Health & Fitness</option>
-                        <option value="fashion">Fashion</option>
-                        <option value="food">Food</option>
-                        <option value="travel">Travel</option>
-                        <option value="education">Education</option>
-                      </select>
-                    </div>
-                    
-                    {/* Default Goal */}
-                    <div>
-                      <label 
-                        htmlFor="defaultGoal" 
-                        className="block text-sm font-medium text-gray-700 dark:text-gray-300"
-                      >
-                        Default Goal
-                      </label>
-                      <select
-                        name="preferences.defaultGoal"
-                        id="defaultGoal"
-                        value={formData.preferences.defaultGoal}
-                        onChange={handleChange}
-                        className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm"
-                      >
-                        <option value="">Select Goal</option>
-                        <option value="engagement">Boost Engagement</option>
-                        <option value="awareness">Build Awareness</option>
-                        <option value="followers">Grow Followers</option>
-                        <option value="sales">Drive Sales</option>
-                        <option value="traffic">Generate Traffic</option>
-                        <option value="leads">Generate Leads</option>
-                      </select>
-                    </div>
+
+                {/* Re-authentication for an email change */}
+                {emailChanged && (requiresPassword ? (
+                  <div>
+                    <label 
+                      htmlFor="currentPassword" 
+                      className="block text-sm font-medium text-gray-700 dark:text-gray-300"
+                    >
+                      Current Password
+                    </label>
+                    <input
+                      type="password"
+                      name="currentPassword"
+                      id="currentPassword"
+                      autoComplete="current-password"
+                      value={formData.currentPassword}
+                      onChange={handleChange}
+                      className={`mt-1 block w-full px-3 py-2 border ${
+                        errors.currentPassword ? 'border-red-300 dark:border-red-600' : 'border-gray-300 dark:border-gray-600'
+                      } rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm`}
+                    />
+                    {errors.currentPassword && (
+                      <p className="mt-1 text-sm text-red-600 dark:text-red-400">
+                        {errors.currentPassword}
+                      </p>
+                    )}
                   </div>
-                </div>
+                ) : (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    You'll be asked to confirm with Google when you save.
+                  </p>
+                ))}
+                
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Default platform, tone, niche and goal are in{' '}
+                  <Link
+                    to="/settings/content"
+                    onClick={onClose}
+                    className="font-medium text-purple-600 hover:text-purple-500 dark:text-purple-400"
+                  >
+                    Settings
+                  </Link>
+                  .
+                </p>
               </div>
               
               {/* Form actions */}
@@ -1,79 +1,59 @@
 /**
  * File: UpgradeSubscriptionModal.jsx
- * Version: 1.0.0
+ * Version: 1.2.0
  * Purpose: Modal for displaying subscription plan options.
- * Allows users to upgrade from free to premium plans.
+ * Allows users to upgrade from free to premium plans. Checkout errors are
+ * shown inline and a pending checkout can be cancelled. Plans come from
+ * the shared plan catalog.
  */
 
-import { useState } from 'react';
-import { X, Check } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { X, Check, AlertTriangle } from 'lucide-react';
+import { CHECKOUT_PLANS, getCheckoutPlan } from '../../constants/plans';
+
+// Recurring plans shown as cards; one-time packs are offered below them
+const SUBSCRIPTION_PLANS = CHECKOUT_PLANS.filter((plan) => plan.mode === 'subscription');
+const FLEX_PACK = getCheckoutPlan('flexy');
 
 export default function UpgradeSubscriptionModal({ onClose, onSelectPlan, currentPlan }) {
   const [selectedPlan, setSelectedPlan] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
 
-  // Define plans
-  const plans = [
-    {
-      id: 'basic_month',
-      name: 'Basic',
-      price: '9.99',
-      interval: 'month',
-      features: [
-        'Up to 75 requests per month',
-        'Access to all basic content types',
-        'Download as PNG, JPG, PDF',
-        'Standard support'
-      ],
-      highlight: false
-    },
-    {
-      id: 'premium_month',
-      name: 'Premium',
-      price: '29.99',
-      interval: 'month',
-      features: [
-        'Up to 250 requests per month',
-        'Access to all premium content types',
-        'All export formats',
-        'Priority support',
-        'Content analytics',
-        'API access'
-      ],
-      highlight: true
-    },
-    {
-      id: 'premium_year',
-      name: 'Premium (Annual)',
-      price: '299.99',
-      interval: 'year',
-      features: [
-        'Up to 3000 requests per year',
-        'Access to all premium content types',
-        'All export formats',
-        'Priority support',
-        'Content analytics',
-        'API access',
-        '15% savings compared to monthly'
-      ],
-      highlight: false
-    }
-  ];
+  // Cancels a pending checkout when the user backs out or the modal closes
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
 
   // Handle plan selection
   const handleSelectPlan = async (planId) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     setSelectedPlan(planId);
+    setError('');
     setLoading(true);
     
     try {
-      await onSelectPlan(planId);
+      await onSelectPlan(planId, { signal: controller.signal });
     } catch (error) {
-      console.error('Error selecting plan:', error);
+      if (error.code !== 'checkout/aborted') {
+        console.error('Error selecting plan:', error);
+        setError(error.message || 'Failed to start checkout. Please try again.');
+      }
     } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
       setLoading(false);
     }
   };
 
+  // Stop waiting for a checkout that is taking too long
+  const handleCancelCheckout = () => {
+    abortControllerRef.current?.abort();
+  };
+
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto">
       <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
@@ -105,9 +85,31 @@ export default function UpgradeSubscriptionModal({ onClose, onSelectPlan, curren
               </p>
             </div>
             
+            {/* Checkout error */}
+            {error && (
+              <div className="flex items-start bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300 p-3 rounded-md mb-6 text-sm">
+                <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            {/* Pending checkout */}
+            {loading && (
+              <div className="flex justify-center items-center text-sm text-gray-600 dark:text-gray-400 mb-6">
+                <span>Preparing secure checkout...</span>
+                <button
+                  type="button"
+                  onClick={handleCancelCheckout}
+                  className="ml-3 font-medium text-purple-600 dark:text-purple-400 hover:text-purple-500"
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+
             {/* Plans grid */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-              {plans.map((plan) => (
+              {SUBSCRIPTION_PLANS.map((plan) => (
                 <div 
                   key={plan.id} 
                   className={`rounded-lg border ${
@@ -152,7 +154,7 @@ export default function UpgradeSubscriptionModal({ onClose, onSelectPlan, curren
                     {/* Select button */}
                     <button
                       onClick={() => handleSelectPlan(plan.id)}
-                      disabled={loading || currentPlan === plan.id}
+                      disabled={loading || currentPlan === plan.planType}
                       className={`mt-8 w-full py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
                         plan.highlight 
                           ? 'bg-purple-600 hover:bg-purple-700 focus:ring-purple-500' 
@@ -160,12 +162,12 @@ export default function UpgradeSubscriptionModal({ onClose, onSelectPlan, curren
                       } focus:outline-none focus:ring-2 focus:ring-offset-2 ${
                         loading ? 'opacity-70 cursor-not-allowed' : ''
                       } ${
-                        currentPlan === plan.id ? 'bg-gray-400 cursor-not-allowed' : ''
+                        currentPlan === plan.planType ? 'bg-gray-400 cursor-not-allowed' : ''
                       }`}
                     >
                       {loading && selectedPlan === plan.id
                         ? 'Processing...'
-                        : currentPlan === plan.id
+                        : currentPlan === plan.planType
                           ? 'Current Plan'
                           : 'Select Plan'}
                     </button>
@@ -180,10 +182,13 @@ export default function UpgradeSubscriptionModal({ onClose, onSelectPlan, curren
                 Need a custom solution or prefer to pay as you go?
               </p>
               <button
-                onClick={() => handleSelectPlan('flexy')}
-                className="text-purple-600 dark:text-purple-400 font-medium"
+                onClick={() => handleSelectPlan(FLEX_PACK.id)}
+                disabled={loading}
+                className="text-purple-600 dark:text-purple-400 font-medium disabled:opacity-50"
               >
-                View Flex Pack options
+                {loading && selectedPlan === FLEX_PACK.id
+                  ? 'Processing...'
+                  : `Buy a ${FLEX_PACK.name}: ${FLEX_PACK.features[0]} for $${FLEX_PACK.price}`}
               </button>
             </div>
           </div>
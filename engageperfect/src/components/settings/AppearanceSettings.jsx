@@ -0,0 +1,54 @@
+/**
+ * File: AppearanceSettings.jsx
+ * Version: 1.0.0
+ * Purpose: Theme tab of the settings page.
+ * Same choice as the navbar theme toggle, shown as selectable cards.
+ */
+
+import { Sun, Moon, Monitor } from 'lucide-react';
+import { useTheme } from '../../context/ThemeProvider';
+
+export default function AppearanceSettings() {
+  const { theme, setTheme, themes } = useTheme();
+
+  const options = [
+    { value: themes.light, label: 'Light', description: 'Always use the light theme', icon: <Sun size={20} /> },
+    { value: themes.dark, label: 'Dark', description: 'Always use the dark theme', icon: <Moon size={20} /> },
+    { value: themes.system, label: 'System', description: 'Follow your device setting', icon: <Monitor size={20} /> }
+  ];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Theme</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+        Saved on this device.
+      </p>
+
+      <div className="mt-6 grid grid-cols-1 sm:grid-cols-3 gap-4" role="radiogroup" aria-label="Theme">
+        {options.map(({ value, label, description, icon }) => {
+          const selected = theme === value;
+          return (
+            <button
+              key={value}
+              type="button"
+              role="radio"
+              aria-checked={selected}
+              onClick={() => setTheme(value)}
+              className={`p-4 rounded-lg border-2 text-left transition-colors focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                selected
+                  ? 'border-purple-600 bg-purple-50 dark:bg-purple-900/20'
+                  : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600'
+              }`}
+            >
+              <span className={selected ? 'text-purple-600 dark:text-purple-400' : 'text-gray-500 dark:text-gray-400'}>
+                {icon}
+              </span>
+              <p className="mt-2 text-sm font-medium text-gray-900 dark:text-white">{label}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">{description}</p>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * File: BillingSettings.jsx
+ * Version: 1.2.0
+ * Purpose: Billing tab of the settings page.
+ * Summarizes the current plan, opens the Stripe Customer Portal and lists
+ * invoices and receipts. Opening the portal needs a verified email.
+ */
+
+import { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { useSubscription } from '../../hooks/useSubscription';
+import { getPlanType } from '../../constants/plans';
+import { getSubscriptionNotice } from '../../services/subscriptionService';
+import createBillingPortalLink from '../../services/createBillingPortalLink';
+import BillingHistoryCard from '../profile/BillingHistoryCard';
+
+export default function BillingSettings({ uid }) {
+  const { user } = useAuth();
+  const subscription = useSubscription();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [openingPortal, setOpeningPortal] = useState(false);
+
+  const notice = getSubscriptionNotice(subscription);
+
+  // Open the Stripe Customer Portal to manage the subscription
+  const handleManageSubscription = async () => {
+    if (!user?.emailVerified) {
+      navigate('/verify-email', { state: { from: location } });
+      return;
+    }
+
+    setOpeningPortal(true);
+    try {
+      const portalUrl = await createBillingPortalLink(window.location.origin);
+      window.location.assign(portalUrl);
+    } catch (error) {
+      toast.error(error.message);
+      setOpeningPortal(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Plan</h2>
+
+        <div className="mt-4 flex flex-col sm:flex-row sm:justify-between sm:items-center">
+          <div>
+            <p className="text-sm font-medium text-gray-900 dark:text-white">
+              {subscription.loading ? '...' : getPlanType(subscription.planType).label}
+              {notice && ` · ${notice.label}`}
+            </p>
+            {subscription.renewsAt && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                {subscription.cancelAtPeriodEnd ? 'Ends on' : 'Renews on'}{' '}
+                {subscription.renewsAt.toLocaleDateString()}
+              </p>
+            )}
+          </div>
+
+          {subscription.isPaid ? (
+            <button
+              onClick={handleManageSubscription}
+              disabled={openingPortal}
+              className="mt-3 sm:mt-0 inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+            >
+              {openingPortal ? 'Opening...' : 'Manage Subscription'}
+            </button>
+          ) : (
+            <Link
+              to="/profile"
+              className="mt-3 sm:mt-0 inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+            >
+              View Plans
+            </Link>
+          )}
+        </div>
+      </div>
+
+      <BillingHistoryCard uid={uid} />
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+/**
+ * File: ConnectedAccountsSettings.jsx
+ * Version: 1.0.0
+ * Purpose: Connected accounts tab of the settings page.
+ * Shows the account's sign-in methods and links or unlinks Google.
+ */
+
+import { useState } from 'react';
+import { CheckCircle, KeyRound } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+
+// Messages for errors the user can act on
+const LINK_ERROR_MESSAGES = {
+  'auth/credential-already-in-use': 'That Google account is already used by another EngagePerfect account.',
+  'auth/email-already-in-use': 'That Google account is already used by another EngagePerfect account.',
+  'auth/requires-recent-login': 'For security, please sign in again before changing sign-in methods.'
+};
+
+// Closing the popup is not an error worth reporting
+const CANCELLED_POPUP_CODES = ['auth/popup-closed-by-user', 'auth/cancelled-popup-request'];
+
+export default function ConnectedAccountsSettings() {
+  const { user, canReauthenticateWithPassword, linkGoogleAccount, unlinkGoogleAccount } = useAuth();
+  const [working, setWorking] = useState(false);
+
+  const googleProvider = user?.providerData?.find((provider) => provider.providerId === 'google.com');
+
+  const handleLinkGoogle = async () => {
+    setWorking(true);
+    try {
+      await linkGoogleAccount();
+      toast.success('Google account connected');
+    } catch (error) {
+      if (!CANCELLED_POPUP_CODES.includes(error.code)) {
+        console.error('Error linking Google account:', error);
+        toast.error(LINK_ERROR_MESSAGES[error.code] || 'Could not connect your Google account. Please try again.');
+      }
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleUnlinkGoogle = async () => {
+    setWorking(true);
+    try {
+      await unlinkGoogleAccount();
+      toast.success('Google account disconnected');
+    } catch (error) {
+      console.error('Error unlinking Google account:', error);
+      toast.error(LINK_ERROR_MESSAGES[error.code] || 'Could not disconnect your Google account. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Connected Accounts</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+        Ways you can sign in to EngagePerfect.
+      </p>
+
+      <ul className="mt-6 divide-y divide-gray-200 dark:divide-gray-700">
+        {/* Email and password */}
+        <li className="py-4 flex items-center justify-between">
+          <div className="flex items-center">
+            <KeyRound size={20} className="text-gray-500 dark:text-gray-400 mr-3" />
+            <div>
+              <p className="text-sm font-medium text-gray-900 dark:text-white">Email and password</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {canReauthenticateWithPassword ? user.email : 'No password set'}
+              </p>
+            </div>
+          </div>
+          {canReauthenticateWithPassword && (
+            <span className="inline-flex items-center text-sm text-green-600 dark:text-green-400">
+              <CheckCircle size={16} className="mr-1" />
+              Connected
+            </span>
+          )}
+        </li>
+
+        {/* Google */}
+        <li className="py-4 flex items-center justify-between">
+          <div className="flex items-center">
+            <svg className="h-5 w-5 mr-3" viewBox="0 0 24 24" aria-hidden="true">
+              <path d="M21.35,11.1H12.18V13.83H18.69C18.36,17.64 15.19,19.27 12.19,19.27C8.36,19.27 5,16.25 5,12C5,7.9 8.2,4.73 12.2,4.73C15.29,4.73 17.1,6.7 17.1,6.7L19,4.72C19,4.72 16.56,2 12.1,2C6.42,2 2.03,6.8 2.03,12C2.03,17.05 6.16,22 12.25,22C17.6,22 21.5,18.33 21.5,12.91C21.5,11.76 21.35,11.1 21.35,11.1V11.1Z" fill="#4285F4" />
+            </svg>
+            <div>
+              <p className="text-sm font-medium text-gray-900 dark:text-white">Google</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {googleProvider ? googleProvider.email : 'Not connected'}
+              </p>
+            </div>
+          </div>
+          {googleProvider ? (
+            <button
+              onClick={handleUnlinkGoogle}
+              disabled={working || !canReauthenticateWithPassword}
+              title={canReauthenticateWithPassword ? undefined : 'Google is your only way to sign in'}
+              className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Disconnect
+            </button>
+          ) : (
+            <button
+              onClick={handleLinkGoogle}
+              disabled={working}
+              className="px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+            >
+              {working ? 'Connecting...' : 'Connect'}
+            </button>
+          )}
+        </li>
+      </ul>
+    </div>
+  );
+}
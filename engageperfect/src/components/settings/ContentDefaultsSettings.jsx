@@ -0,0 +1,126 @@
+/**
+ * File: ContentDefaultsSettings.jsx
+ * Version: 1.0.0
+ * Purpose: Content defaults tab of the settings page.
+ * Edits users/{uid}.preferences, which pre-fill the caption and blog
+ * generators.
+ */
+
+import { useEffect, useState } from 'react';
+import { doc, getDoc, updateDoc } from 'firebase/firestore';
+import { toast } from 'react-hot-toast';
+import { db } from '../../services/firebase';
+import {
+  PLATFORM_OPTIONS,
+  TONE_OPTIONS,
+  NICHE_OPTIONS,
+  GOAL_OPTIONS
+} from '../../constants/contentOptions';
+
+// One select per stored preference
+const PREFERENCE_FIELDS = [
+  { name: 'defaultPlatform', label: 'Default Platform', placeholder: 'Select Platform', options: PLATFORM_OPTIONS },
+  { name: 'defaultTone', label: 'Default Tone', placeholder: 'Select Tone', options: TONE_OPTIONS },
+  { name: 'defaultNiche', label: 'Default Niche', placeholder: 'Select Niche', options: NICHE_OPTIONS },
+  { name: 'defaultGoal', label: 'Default Goal', placeholder: 'Select Goal', options: GOAL_OPTIONS }
+];
+
+const EMPTY_PREFERENCES = {
+  defaultPlatform: '',
+  defaultTone: '',
+  defaultNiche: '',
+  defaultGoal: ''
+};
+
+export default function ContentDefaultsSettings({ uid }) {
+  const [preferences, setPreferences] = useState(EMPTY_PREFERENCES);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Load saved preferences
+  useEffect(() => {
+    if (!uid) return;
+
+    const fetchPreferences = async () => {
+      try {
+        const userDoc = await getDoc(doc(db, 'users', uid));
+        const saved = userDoc.exists() ? userDoc.data().preferences || {} : {};
+        setPreferences({ ...EMPTY_PREFERENCES, ...saved });
+      } catch (error) {
+        console.error('Error loading content defaults:', error);
+        toast.error('Could not load your content defaults');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreferences();
+  }, [uid]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setPreferences((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      await updateDoc(doc(db, 'users', uid), { preferences });
+      toast.success('Content defaults saved');
+    } catch (error) {
+      console.error('Error saving content defaults:', error);
+      toast.error('Could not save your content defaults. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Content Defaults</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+        Pre-filled when you start a new caption or blog post.
+      </p>
+
+      <form onSubmit={handleSubmit} className="mt-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {PREFERENCE_FIELDS.map((field) => (
+            <div key={field.name}>
+              <label
+                htmlFor={field.name}
+                className="block text-sm font-medium text-gray-700 dark:text-gray-300"
+              >
+                {field.label}
+              </label>
+              <select
+                name={field.name}
+                id={field.name}
+                value={preferences[field.name]}
+                onChange={handleChange}
+                disabled={loading}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm"
+              >
+                <option value="">{field.placeholder}</option>
+                {field.options.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-6 flex justify-end">
+          <button
+            type="submit"
+            disabled={loading || saving}
+            className="px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Save Defaults'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+/**
+ * File: NotificationSettings.jsx
+ * Version: 1.0.0
+ * Purpose: Notifications tab of the settings page.
+ * Stores which emails the user wants in users/{uid}.notification_settings.
+ * Each toggle saves immediately and rolls back if the write fails.
+ */
+
+import { useEffect, useState } from 'react';
+import { doc, getDoc, updateDoc } from 'firebase/firestore';
+import { toast } from 'react-hot-toast';
+import { db } from '../../services/firebase';
+
+// Email types and whether they are on for users who never changed them
+const NOTIFICATION_OPTIONS = [
+  {
+    key: 'usage_alerts',
+    label: 'Usage alerts',
+    description: 'When you are close to your monthly request limit',
+    defaultValue: true
+  },
+  {
+    key: 'billing',
+    label: 'Billing',
+    description: 'Receipts, renewals and payment problems',
+    defaultValue: true
+  },
+  {
+    key: 'product_updates',
+    label: 'Product updates',
+    description: 'New features and improvements',
+    defaultValue: false
+  },
+  {
+    key: 'tips',
+    label: 'Tips',
+    description: 'Ideas for getting more out of your content',
+    defaultValue: false
+  }
+];
+
+const DEFAULT_NOTIFICATION_SETTINGS = Object.fromEntries(
+  NOTIFICATION_OPTIONS.map((option) => [option.key, option.defaultValue])
+);
+
+export default function NotificationSettings({ uid }) {
+  const [settings, setSettings] = useState(DEFAULT_NOTIFICATION_SETTINGS);
+  const [loading, setLoading] = useState(true);
+
+  // Load saved settings
+  useEffect(() => {
+    if (!uid) return;
+
+    const fetchSettings = async () => {
+      try {
+        const userDoc = await getDoc(doc(db, 'users', uid));
+        const saved = userDoc.exists() ? userDoc.data().notification_settings || {} : {};
+        setSettings({ ...DEFAULT_NOTIFICATION_SETTINGS, ...saved });
+      } catch (error) {
+        console.error('Error loading notification settings:', error);
+        toast.error('Could not load your notification settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSettings();
+  }, [uid]);
+
+  const handleToggle = async (key) => {
+    const enabled = !settings[key];
+    setSettings((prev) => ({ ...prev, [key]: enabled }));
+
+    try {
+      await updateDoc(doc(db, 'users', uid), { [`notification_settings.${key}`]: enabled });
+    } catch (error) {
+      console.error('Error saving notification setting:', error);
+      setSettings((prev) => ({ ...prev, [key]: !enabled }));
+      toast.error('Could not save your notification settings. Please try again.');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Email Notifications</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+        Choose which emails we send to you. Security emails, such as password resets, are always sent.
+      </p>
+
+      <ul className="mt-6 divide-y divide-gray-200 dark:divide-gray-700">
+        {NOTIFICATION_OPTIONS.map((option) => (
+          <li key={option.key} className="py-4 flex items-center justify-between">
+            <div className="pr-4">
+              <p className="text-sm font-medium text-gray-900 dark:text-white">{option.label}</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">{option.description}</p>
+            </div>
+            <button
+              type="button"
+              role="switch"
+              aria-checked={settings[option.key]}
+              aria-label={option.label}
+              onClick={() => handleToggle(option.key)}
+              disabled={loading}
+              className={`relative inline-flex h-6 w-11 flex-shrink-0 rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-50 ${
+                settings[option.key] ? 'bg-purple-600' : 'bg-gray-200 dark:bg-gray-600'
+              }`}
+            >
+              <span
+                className={`inline-block h-5 w-5 mt-0.5 rounded-full bg-white shadow transform transition-transform ${
+                  settings[option.key] ? 'translate-x-5' : 'translate-x-0.5'
+                }`}
+              ></span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * File: SecuritySettings.jsx
+ * Version: 1.1.0
+ * Purpose: Security tab of the settings page.
+ * Password changes, two-factor authentication, the sign-in email and
+ * signing out of this device.
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import ChangePasswordModal from '../profile/ChangePasswordModal';
+import TwoFactorSettings from './TwoFactorSettings';
+
+export default function SecuritySettings() {
+  const { user, logout, canReauthenticateWithPassword, changePassword } = useAuth();
+  const navigate = useNavigate();
+  const [showChangePassword, setShowChangePassword] = useState(false);
+
+  // Errors are rethrown so the modal can show them
+  const handlePasswordChange = async ({ currentPassword, newPassword }) => {
+    await changePassword(currentPassword, newPassword);
+    toast.success('Password changed successfully');
+    setShowChangePassword(false);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      navigate('/login');
+    } catch (error) {
+      console.error('Error signing out:', error);
+      toast.error('Could not sign out. Please try again.');
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Security</h2>
+
+        <ul className="mt-4 divide-y divide-gray-200 dark:divide-gray-700">
+          {/* Email */}
+          <li className="py-4 flex items-center justify-between">
+            <div className="pr-4">
+              <p className="text-sm font-medium text-gray-900 dark:text-white">Email</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">{user?.email}</p>
+            </div>
+            <Link
+              to="/profile"
+              className="text-sm font-medium text-purple-600 hover:text-purple-500 dark:text-purple-400"
+            >
+              Change on profile
+            </Link>
+          </li>
+
+          {/* Password */}
+          <li className="py-4 flex items-center justify-between">
+            <div className="pr-4">
+              <p className="text-sm font-medium text-gray-900 dark:text-white">Password</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {canReauthenticateWithPassword
+                  ? 'Use a password you do not use anywhere else.'
+                  : 'You sign in with Google, so there is no password to change.'}
+              </p>
+            </div>
+            {canReauthenticateWithPassword && (
+              <button
+                onClick={() => setShowChangePassword(true)}
+                className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+              >
+                Change Password
+              </button>
+            )}
+          </li>
+
+          {/* Session */}
+          <li className="py-4 flex items-center justify-between">
+            <div className="pr-4">
+              <p className="text-sm font-medium text-gray-900 dark:text-white">This device</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">Sign out of EngagePerfect in this browser.</p>
+            </div>
+            <button
+              onClick={handleLogout}
+              className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+            >
+              Sign Out
+            </button>
+          </li>
+        </ul>
+
+        {showChangePassword && (
+          <ChangePasswordModal
+            onClose={() => setShowChangePassword(false)}
+            onSubmit={handlePasswordChange}
+          />
+        )}
+      </div>
+
+      <TwoFactorSettings />
+    </div>
+  );
+}
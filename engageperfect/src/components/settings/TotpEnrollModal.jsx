@@ -0,0 +1,258 @@
+/**
+ * File: TotpEnrollModal.jsx
+ * Version: 1.0.1
+ * Purpose: Modal for turning on two-factor authentication.
+ * Confirms the user's identity, shows a QR code for their authenticator app,
+ * checks a first code and then shows the recovery codes once.
+ */
+
+import { useState } from 'react';
+import { X, Copy, Download } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { auth } from '../../services/firebase';
+import { finishTotpEnrollment, startTotpEnrollment } from '../../services/mfaService';
+
+// Messages for errors the user can act on
+const ENROLL_ERROR_MESSAGES = {
+  'auth/wrong-password': 'Current password is incorrect.',
+  'auth/invalid-credential': 'Current password is incorrect.',
+  'auth/invalid-verification-code': 'That code is not correct. Check your authenticator app and try again.',
+  'auth/unverified-email': 'Verify your email address before turning on two-factor authentication.',
+  'auth/operation-not-allowed': 'Two-factor authentication is not available right now.',
+  'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.'
+};
+
+export default function TotpEnrollModal({ onClose, onEnrolled }) {
+  const { user, reauthenticate, canReauthenticateWithPassword } = useAuth();
+  // confirm -> scan -> codes
+  const [step, setStep] = useState('confirm');
+  const [password, setPassword] = useState('');
+  const [enrollment, setEnrollment] = useState(null);
+  const [verificationCode, setVerificationCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const showError = (err) => {
+    console.error('Error enrolling two-factor authentication:', err);
+    setError(ENROLL_ERROR_MESSAGES[err.code] || err.message || 'Something went wrong. Please try again.');
+  };
+
+  // Re-authenticate, then create the TOTP secret
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await reauthenticate(password);
+      setEnrollment(await startTotpEnrollment(auth.currentUser));
+      setStep('scan');
+    } catch (err) {
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Check the first code from the app and enroll the factor
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      setRecoveryCodes(await finishTotpEnrollment(auth.currentUser, enrollment.secret, verificationCode));
+      setStep('codes');
+    } catch (err) {
+      // The factor is on even though the codes failed, so there is nothing to retry here
+      if (err.code === 'mfa/recovery-codes-unavailable') {
+        toast.error(err.message);
+        onEnrolled();
+        return;
+      }
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (err) {
+      console.error('Error copying recovery codes:', err);
+      toast.error('Could not copy. Please write the codes down.');
+    }
+  };
+
+  const handleDownloadCodes = () => {
+    const text = `EngagePerfect recovery codes for ${user.email}\nEach code can be used once.\n\n${recoveryCodes.join('\n')}\n`;
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'engageperfect-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Once enrolled, closing the modal always reports success
+  const handleClose = step === 'codes' ? onEnrolled : onClose;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={loading ? undefined : handleClose}
+          aria-hidden="true"
+        ></div>
+
+        {/* Modal panel */}
+        <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-md sm:w-full">
+          <div className="px-4 pt-5 pb-4 sm:p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+                Set Up Two-Factor Authentication
+              </h3>
+              <button
+                onClick={handleClose}
+                disabled={loading}
+                className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300 focus:outline-none"
+              >
+                <X size={20} />
+              </button>
+            </div>
+
+            {error && (
+              <div className="mb-4 p-2 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm rounded">
+                {error}
+              </div>
+            )}
+
+            {/* Step 1: confirm identity */}
+            {step === 'confirm' && (
+              <form onSubmit={handleConfirm}>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {canReauthenticateWithPassword
+                    ? 'Enter your password to continue.'
+                    : 'Confirm with Google to continue.'}
+                </p>
+                {canReauthenticateWithPassword && (
+                  <input
+                    type="password"
+                    autoComplete="current-password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="mt-3 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm"
+                    placeholder="Current password"
+                    autoFocus
+                  />
+                )}
+                <div className="mt-5 flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={loading || (canReauthenticateWithPassword && !password)}
+                    className="px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+                  >
+                    {loading ? 'Checking...' : 'Continue'}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {/* Step 2: scan the QR code and enter a code */}
+            {step === 'scan' && enrollment && (
+              <form onSubmit={handleVerify}>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy.
+                </p>
+                <img
+                  src={enrollment.qrCodeDataUrl}
+                  alt="QR code for your authenticator app"
+                  className="mx-auto my-4 h-48 w-48 bg-white p-2 rounded"
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 text-center">
+                  Can't scan it? Enter this key instead:
+                </p>
+                <p className="mt-1 font-mono text-sm text-center text-gray-900 dark:text-white break-all select-all">
+                  {enrollment.secretKey}
+                </p>
+
+                <label htmlFor="totp-code" className="block mt-5 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Six-digit code from the app
+                </label>
+                <input
+                  id="totp-code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={verificationCode}
+                  onChange={(e) => setVerificationCode(e.target.value.replace(/\D/g, ''))}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm text-center tracking-widest"
+                  placeholder="123456"
+                  autoFocus
+                />
+                <div className="mt-5 flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={loading || verificationCode.length !== 6}
+                    className="px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+                  >
+                    {loading ? 'Verifying...' : 'Turn On'}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {/* Step 3: recovery codes */}
+            {step === 'codes' && (
+              <div>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Two-factor authentication is on. Save these recovery codes somewhere safe. Each one signs you in
+                  once if you lose your authenticator app. They will not be shown again.
+                </p>
+                <ul className="mt-4 grid grid-cols-2 gap-2 p-4 bg-gray-50 dark:bg-gray-900 rounded-md font-mono text-sm text-gray-900 dark:text-white">
+                  {recoveryCodes.map((code) => (
+                    <li key={code} className="text-center">{code}</li>
+                  ))}
+                </ul>
+                <div className="mt-4 flex space-x-3">
+                  <button
+                    type="button"
+                    onClick={handleCopyCodes}
+                    className="flex-1 inline-flex items-center justify-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+                  >
+                    <Copy size={16} className="mr-2" />
+                    Copy
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleDownloadCodes}
+                    className="flex-1 inline-flex items-center justify-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+                  >
+                    <Download size={16} className="mr-2" />
+                    Download
+                  </button>
+                </div>
+                <div className="mt-5 flex justify-end">
+                  <button
+                    type="button"
+                    onClick={onEnrolled}
+                    className="px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+                  >
+                    I've saved my codes
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+/**
+ * File: TwoFactorSettings.jsx
+ * Version: 1.0.0
+ * Purpose: Two-factor authentication panel on the security tab.
+ * Shows whether an authenticator app is enrolled, starts enrollment and
+ * turns two-factor off again after re-authentication.
+ */
+
+import { useState } from 'react';
+import { ShieldCheck, ShieldOff } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { auth } from '../../services/firebase';
+import { getTotpFactor, unenrollTotp } from '../../services/mfaService';
+import TotpEnrollModal from './TotpEnrollModal';
+
+export default function TwoFactorSettings() {
+  const { reauthenticate, canReauthenticateWithPassword } = useAuth();
+  // Read from auth.currentUser, which always carries the enrolled factors
+  const [factor, setFactor] = useState(() => getTotpFactor(auth.currentUser));
+  const [showEnroll, setShowEnroll] = useState(false);
+  const [confirmingDisable, setConfirmingDisable] = useState(false);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleEnrolled = () => {
+    setShowEnroll(false);
+    setFactor(getTotpFactor(auth.currentUser));
+    toast.success('Two-factor authentication is on');
+  };
+
+  const cancelDisable = () => {
+    setConfirmingDisable(false);
+    setPassword('');
+    setError('');
+  };
+
+  // Re-authenticate (including an authenticator code), then remove the factor
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await reauthenticate(password);
+      await unenrollTotp(auth.currentUser);
+      setFactor(null);
+      cancelDisable();
+      toast.success('Two-factor authentication is off');
+    } catch (err) {
+      console.error('Error turning off two-factor authentication:', err);
+      if (err.code === 'auth/wrong-password' || err.code === 'auth/invalid-credential') {
+        setError('Current password is incorrect.');
+      } else if (err.code !== 'mfa/cancelled') {
+        setError(err.message || 'Could not turn off two-factor authentication. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start">
+        <div className="flex items-start">
+          {factor ? (
+            <ShieldCheck size={24} className="text-green-600 dark:text-green-400 mr-3 flex-shrink-0" />
+          ) : (
+            <ShieldOff size={24} className="text-gray-400 mr-3 flex-shrink-0" />
+          )}
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Two-Factor Authentication</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              {factor
+                ? `On since ${new Date(factor.enrollmentTime).toLocaleDateString()}. You'll enter a code from your authenticator app when you sign in.`
+                : 'Ask for a code from an authenticator app when you sign in, in addition to your password or Google account.'}
+            </p>
+          </div>
+        </div>
+
+        {!confirmingDisable && (
+          factor ? (
+            <button
+              onClick={() => setConfirmingDisable(true)}
+              className="mt-3 sm:mt-0 sm:ml-4 flex-shrink-0 px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+            >
+              Turn Off
+            </button>
+          ) : (
+            <button
+              onClick={() => setShowEnroll(true)}
+              className="mt-3 sm:mt-0 sm:ml-4 flex-shrink-0 px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+            >
+              Turn On
+            </button>
+          )
+        )}
+      </div>
+
+      {/* Confirm turning two-factor off */}
+      {confirmingDisable && (
+        <form onSubmit={handleDisable} className="mt-4 p-4 rounded-md border border-gray-200 dark:border-gray-700">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            {canReauthenticateWithPassword
+              ? 'Enter your password, then a code from your authenticator app, to turn off two-factor authentication.'
+              : 'Confirm with Google, then enter a code from your authenticator app, to turn off two-factor authentication.'}
+          </p>
+          {error && (
+            <p className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+          {canReauthenticateWithPassword && (
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="mt-3 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm"
+              placeholder="Current password"
+              autoFocus
+            />
+          )}
+          <div className="mt-4 flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={cancelDisable}
+              disabled={loading}
+              className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading || (canReauthenticateWithPassword && !password)}
+              className="px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-70 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Turning off...' : 'Turn Off'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {showEnroll && (
+        <TotpEnrollModal
+          onClose={() => setShowEnroll(false)}
+          onEnrolled={handleEnrolled}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * File: Avatar.jsx
+ * Version: 1.0.0
+ * Purpose: Round user avatar with an initials placeholder.
+ * Shows the profile photo when there is one, otherwise the initials of the
+ * display name (or email).
+ */
+
+/**
+ * Builds up to two initials from a name or email
+ * @param {string} [name] - Display name or email
+ * @returns {string} Initials, or '?' when nothing usable is given
+ */
+const getInitials = (name) => {
+  const words = (name || '').split('@')[0].split(/[\s._-]+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  return words.slice(0, 2).map((word) => word[0].toUpperCase()).join('');
+};
+
+export default function Avatar({ src, name, className = 'h-8 w-8', textClassName = 'text-xs' }) {
+  if (src) {
+    return (
+      <img
+        className={`${className} rounded-full object-cover`}
+        src={src}
+        alt={name || 'User'}
+      />
+    );
+  }
+
+  return (
+    <div
+      className={`${className} rounded-full flex items-center justify-center bg-purple-100 text-purple-700 dark:bg-purple-900/50 dark:text-purple-200 font-semibold ${textClassName}`}
+      aria-label={name || 'User'}
+    >
+      {getInitials(name)}
+    </div>
+  );
+}
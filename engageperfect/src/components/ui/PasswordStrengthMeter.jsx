@@ -0,0 +1,57 @@
+/**
+ * File: PasswordStrengthMeter.jsx
+ * Version: 1.0.0
+ * Purpose: Live strength bar shown under new-password fields.
+ * Rates the password with the shared password policy and hints at the
+ * first rule it still breaks.
+ */
+
+import { validatePassword } from '../../utils/passwordPolicy';
+
+// Bar colour for each strength score
+const SCORE_COLORS = [
+  'bg-red-500',
+  'bg-orange-500',
+  'bg-yellow-500',
+  'bg-green-500',
+  'bg-green-600'
+];
+
+const SCORE_TEXT_COLORS = [
+  'text-red-600 dark:text-red-400',
+  'text-orange-600 dark:text-orange-400',
+  'text-yellow-600 dark:text-yellow-400',
+  'text-green-600 dark:text-green-400',
+  'text-green-700 dark:text-green-400'
+];
+
+export default function PasswordStrengthMeter({ password, userInputs = [], policy }) {
+  if (!password) return null;
+
+  const { message, strength } = validatePassword(password, { userInputs, policy });
+  // A very weak password still fills the first segment so the bar is visible
+  const filled = Math.max(strength.score, 1);
+
+  return (
+    <div className="mt-2" aria-live="polite">
+      <div className="flex space-x-1">
+        {[1, 2, 3, 4].map((segment) => (
+          <div
+            key={segment}
+            className={`h-1.5 flex-1 rounded-full ${
+              segment <= filled ? SCORE_COLORS[strength.score] : 'bg-gray-200 dark:bg-gray-700'
+            }`}
+          ></div>
+        ))}
+      </div>
+      <div className="mt-1 flex justify-between text-xs">
+        <span className="text-gray-500 dark:text-gray-400 pr-2">
+          {message || 'Looks good'}
+        </span>
+        <span className={`font-medium flex-shrink-0 ${SCORE_TEXT_COLORS[strength.score]}`}>
+          {strength.label}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+/**
+ * File: commonPasswords.js
+ * Version: 1.0.0
+ * Purpose: Local blocklist of passwords that show up at the top of public
+ * breach corpora. Checked by the password policy after lowercasing and
+ * undoing common letter substitutions, so only plain lowercase forms are
+ * listed here.
+ */
+
+export const COMMON_PASSWORDS = new Set([
+  '123456', '1234567', '12345678', '123456789', '1234567890', '12345678910',
+  '0123456789', '987654321', '9876543210', '111111', '1111111', '11111111',
+  '000000', '00000000', '123123', '123123123', '123321', '121212', '112233',
+  '654321', '666666', '696969', '777777', '888888', '999999', '159753',
+  '147258369', '123qwe', 'qwe123', '1q2w3e', '1q2w3e4r', '1q2w3e4r5t',
+  'zaq12wsx', 'qwerty', 'qwerty1', 'qwerty12', 'qwerty123', 'qwertyuiop',
+  'asdfgh', 'asdfghjkl', 'zxcvbn', 'zxcvbnm', 'qazwsx', 'qwaszx', 'abc123',
+  'abcd1234', 'abcdef', 'abcdefg', 'abcdefgh', 'aa123456', 'a123456',
+  'a1b2c3', 'a1b2c3d4', 'password', 'password1', 'password12', 'password123',
+  'password1234', 'passw0rd', 'pass123', 'pass1234', 'passwort', 'motdepasse',
+  'contrasena', 'senha123', 'letmein', 'letmein1', 'welcome', 'welcome1',
+  'welcome123', 'iloveyou', 'iloveyou1', 'loveme', 'lovely', 'princess',
+  'princess1', 'sunshine', 'sunshine1', 'monkey', 'monkey123', 'dragon',
+  'master', 'master123', 'shadow', 'superman', 'batman', 'football',
+  'football1', 'baseball', 'soccer', 'hockey', 'basketball', 'michael',
+  'jennifer', 'jordan', 'jordan23', 'charlie', 'daniel', 'andrew', 'thomas',
+  'jessica', 'ashley', 'hunter', 'hunter2', 'killer', 'trustno1', 'starwars',
+  'pokemon', 'freedom', 'whatever', 'computer', 'internet', 'secret',
+  'secret123', 'login', 'admin', 'admin123', 'administrator', 'root',
+  'toor', 'changeme', 'default', 'guest', 'test', 'test123', 'testing',
+  'qwerty123456', 'access', 'flower', 'hello', 'hello123', 'hellohello',
+  'cheese', 'cookie', 'chocolate', 'summer', 'winter', 'spring', 'autumn',
+  'summer2024', 'winter2024', 'summer2025', 'winter2025', 'summer2026',
+  'winter2026', 'google', 'facebook', 'instagram', 'linkedin', 'twitter',
+  'tiktok', 'youtube', 'marketing', 'socialmedia', 'engageperfect',
+  'mustang', 'harley', 'ferrari', 'corvette', 'matrix', 'ninja', 'azerty',
+  'blink182', 'myspace1', 'samsung', 'apple', 'iphone', 'android',
+  'biteme', 'fuckyou', 'asshole', 'bailey', 'buster', 'ginger', 'pepper',
+  'maggie', 'tigger', 'robert', 'matthew', 'nicole', 'liverpool', 'chelsea',
+  'arsenal', 'qwertyqwerty', 'passpass', 'adminadmin', 'aaaaaa', 'abcabc'
+]);
@@ -0,0 +1,52 @@
+/**
+ * File: contentOptions.js
+ * Version: 1.0.0
+ * Purpose: Shared option lists for content preferences and generators.
+ * Keeps profile preferences and generator forms in sync.
+ */
+
+export const PLATFORM_OPTIONS = [
+  { value: 'instagram', label: 'Instagram' },
+  { value: 'twitter', label: 'Twitter' },
+  { value: 'facebook', label: 'Facebook' },
+  { value: 'linkedin', label: 'LinkedIn' },
+  { value: 'tiktok', label: 'TikTok' }
+];
+
+export const TONE_OPTIONS = [
+  { value: 'professional', label: 'Professional' },
+  { value: 'casual', label: 'Casual' },
+  { value: 'humorous', label: 'Humorous' },
+  { value: 'inspirational', label: 'Inspirational' },
+  { value: 'educational', label: 'Educational' }
+];
+
+export const NICHE_OPTIONS = [
+  { value: 'technology', label: 'Technology' },
+  { value: 'business', label: 'Business' },
+  { value: 'health', label: 'Health & Fitness' },
+  { value: 'fashion', label: 'Fashion' },
+  { value: 'food', label: 'Food' },
+  { value: 'travel', label: 'Travel' },
+  { value: 'education', label: 'Education' }
+];
+
+export const GOAL_OPTIONS = [
+  { value: 'engagement', label: 'Boost Engagement' },
+  { value: 'awareness', label: 'Build Awareness' },
+  { value: 'followers', label: 'Grow Followers' },
+  { value: 'sales', label: 'Drive Sales' },
+  { value: 'traffic', label: 'Generate Traffic' },
+  { value: 'leads', label: 'Generate Leads' }
+];
+
+/**
+ * Looks up the display label for an option value
+ * @param {Array<{value: string, label: string}>} options - Option list
+ * @param {string} value - Stored value
+ * @returns {string} Label, or the raw value if unknown
+ */
+export const getOptionLabel = (options, value) => {
+  const option = options.find((item) => item.value === value);
+  return option ? option.label : value;
+};
@@ -0,0 +1,128 @@
+/**
+ * File: plans.js
+ * Version: 1.1.0
+ * Purpose: Plan catalog shared by billing, quotas and the upgrade modal.
+ * Stripe price ids come from Vite environment variables so each
+ * deployment can point at its own Stripe products.
+ */
+
+// Limits and display names for each users/{uid}.plan_type
+export const PLAN_TYPES = {
+  free: {
+    name: 'Free',
+    label: 'Free Plan',
+    requestLimit: 25,
+    draftLimit: 25
+  },
+  basic: {
+    name: 'Basic',
+    label: 'Basic Plan',
+    requestLimit: 75,
+    draftLimit: 100
+  },
+  premium: {
+    name: 'Premium',
+    label: 'Premium Plan',
+    requestLimit: 250,
+    draftLimit: 500
+  },
+  flexy: {
+    name: 'Flex Pack',
+    label: 'Flex Pack',
+    requestLimit: 25,
+    draftLimit: 25
+  }
+};
+
+// Plans that can be bought through Stripe Checkout
+export const CHECKOUT_PLANS = [
+  {
+    id: 'basic_month',
+    planType: 'basic',
+    name: 'Basic',
+    priceId: import.meta.env.VITE_STRIPE_PRICE_BASIC_MONTH,
+    mode: 'subscription',
+    price: '9.99',
+    interval: 'month',
+    requestAllowance: 75,
+    features: [
+      'Up to 75 requests per month',
+      'Access to all basic content types',
+      'Download as PNG, JPG, PDF',
+      'Standard support'
+    ],
+    highlight: false
+  },
+  {
+    id: 'premium_month',
+    planType: 'premium',
+    name: 'Premium',
+    priceId: import.meta.env.VITE_STRIPE_PRICE_PREMIUM_MONTH,
+    mode: 'subscription',
+    price: '29.99',
+    interval: 'month',
+    requestAllowance: 250,
+    features: [
+      'Up to 250 requests per month',
+      'Access to all premium content types',
+      'All export formats',
+      'Priority support',
+      'Content analytics',
+      'API access'
+    ],
+    highlight: true
+  },
+  {
+    id: 'premium_year',
+    planType: 'premium',
+    name: 'Premium (Annual)',
+    priceId: import.meta.env.VITE_STRIPE_PRICE_PREMIUM_YEAR,
+    mode: 'subscription',
+    price: '299.99',
+    interval: 'year',
+    requestAllowance: 3000,
+    features: [
+      'Up to 3000 requests per year',
+      'Access to all premium content types',
+      'All export formats',
+      'Priority support',
+      'Content analytics',
+      'API access',
+      '15% savings compared to monthly'
+    ],
+    highlight: false
+  },
+  {
+    id: 'flexy',
+    planType: 'flexy',
+    name: 'Flex Pack',
+    priceId: import.meta.env.VITE_STRIPE_PRICE_FLEX_PACK,
+    mode: 'payment',
+    price: '4.99',
+    interval: null,
+    requestAllowance: 50,
+    // Flex credits expire this many days after purchase
+    creditValidityDays: 365,
+    features: [
+      '50 extra requests',
+      'One-time payment',
+      'Used after your monthly allowance',
+      'Credits valid for 12 months'
+    ],
+    highlight: false
+  }
+];
+
+/**
+ * Looks up a checkout plan by id
+ * @param {string} planId - Plan id, e.g. 'premium_month'
+ * @returns {Object|undefined} Plan
+ */
+export const getCheckoutPlan = (planId) => CHECKOUT_PLANS.find((plan) => plan.id === planId);
+
+/**
+ * Returns the limits and names for a plan type, defaulting to free
+ * @param {string} [planType] - users/{uid}.plan_type
+ * @returns {Object} Plan type details
+ */
+export const getPlanType = (planType) => PLAN_TYPES[planType] || PLAN_TYPES.free;
@@ -1,61 +1,327 @@
 /**
  * File: AuthContext.jsx
- * Version: 1.0.3
+ * Version: 1.9.1
  * Purpose: Authentication context for the entire application.
- * Manages user authentication state and provides auth-related functions.
+ * Manages user authentication state and provides auth-related functions,
+ * including Google sign-in and linking Google to existing password accounts.
+ * Logins without "Remember me" last for the browser session and end
+ * automatically after a period of inactivity.
+ * Email changes require recent re-authentication and only take effect once
+ * the new address is verified. Google can be linked to or unlinked from an
+ * account from the settings page. New password accounts are sent a
+ * verification email, and RequireAuth can hold unverified users back from
+ * routes that spend quota or money. Accounts with two-factor authentication
+ * answer a TOTP challenge at sign-in and when re-authenticating. Links in
+ * password reset, verification and recovery emails are handled in-app.
  */
 
-import { createContext, useContext, useEffect, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import { 
   createUserWithEmailAndPassword, 
   signInWithEmailAndPassword,
   signOut,
   onAuthStateChanged,
   sendPasswordResetEmail,
+  verifyPasswordResetCode,
+  confirmPasswordReset,
+  checkActionCode,
+  applyActionCode,
   updateProfile,
-  updateEmail
+  sendEmailVerification,
+  verifyBeforeUpdateEmail,
+  updatePassword,
+  linkWithPopup,
+  unlink,
+  reauthenticateWithCredential,
+  reauthenticateWithPopup,
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  signInWithPopup,
+  signInWithRedirect,
+  getRedirectResult,
+  linkWithCredential,
+  getMultiFactorResolver,
+  setPersistence,
+  browserLocalPersistence,
+  browserSessionPersistence
 } from 'firebase/auth';
-import { doc, setDoc, updateDoc } from 'firebase/firestore';
+import { deleteField, doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
 import { auth, db } from '../services/firebase';
+import { DEFAULT_REQUEST_LIMIT } from '../services/quotaService';
+import { MfaError, redeemRecoveryCode, resolveTotpChallenge } from '../services/mfaService';
+import useIdleTimeout from '../hooks/useIdleTimeout';
+import SecondFactorModal from '../components/auth/SecondFactorModal';
+import { toast } from 'react-hot-toast';
 import { Navigate, useLocation } from 'react-router-dom';
 
 // Create auth context
 const AuthContext = createContext();
 
+// Popup errors that mean the browser cannot show a popup, so fall back to a redirect
+const POPUP_FALLBACK_CODES = [
+  'auth/popup-blocked',
+  'auth/operation-not-supported-in-environment'
+];
+
+// Raised by Firebase when the account needs a second factor
+const MFA_REQUIRED_CODE = 'auth/multi-factor-auth-required';
+
+// sessionStorage key marking a login that should not be remembered
+const SESSION_LOGIN_KEY = 'engageperfect.sessionLogin';
+
+// sessionStorage key carrying the remember-me choice across a Google redirect
+const REDIRECT_REMEMBER_KEY = 'engageperfect.redirectRememberMe';
+
+// Session logins are signed out after this much inactivity, with a warning first
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const IDLE_WARNING_MS = 2 * 60 * 1000;
+const IDLE_WARNING_TOAST_ID = 'idle-warning';
+
+// Minimum time between verification emails, remembered per user in localStorage
+const VERIFICATION_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_SENT_KEY = 'engageperfect.verificationSentAt';
+
+/**
+ * Returns when the user may next be sent a verification email
+ * @param {string} uid - User ID
+ * @returns {number} Epoch milliseconds; 0 when a new email can be sent now
+ */
+const readVerificationResendAt = (uid) => {
+  const sentAt = Number(localStorage.getItem(`${VERIFICATION_SENT_KEY}.${uid}`)) || 0;
+  return sentAt ? sentAt + VERIFICATION_COOLDOWN_MS : 0;
+};
+
+/**
+ * Applies the persistence mode for the next sign-in. Firebase queues the
+ * change ahead of a sign-in started after it, so popups need not wait for
+ * it and can still open within the click that started them.
+ * @param {boolean} rememberMe - Keep the user signed in across browser sessions
+ * @returns {Promise<void>}
+ */
+const applyPersistence = (rememberMe) => (
+  setPersistence(auth, rememberMe ? browserLocalPersistence : browserSessionPersistence)
+);
+
+/**
+ * Builds the users/{uid} document for a new account
+ * @param {Object} user - Firebase user
+ * @returns {Object} Initial user document
+ */
+const buildUserDocument = (user) => ({
+  email: user.email,
+  displayName: user.displayName || (user.email || '').split('@')[0] || 'User',
+  ...(user.photoURL && { photoURL: user.photoURL }),
+  createdAt: new Date(),
+  plan_type: 'free',
+  requests_used: 0,
+  requests_limit: DEFAULT_REQUEST_LIMIT,
+  quota_cycle_start: new Date(),
+  preferences: {}
+});
+
+/**
+ * Creates the users/{uid} document on first sign-in
+ * @param {Object} user - Firebase user
+ * @returns {Promise<void>}
+ */
+const ensureUserDocument = async (user) => {
+  const userDocRef = doc(db, 'users', user.uid);
+  const userDoc = await getDoc(userDocRef);
+
+  if (!userDoc.exists()) {
+    await setDoc(userDocRef, buildUserDocument(user));
+  }
+};
+
+/**
+ * Whether a user can confirm their identity with a password. Accounts that
+ * only use Google confirm with a Google popup instead.
+ * @param {Object} [user] - Firebase user
+ * @returns {boolean}
+ */
+const hasPasswordProvider = (user) => Boolean(
+  user?.providerData?.some((provider) => provider.providerId === 'password')
+);
+
+/**
+ * Keeps users/{uid}.email in step with the verified Auth email and clears a
+ * pending change once it has gone through
+ * @param {Object} user - Firebase user
+ * @returns {Promise<void>}
+ */
+const syncVerifiedEmail = async (user) => {
+  const userDocRef = doc(db, 'users', user.uid);
+  const userDoc = await getDoc(userDocRef);
+  if (!userDoc.exists()) return;
+
+  const { email, pending_email: pendingEmail } = userDoc.data();
+  if (email === user.email && pendingEmail !== user.email) return;
+
+  await updateDoc(userDocRef, {
+    email: user.email,
+    pending_email: deleteField(),
+    pending_email_requested_at: deleteField()
+  });
+};
+
 export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true);
   const [user, setUser] = useState(null);
 
+  // Google credential waiting to be linked to an existing password account
+  const pendingCredentialRef = useRef(null);
+  const [pendingGoogleLink, setPendingGoogleLink] = useState(null);
+  const [redirectError, setRedirectError] = useState(null);
+
+  // Sign-in waiting for a second factor:
+  // { email, method: 'password' | 'google', rememberMe }
+  const mfaResolverRef = useRef(null);
+  const [pendingMfaSignIn, setPendingMfaSignIn] = useState(null);
+
+  // Re-authentication waiting for a second factor
+  const reauthChallengeRef = useRef(null);
+  const [reauthChallenge, setReauthChallenge] = useState(false);
+
+  // When the next verification email may be sent
+  const [verificationResendAt, setVerificationResendAt] = useState(0);
+
+  // Whether the current login is limited to this browser session
+  const [isSessionLogin, setIsSessionLogin] = useState(
+    () => sessionStorage.getItem(SESSION_LOGIN_KEY) === 'true'
+  );
+
+  /**
+   * Keeps the Google credential from a sign-in that collided with an existing
+   * account, so it can be linked after the user signs in with their password
+   * @param {Error} error - auth/account-exists-with-different-credential error
+   */
+  const rememberPendingCredential = useCallback((error) => {
+    pendingCredentialRef.current = GoogleAuthProvider.credentialFromError(error);
+    setPendingGoogleLink(error.customData?.email || null);
+  }, []);
+
+  /**
+   * Keeps the resolver from a sign-in that needs a second factor, so the
+   * login page can ask for the code
+   * @param {Error} error - auth/multi-factor-auth-required error
+   * @param {string} method - 'password' or 'google'
+   * @param {boolean} rememberMe - Keep the user signed in across browser sessions
+   * @param {string} [email] - Email the user typed; only password sign-ins
+   *   have one, and only they can use recovery codes
+   */
+  const rememberMfaChallenge = useCallback((error, method, rememberMe, email) => {
+    mfaResolverRef.current = getMultiFactorResolver(auth, error);
+    setPendingMfaSignIn({
+      email: email || null,
+      method,
+      rememberMe
+    });
+  }, []);
+
+  // Record whether the signed-in session is remembered, once sign-in succeeds
+  const commitSessionLogin = useCallback((rememberMe) => {
+    if (rememberMe) {
+      sessionStorage.removeItem(SESSION_LOGIN_KEY);
+    } else {
+      sessionStorage.setItem(SESSION_LOGIN_KEY, 'true');
+    }
+    setIsSessionLogin(!rememberMe);
+  }, []);
+
+  // Finish a Google sign-in that fell back to a redirect
+  useEffect(() => {
+    const completeRedirectSignIn = async () => {
+      const rememberMe = sessionStorage.getItem(REDIRECT_REMEMBER_KEY) !== 'false';
+
+      try {
+        const result = await getRedirectResult(auth);
+        if (result) {
+          sessionStorage.removeItem(REDIRECT_REMEMBER_KEY);
+          commitSessionLogin(rememberMe);
+          await ensureUserDocument(result.user);
+        }
+      } catch (error) {
+        sessionStorage.removeItem(REDIRECT_REMEMBER_KEY);
+        if (error.code === 'auth/account-exists-with-different-credential') {
+          rememberPendingCredential(error);
+        }
+        if (error.code === MFA_REQUIRED_CODE) {
+          rememberMfaChallenge(error, 'google', rememberMe);
+        }
+        setRedirectError(error);
+      }
+    };
+
+    completeRedirectSignIn();
+  }, [rememberPendingCredential, rememberMfaChallenge, commitSessionLogin]);
+
   // Listen for auth state changes
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, async (user) => {
       setUser(user);
+      setVerificationResendAt(user ? readVerificationResendAt(user.uid) : 0);
       setLoading(false);
+
+      if (user) {
+        try {
+          await syncVerifiedEmail(user);
+        } catch (error) {
+          console.error('Error syncing verified email:', error);
+        }
+      }
     });
     
     // Cleanup subscription on unmount
     return () => unsubscribe();
   }, []);
 
+  // Send a verification email to the current user and start the cooldown
+  const sendVerificationEmail = async () => {
+    const currentUser = auth.currentUser;
+
+    await sendEmailVerification(currentUser, {
+      url: `${window.location.origin}/verify-email`
+    });
+
+    const sentAt = Date.now();
+    localStorage.setItem(`${VERIFICATION_SENT_KEY}.${currentUser.uid}`, String(sentAt));
+    setVerificationResendAt(sentAt + VERIFICATION_COOLDOWN_MS);
+  };
+
+  // Reload the current user to pick up a verification made in another tab
+  // or on another device. Returns whether the email is now verified.
+  const refreshEmailVerification = useCallback(async () => {
+    await auth.currentUser.reload();
+
+    if (auth.currentUser.emailVerified) {
+      // The backend and security rules read email_verified from the ID token
+      await auth.currentUser.getIdToken(true);
+      localStorage.removeItem(`${VERIFICATION_SENT_KEY}.${auth.currentUser.uid}`);
+      setUser({ ...auth.currentUser });
+    }
+
+    return auth.currentUser.emailVerified;
+  }, []);
+
   // Sign up with email and password
-  // Also creates a user document in firestore
-  const signup = async (email, password) => {
+  // Also creates a user document in firestore and sends a verification email
+  const signup = async (displayName, email, password) => {
     try {
       // Create the user with Firebase Authentication
       const userCredential = await createUserWithEmailAndPassword(auth, email, password);
       
       // Update the user's display name
-      await updateProfile(userCredential.user, { displayName: email.split('@')[0] });
+      await updateProfile(userCredential.user, { displayName: displayName.trim() || email.split('@')[0] });
       
       // Create a user document in Firestore
-      await setDoc(doc(db, 'users', userCredential.user.uid), {
-        email,
-        createdAt: new Date(),
-        plan_type: 'free',
-        requests_used: 0,
-        requests_limit: 25,
-        preferences: {}
-      });
+      await setDoc(doc(db, 'users', userCredential.user.uid), buildUserDocument(userCredential.user));
+
+      // The account works without it; the user can resend from /verify-email
+      try {
+        await sendVerificationEmail();
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
       
       return userCredential.user;
     } catch (error) {
@@ -63,12 +329,107 @@ export function AuthProvider({ children }) {
     }
   };
 
-  // Sign in with email and password
-  const login = async (email, password) => {
+  // Links a pending Google credential after a password sign-in for the same email
+  const linkPendingGoogleCredential = async (user) => {
+    if (pendingCredentialRef.current && user.email === pendingGoogleLink) {
+      await linkWithCredential(user, pendingCredentialRef.current);
+      pendingCredentialRef.current = null;
+      setPendingGoogleLink(null);
+    }
+  };
+
+  /**
+   * Signs in with email and password. Links a pending Google credential for
+   * the same email address. Accounts with two-factor authentication continue
+   * in completeMfaSignIn.
+   * @param {string} email - Email the user typed
+   * @param {string} password - Password the user typed
+   * @param {boolean} [rememberMe=false] - Keep the user signed in across
+   *   browser sessions; otherwise the login ends with the session
+   * @returns {Promise<User>} Signed-in user
+   * @throws {Error} auth/multi-factor-auth-required when a second factor is needed
+   */
+  const login = async (email, password, rememberMe = false) => {
     try {
+      await applyPersistence(rememberMe);
       const userCredential = await signInWithEmailAndPassword(auth, email, password);
+      commitSessionLogin(rememberMe);
+      await linkPendingGoogleCredential(userCredential.user);
+      return userCredential.user;
+    } catch (error) {
+      if (error.code === MFA_REQUIRED_CODE) {
+        rememberMfaChallenge(error, 'password', rememberMe, email);
+      }
+      throw error;
+    }
+  };
+
+  // Finish a sign-in that needs a second factor
+  const completeMfaSignIn = async (verificationCode) => {
+    const userCredential = await resolveTotpChallenge(mfaResolverRef.current, verificationCode);
+    commitSessionLogin(pendingMfaSignIn?.rememberMe ?? true);
+
+    if (pendingMfaSignIn?.method === 'google') {
+      await ensureUserDocument(userCredential.user);
+    } else {
+      await linkPendingGoogleCredential(userCredential.user);
+    }
+
+    mfaResolverRef.current = null;
+    setPendingMfaSignIn(null);
+    return userCredential.user;
+  };
+
+  // Turn off two-factor authentication with a recovery code. The password
+  // proves the first factor, so this only works for password sign-ins. The
+  // caller signs in again with the password afterwards.
+  const recoverMfaSignIn = async (recoveryCode, password) => {
+    if (pendingMfaSignIn?.method !== 'password') {
+      throw new MfaError(
+        'mfa/recovery-needs-password',
+        'Recovery codes work with email and password sign-in. Sign in with your password, or reset it to add one to your account.'
+      );
+    }
+
+    await redeemRecoveryCode(pendingMfaSignIn.email, password, recoveryCode);
+    mfaResolverRef.current = null;
+    setPendingMfaSignIn(null);
+  };
+
+  // Abandon a sign-in that is waiting for a second factor
+  const cancelMfaSignIn = () => {
+    mfaResolverRef.current = null;
+    setPendingMfaSignIn(null);
+  };
+
+  // Sign in with Google using a popup, falling back to a full-page redirect
+  // when popups are unavailable. Creates the user document on first sign-in.
+  const loginWithGoogle = async (rememberMe = true) => {
+    const provider = new GoogleAuthProvider();
+    provider.setCustomParameters({ prompt: 'select_account' });
+    setRedirectError(null);
+
+    // Not awaited: the popup must open in the same task as the click
+    applyPersistence(rememberMe).catch((error) => console.error('Error setting auth persistence:', error));
+
+    try {
+      const userCredential = await signInWithPopup(auth, provider);
+      commitSessionLogin(rememberMe);
+      await ensureUserDocument(userCredential.user);
       return userCredential.user;
     } catch (error) {
+      if (POPUP_FALLBACK_CODES.includes(error.code)) {
+        // The page navigates away; sign-in completes in getRedirectResult
+        sessionStorage.setItem(REDIRECT_REMEMBER_KEY, String(rememberMe));
+        await signInWithRedirect(auth, provider);
+        return null;
+      }
+      if (error.code === 'auth/account-exists-with-different-credential') {
+        rememberPendingCredential(error);
+      }
+      if (error.code === MFA_REQUIRED_CODE) {
+        rememberMfaChallenge(error, 'google', rememberMe);
+      }
       throw error;
     }
   };
@@ -77,11 +438,37 @@ export function AuthProvider({ children }) {
   const logout = async () => {
     try {
       await signOut(auth);
+      sessionStorage.removeItem(SESSION_LOGIN_KEY);
+      setIsSessionLogin(false);
     } catch (error) {
       throw error;
     }
   };
 
+  // Sign out session logins after a period of inactivity
+  useIdleTimeout({
+    enabled: Boolean(user) && isSessionLogin,
+    timeoutMs: IDLE_TIMEOUT_MS,
+    warningMs: IDLE_WARNING_MS,
+    onWarning: () => {
+      toast(`You will be signed out in ${IDLE_WARNING_MS / 60000} minutes due to inactivity. Move the mouse or press a key to stay signed in.`, {
+        id: IDLE_WARNING_TOAST_ID,
+        icon: '⏳',
+        duration: IDLE_WARNING_MS
+      });
+    },
+    onActive: () => toast.dismiss(IDLE_WARNING_TOAST_ID),
+    onTimeout: async () => {
+      toast.dismiss(IDLE_WARNING_TOAST_ID);
+      try {
+        await logout();
+        toast('You were signed out due to inactivity', { icon: '🔒' });
+      } catch (error) {
+        console.error('Error signing out idle session:', error);
+      }
+    }
+  });
+
   // Reset password
   const resetPassword = async (email) => {
     try {
@@ -91,34 +478,152 @@ export function AuthProvider({ children }) {
     }
   };
 
-  // In AuthContext.jsx, add this function:
+  // Returns the email address a password reset link was sent to
+  const verifyPasswordResetLink = (actionCode) => verifyPasswordResetCode(auth, actionCode);
+
+  // Set a new password from a password reset link
+  const completePasswordReset = (actionCode, newPassword) => (
+    confirmPasswordReset(auth, actionCode, newPassword)
+  );
+
+  // Apply an email verification or email recovery link. The code is checked
+  // first because applying it uses it up; returns the checked action info.
+  const applyEmailActionCode = async (actionCode) => {
+    const info = await checkActionCode(auth, actionCode);
+    await applyActionCode(auth, actionCode);
+
+    // Pick up the change when the affected account is signed in here. A
+    // changed email can revoke the session, which signs the user out.
+    if (auth.currentUser) {
+      try {
+        await auth.currentUser.reload();
+        await auth.currentUser.getIdToken(true);
+        if (auth.currentUser.emailVerified) {
+          localStorage.removeItem(`${VERIFICATION_SENT_KEY}.${auth.currentUser.uid}`);
+        }
+        await syncVerifiedEmail(auth.currentUser);
+        setUser({ ...auth.currentUser });
+      } catch (error) {
+        console.error('Error refreshing user after email action:', error);
+      }
+    }
+
+    return info;
+  };
+
+  // Ask for an authenticator code in a modal and finish the re-authentication
+  // with it. Rejects with mfa/cancelled when the user closes the modal.
+  const promptForSecondFactor = (error) => new Promise((resolve, reject) => {
+    reauthChallengeRef.current = {
+      resolver: getMultiFactorResolver(auth, error),
+      resolve,
+      reject
+    };
+    setReauthChallenge(true);
+  });
+
+  const handleReauthVerify = async (verificationCode) => {
+    const { resolver, resolve } = reauthChallengeRef.current;
+    await resolveTotpChallenge(resolver, verificationCode);
+    reauthChallengeRef.current = null;
+    setReauthChallenge(false);
+    resolve();
+  };
+
+  const handleReauthCancel = () => {
+    const { reject } = reauthChallengeRef.current;
+    reauthChallengeRef.current = null;
+    setReauthChallenge(false);
+    reject(new MfaError('mfa/cancelled', 'Two-factor verification was canceled.'));
+  };
+
+  // Confirm the current user's identity before a sensitive change.
+  // Password accounts use their password, Google-only accounts a popup,
+  // followed by an authenticator code when two-factor is on.
+  const reauthenticate = async (password) => {
+    const currentUser = auth.currentUser;
+
+    try {
+      if (hasPasswordProvider(currentUser)) {
+        const credential = EmailAuthProvider.credential(currentUser.email, password);
+        await reauthenticateWithCredential(currentUser, credential);
+      } else {
+        await reauthenticateWithPopup(currentUser, new GoogleAuthProvider());
+      }
+    } catch (error) {
+      if (error.code !== MFA_REQUIRED_CODE) throw error;
+      await promptForSecondFactor(error);
+    }
+  };
+
+  // Start an email change. The address only changes once the user follows
+  // the link sent to the new address; until then it is kept as pending_email.
+  const requestEmailChange = async (newEmail, password) => {
+    await reauthenticate(password);
+    await verifyBeforeUpdateEmail(auth.currentUser, newEmail, {
+      url: `${window.location.origin}/profile`
+    });
+
+    await updateDoc(doc(db, 'users', auth.currentUser.uid), {
+      pending_email: newEmail,
+      pending_email_requested_at: new Date()
+    });
+  };
+
+  // Change the password after confirming the current one
+  const changePassword = async (currentPassword, newPassword) => {
+    await reauthenticate(currentPassword);
+    await updatePassword(auth.currentUser, newPassword);
+  };
+
+  // Add Google as a sign-in method for the current account
+  const linkGoogleAccount = async () => {
+    const provider = new GoogleAuthProvider();
+    provider.setCustomParameters({ prompt: 'select_account' });
+
+    await linkWithPopup(auth.currentUser, provider);
+    setUser({ ...auth.currentUser });
+  };
+
+  // Remove Google as a sign-in method. Firebase refuses to remove the last
+  // one, so accounts without a password keep Google.
+  const unlinkGoogleAccount = async () => {
+    await unlink(auth.currentUser, GoogleAuthProvider.PROVIDER_ID);
+    setUser({ ...auth.currentUser });
+  };
+
+  // Forget a pending email change. The link already sent stays valid until
+  // it expires, so this only hides the pending notice.
+  const cancelEmailChange = async () => {
+    await updateDoc(doc(db, 'users', auth.currentUser.uid), {
+      pending_email: deleteField(),
+      pending_email_requested_at: deleteField()
+    });
+  };
+
+  // Update the display name, photo and content preferences. Email changes
+  // go through requestEmailChange.
   const updateUserProfile = async (userData) => {
     try {
       // Update Firebase Auth profile (display name, photo URL)
       await updateProfile(auth.currentUser, {
         displayName: userData.displayName,
-        ...(userData.photoURL && { photoURL: userData.photoURL })
+        // null removes the photo
+        ...(userData.photoURL !== undefined && { photoURL: userData.photoURL })
       });
       
-      // If email is changing, update it separately
-      if (userData.email && userData.email !== auth.currentUser.email) {
-        await updateEmail(auth.currentUser, userData.email);
-      }
-      
-      // Update Firestore document if needed
-      if (userData.preferences) {
-        const userDocRef = doc(db, "users", auth.currentUser.uid);
-        await updateDoc(userDocRef, {
-          displayName: userData.displayName,
-          email: userData.email || auth.currentUser.email,
-          preferences: userData.preferences
-        });
-      }
+      // Keep the Firestore document in step
+      const userDocRef = doc(db, "users", auth.currentUser.uid);
+      await updateDoc(userDocRef, {
+        displayName: userData.displayName,
+        ...(userData.preferences && { preferences: userData.preferences })
+      });
       
       // Make sure to update the local user state
       setUser({
         ...auth.currentUser,
-        ...userData
+        ...userData,
+        email: auth.currentUser.email
       });
       
       return true;
@@ -134,14 +639,37 @@ export function AuthProvider({ children }) {
     loading,
     signup,
     login,
+    loginWithGoogle,
+    pendingGoogleLink,
+    pendingMfaSignIn,
+    completeMfaSignIn,
+    recoverMfaSignIn,
+    cancelMfaSignIn,
+    redirectError,
     logout,
     resetPassword,
+    verifyPasswordResetLink,
+    completePasswordReset,
+    applyEmailActionCode,
+    verificationResendAt,
+    sendVerificationEmail,
+    refreshEmailVerification,
+    canReauthenticateWithPassword: hasPasswordProvider(user),
+    reauthenticate,
+    requestEmailChange,
+    cancelEmailChange,
+    changePassword,
+    linkGoogleAccount,
+    unlinkGoogleAccount,
     updateProfile: updateUserProfile // Export as updateProfile
   };
 
   return (
     <AuthContext.Provider value={value}>
       {!loading && children}
+      {reauthChallenge && (
+        <SecondFactorModal onVerify={handleReauthVerify} onCancel={handleReauthCancel} />
+      )}
     </AuthContext.Provider>
   );
 }
@@ -156,7 +684,9 @@ export function useAuth() {
 }
 
 // RequireAuth component for protected routes
-export function RequireAuth({ children }) {
+// With requireVerified, users who have not verified their email are sent to
+// /verify-email first.
+export function RequireAuth({ children, requireVerified = false }) {
   const { user, loading } = useAuth();
   const location = useLocation();
 
@@ -170,5 +700,9 @@ export function RequireAuth({ children }) {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  if (requireVerified && !user.emailVerified) {
+    return <Navigate to="/verify-email" state={{ from: location }} replace />;
+  }
+
   return children;
 }
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * File: SubscriptionContext.jsx
+ * Version: 1.4.1
+ * Purpose: Subscription state for the signed-in user.
+ * Listens to the Stripe extension's subscriptions and exposes the plan,
+ * status and renewal date through useSubscription (hooks/useSubscription.js).
+ */
+
+import { useEffect, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { SubscriptionContext } from '../hooks/useSubscription';
+import { NO_SUBSCRIPTION, subscribeToSubscription } from '../services/subscriptionService';
+
+export function SubscriptionProvider({ children }) {
+  const { user } = useAuth();
+  const uid = user?.uid;
+  const [subscription, setSubscription] = useState(NO_SUBSCRIPTION);
+  const [loading, setLoading] = useState(true);
+
+  // Listen to the user's subscriptions while signed in. Keyed on the uid so
+  // token refreshes and profile updates do not restart the listener.
+  useEffect(() => {
+    if (!uid) {
+      setSubscription(NO_SUBSCRIPTION);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+
+    const unsubscribe = subscribeToSubscription(
+      uid,
+      (state) => {
+        setSubscription(state);
+        setLoading(false);
+      },
+      (error) => {
+        console.error('Error loading subscription:', error);
+        setLoading(false);
+      }
+    );
+
+    return unsubscribe;
+  }, [uid]);
+
+  const value = {
+    ...subscription,
+    loading,
+    isPaid: subscription.planType !== 'free'
+  };
+
+  return (
+    <SubscriptionContext.Provider value={value}>
+      {children}
+    </SubscriptionContext.Provider>
+  );
+}
+
@@ -0,0 +1,128 @@
+/**
+ * File: useDraftAutosave.js
+ * Version: 1.0.0
+ * Purpose: Autosaves editor state to a draft while the user works.
+ * Changes are debounced, saves run one at a time so a draft is never
+ * created twice, and pending changes are flushed when the editor unmounts.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createDraft, updateDraft, deleteDraft } from '../services/draftService';
+
+// Wait this long after the last change before saving
+const AUTOSAVE_DELAY_MS = 2000;
+
+/**
+ * @param {Object} options - Autosave options
+ * @param {string} options.uid - User ID
+ * @param {string} options.type - Editor type stored on the draft ('caption' or 'blog')
+ * @param {string} options.title - Draft title
+ * @param {Object} options.data - JSON-serializable editor state
+ * @param {boolean} [options.enabled=true] - Pause autosaving while false
+ * @returns {{draftId: string|null, status: string, error: Error|null, resumeDraft: Function, discardDraft: Function}}
+ *   status is one of 'idle', 'saving', 'saved' or 'error'
+ */
+export default function useDraftAutosave({ uid, type, title, data, enabled = true }) {
+  const [draftId, setDraftId] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  const draftIdRef = useRef(null);
+  const lastSavedRef = useRef(JSON.stringify(data));
+  const latestRef = useRef(null);
+  const pendingRef = useRef(null);
+  const queueRef = useRef(Promise.resolve());
+
+  const serialized = JSON.stringify(data);
+  latestRef.current = serialized;
+
+  // Queue a save so creates and updates never overlap
+  const persist = useCallback((snapshot) => {
+    const save = async () => {
+      if (snapshot.serialized === lastSavedRef.current) return;
+
+      setStatus('saving');
+      try {
+        const draft = { title: snapshot.title, data: JSON.parse(snapshot.serialized) };
+        if (draftIdRef.current) {
+          await updateDraft(uid, draftIdRef.current, draft);
+        } else {
+          draftIdRef.current = await createDraft(uid, { type, ...draft });
+          setDraftId(draftIdRef.current);
+        }
+        lastSavedRef.current = snapshot.serialized;
+        setError(null);
+        setStatus('saved');
+      } catch (saveError) {
+        console.error('Error saving draft:', saveError);
+        setError(saveError);
+        setStatus('error');
+      }
+    };
+
+    queueRef.current = queueRef.current.then(save);
+    return queueRef.current;
+  }, [uid, type]);
+
+  // Debounce changes into saves
+  useEffect(() => {
+    if (!enabled || !uid || serialized === lastSavedRef.current) return;
+
+    // Stop retrying new drafts once the cap is reached until the user acts
+    if (!draftIdRef.current && error?.code === 'drafts/limit-reached') return;
+
+    const snapshot = { title, serialized };
+    pendingRef.current = snapshot;
+
+    const timer = setTimeout(() => {
+      pendingRef.current = null;
+      persist(snapshot);
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [enabled, uid, title, serialized, error, persist]);
+
+  // Save outstanding changes when the editor is left
+  useEffect(() => () => {
+    if (pendingRef.current) {
+      persist(pendingRef.current);
+      pendingRef.current = null;
+    }
+  }, [persist]);
+
+  /**
+   * Continues editing an existing draft
+   * @param {Object} draft - Draft returned by getDraft
+   * @param {Object} restoredData - Editor state after restoring the draft
+   */
+  const resumeDraft = useCallback((draft, restoredData) => {
+    draftIdRef.current = draft.id;
+    lastSavedRef.current = JSON.stringify(restoredData);
+    setDraftId(draft.id);
+    setError(null);
+    setStatus('saved');
+  }, []);
+
+  /**
+   * Deletes the current draft, e.g. once its content has been generated.
+   * The current editor state will not be saved again until it changes.
+   * @returns {Promise<void>}
+   */
+  const discardDraft = useCallback(async () => {
+    pendingRef.current = null;
+    lastSavedRef.current = latestRef.current;
+
+    await queueRef.current;
+    const id = draftIdRef.current;
+    draftIdRef.current = null;
+    setDraftId(null);
+    setError(null);
+    setStatus('idle');
+
+    if (id) {
+      await deleteDraft(uid, id);
+    }
+  }, [uid]);
+
+  return { draftId, status, error, resumeDraft, discardDraft };
+}
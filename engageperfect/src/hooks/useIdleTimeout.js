@@ -0,0 +1,74 @@
+/**
+ * File: useIdleTimeout.js
+ * Version: 1.0.0
+ * Purpose: Calls back when the user has been inactive for a while.
+ * Any pointer, keyboard, scroll or touch activity restarts the timer; a
+ * warning callback fires shortly before the timeout.
+ */
+
+import { useEffect, useRef } from 'react';
+
+// Browser events that count as user activity
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+// Ignore activity events closer together than this to avoid resetting timers constantly
+const ACTIVITY_THROTTLE_MS = 1000;
+
+/**
+ * @param {Object} options - Timeout options
+ * @param {boolean} options.enabled - Only track inactivity while true
+ * @param {number} options.timeoutMs - Inactivity before onTimeout fires
+ * @param {number} options.warningMs - How long before the timeout onWarning fires
+ * @param {Function} options.onWarning - Called when the timeout is close
+ * @param {Function} options.onActive - Called on activity after a warning
+ * @param {Function} options.onTimeout - Called once the timeout is reached
+ */
+export default function useIdleTimeout({ enabled, timeoutMs, warningMs, onWarning, onActive, onTimeout }) {
+  // Keep the latest callbacks without restarting the timers
+  const callbacksRef = useRef({ onWarning, onActive, onTimeout });
+  callbacksRef.current = { onWarning, onActive, onTimeout };
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let warningTimer;
+    let timeoutTimer;
+    let warned = false;
+    let lastActivity = 0;
+
+    const startTimers = () => {
+      clearTimeout(warningTimer);
+      clearTimeout(timeoutTimer);
+
+      warningTimer = setTimeout(() => {
+        warned = true;
+        callbacksRef.current.onWarning?.();
+      }, timeoutMs - warningMs);
+
+      timeoutTimer = setTimeout(() => {
+        callbacksRef.current.onTimeout?.();
+      }, timeoutMs);
+    };
+
+    const handleActivity = () => {
+      const now = Date.now();
+      if (now - lastActivity < ACTIVITY_THROTTLE_MS) return;
+      lastActivity = now;
+
+      if (warned) {
+        warned = false;
+        callbacksRef.current.onActive?.();
+      }
+      startTimers();
+    };
+
+    startTimers();
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+
+    return () => {
+      clearTimeout(warningTimer);
+      clearTimeout(timeoutTimer);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+    };
+  }, [enabled, timeoutMs, warningMs]);
+}
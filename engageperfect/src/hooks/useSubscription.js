@@ -0,0 +1,21 @@
+/**
+ * File: useSubscription.js
+ * Version: 1.0.0
+ * Purpose: Subscription context and the hook that reads it.
+ * Kept apart from SubscriptionProvider so the provider module only
+ * exports components.
+ */
+
+import { createContext, useContext } from 'react';
+
+// Provided by SubscriptionProvider
+export const SubscriptionContext = createContext();
+
+// Custom hook to use the subscription context
+export function useSubscription() {
+  const context = useContext(SubscriptionContext);
+  if (context === undefined) {
+    throw new Error('useSubscription must be used within a SubscriptionProvider');
+  }
+  return context;
+}
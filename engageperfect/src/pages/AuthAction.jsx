@@ -0,0 +1,341 @@
+/**
+ * File: AuthAction.jsx
+ * Version: 1.0.0
+ * Purpose: Handler for links in Firebase Auth emails.
+ * Password reset, email verification and email recovery links open this
+ * page instead of the Firebase-hosted one. The action URL of the email
+ * templates in the Firebase console must point at /auth/action.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { AlertTriangle, CheckCircle, Eye, EyeOff, KeyRound, MailCheck } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import Logo from '../components/Logo';
+import PasswordStrengthMeter from '../components/ui/PasswordStrengthMeter';
+import { getPasswordRuleMessage, isPasswordPolicyError, validatePassword } from '../utils/passwordPolicy';
+
+// Messages for action codes that cannot be used
+const ACTION_ERROR_MESSAGES = {
+  'auth/expired-action-code': 'This link has expired. Please request a new one.',
+  'auth/invalid-action-code': 'This link is invalid or has already been used.',
+  'auth/user-disabled': 'This account has been disabled.',
+  'auth/user-not-found': 'The account for this link no longer exists.'
+};
+
+const MFA_REQUIRED_CODE = 'auth/multi-factor-auth-required';
+
+/**
+ * Path to continue to from the link's continueUrl, if it points at this app
+ * @param {string|null} continueUrl - continueUrl query parameter
+ * @returns {string|null} Path with query and hash, or null
+ */
+const getContinuePath = (continueUrl) => {
+  if (!continueUrl) return null;
+
+  try {
+    const url = new URL(continueUrl);
+    return url.origin === window.location.origin ? `${url.pathname}${url.search}${url.hash}` : null;
+  } catch {
+    return null;
+  }
+};
+
+export default function AuthAction() {
+  const {
+    user,
+    login,
+    resetPassword,
+    verifyPasswordResetLink,
+    completePasswordReset,
+    applyEmailActionCode
+  } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const mode = searchParams.get('mode');
+  const actionCode = searchParams.get('oobCode');
+  const continuePath = getContinuePath(searchParams.get('continueUrl'));
+
+  // loading -> form (password reset) or done; error when the link is unusable
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [resetSent, setResetSent] = useState(false);
+
+  // Action codes are single use, so only handle the link once
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    const showActionError = (err) => {
+      console.error('Error handling email action:', err);
+      setError(ACTION_ERROR_MESSAGES[err.code] || 'Something went wrong with this link. Please try again.');
+      setStatus('error');
+    };
+
+    if (!actionCode) {
+      showActionError({ code: 'auth/invalid-action-code' });
+      return;
+    }
+
+    switch (mode) {
+      case 'resetPassword':
+        verifyPasswordResetLink(actionCode)
+          .then((accountEmail) => {
+            setEmail(accountEmail);
+            setStatus('form');
+          })
+          .catch(showActionError);
+        break;
+      case 'verifyEmail':
+      case 'verifyAndChangeEmail':
+      case 'recoverEmail':
+        applyEmailActionCode(actionCode)
+          .then((info) => {
+            setEmail(info.data.email);
+            setStatus('done');
+          })
+          .catch(showActionError);
+        break;
+      default:
+        showActionError({ code: 'auth/invalid-action-code' });
+    }
+  }, [mode, actionCode, verifyPasswordResetLink, applyEmailActionCode]);
+
+  // Set the new password, then sign in with it
+  const handleResetSubmit = async (e) => {
+    e.preventDefault();
+
+    const passwordCheck = validatePassword(password, { userInputs: [email] });
+    const newErrors = {};
+    if (!passwordCheck.valid) {
+      newErrors.password = passwordCheck.message;
+    }
+    if (password !== confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length) return;
+
+    setSubmitting(true);
+
+    try {
+      await completePasswordReset(actionCode, password);
+    } catch (err) {
+      console.error('Error resetting password:', err);
+      if (isPasswordPolicyError(err)) {
+        setErrors({ password: getPasswordRuleMessage('weak') });
+      } else if (ACTION_ERROR_MESSAGES[err.code]) {
+        setError(ACTION_ERROR_MESSAGES[err.code]);
+        setStatus('error');
+      } else {
+        setErrors({ form: err.message || 'Could not reset your password. Please try again.' });
+      }
+      setSubmitting(false);
+      return;
+    }
+
+    try {
+      await login(email, password);
+      toast.success('Your password has been reset');
+      navigate('/dashboard', { replace: true });
+    } catch (err) {
+      // The login page asks for the second factor or lets the user sign in again
+      if (err.code !== MFA_REQUIRED_CODE) {
+        console.error('Error signing in after password reset:', err);
+        toast.success('Your password has been reset. Please sign in.');
+      }
+      navigate('/login', { replace: true });
+    }
+  };
+
+  // After an email recovery, offer a password reset in case the account was taken over
+  const handleSendReset = async () => {
+    setSubmitting(true);
+    try {
+      await resetPassword(email);
+      setResetSent(true);
+    } catch (err) {
+      console.error('Error sending password reset email:', err);
+      toast.error('Could not send the password reset email. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderDone = () => {
+    if (mode === 'recoverEmail') {
+      return (
+        <>
+          <CheckCircle size={40} className="mx-auto mt-6 text-green-600 dark:text-green-400" />
+          <h2 className="mt-4 text-2xl font-bold text-gray-900 dark:text-white">Email restored</h2>
+          <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+            Your sign-in email is <span className="font-medium text-gray-900 dark:text-white">{email}</span> again.
+            If you did not ask for the change, reset your password to secure your account.
+          </p>
+          <div className="mt-8 space-y-3">
+            <button
+              onClick={handleSendReset}
+              disabled={submitting || resetSent}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+            >
+              {resetSent ? `Reset email sent to ${email}` : submitting ? 'Sending...' : 'Reset my password'}
+            </button>
+            <Link
+              to="/login"
+              className="w-full flex justify-center py-2 px-4 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+            >
+              Back to login
+            </Link>
+          </div>
+        </>
+      );
+    }
+
+    const changedEmail = mode === 'verifyAndChangeEmail';
+    return (
+      <>
+        <MailCheck size={40} className="mx-auto mt-6 text-purple-600 dark:text-purple-400" />
+        <h2 className="mt-4 text-2xl font-bold text-gray-900 dark:text-white">
+          {changedEmail ? 'Email address updated' : 'Email verified'}
+        </h2>
+        <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+          {changedEmail
+            ? <>You now sign in with <span className="font-medium text-gray-900 dark:text-white">{email}</span>.</>
+            : <>Thanks for verifying <span className="font-medium text-gray-900 dark:text-white">{email}</span>. You can now create content and manage billing.</>}
+        </p>
+        <div className="mt-8">
+          <Link
+            to={user ? continuePath || '/dashboard' : '/login'}
+            replace
+            className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+          >
+            {user ? 'Continue' : 'Sign in'}
+          </Link>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="flex justify-center items-center py-12">
+      <div className="w-full max-w-md bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center">
+        <div className="flex justify-center">
+          <Logo showText={false} className="h-12 w-auto" />
+        </div>
+
+        {status === 'loading' && (
+          <p className="mt-6 text-sm text-gray-600 dark:text-gray-400">Checking your link...</p>
+        )}
+
+        {status === 'error' && (
+          <>
+            <AlertTriangle size={40} className="mx-auto mt-6 text-red-600 dark:text-red-400" />
+            <h2 className="mt-4 text-2xl font-bold text-gray-900 dark:text-white">Link not valid</h2>
+            <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">{error}</p>
+            <div className="mt-8 space-y-3">
+              {mode === 'resetPassword' && (
+                <Link
+                  to="/forgot-password"
+                  className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700"
+                >
+                  Request a new reset link
+                </Link>
+              )}
+              <Link
+                to={user ? '/dashboard' : '/login'}
+                className="w-full flex justify-center py-2 px-4 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+              >
+                {user ? 'Go to dashboard' : 'Back to login'}
+              </Link>
+            </div>
+          </>
+        )}
+
+        {status === 'done' && renderDone()}
+
+        {/* New password form */}
+        {status === 'form' && (
+          <>
+            <KeyRound size={40} className="mx-auto mt-6 text-purple-600 dark:text-purple-400" />
+            <h2 className="mt-4 text-2xl font-bold text-gray-900 dark:text-white">Choose a new password</h2>
+            <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+              For <span className="font-medium text-gray-900 dark:text-white">{email}</span>
+            </p>
+
+            <form onSubmit={handleResetSubmit} className="mt-6 space-y-4 text-left">
+              {errors.form && (
+                <div className="p-2 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm rounded">
+                  {errors.form}
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="new-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  New password
+                </label>
+                <div className="relative">
+                  <input
+                    id="new-password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="new-password"
+                    autoFocus
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className={`w-full px-4 py-2 rounded-md border ${errors.password ? 'border-red-500 dark:border-red-500' : 'border-gray-300 dark:border-gray-700'} dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-purple-500 focus:border-purple-500`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 flex items-center px-3 text-gray-500"
+                  >
+                    {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.password}</p>
+                )}
+                <PasswordStrengthMeter password={password} userInputs={[email]} />
+              </div>
+
+              <div>
+                <label htmlFor="confirm-new-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Confirm new password
+                </label>
+                <input
+                  id="confirm-new-password"
+                  name="confirmPassword"
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete="new-password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className={`w-full px-4 py-2 rounded-md border ${errors.confirmPassword ? 'border-red-500 dark:border-red-500' : 'border-gray-300 dark:border-gray-700'} dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-purple-500 focus:border-purple-500`}
+                />
+                {errors.confirmPassword && (
+                  <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.confirmPassword}</p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={submitting}
+                className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Saving...' : 'Reset password and sign in'}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
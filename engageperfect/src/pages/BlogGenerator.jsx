@@ -0,0 +1,665 @@
+/**
+ * File: BlogGenerator.jsx
+ * Version: 1.6.2
+ * Purpose: SEO blog post generator page.
+ * Walks the user from topic and keywords to an editable outline,
+ * a section-by-section draft and a final document with SEO metadata.
+ * Work in progress is autosaved as a draft and can be resumed with ?draft=<id>.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { doc, getDoc } from 'firebase/firestore';
+import { ArrowLeft, Copy, Download, FileText } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { db } from '../services/firebase';
+import {
+  generateBlogOutline,
+  generateBlogSection,
+  generateBlogMeta
+} from '../services/generationService';
+import { withRequestQuota, reserveRequest } from '../services/quotaService';
+import { recordContentCreated } from '../services/statsService';
+import { saveContent, updateContent } from '../services/contentService';
+import { getDraft } from '../services/draftService';
+import useDraftAutosave from '../hooks/useDraftAutosave';
+import { buildBlogMarkdown, slugify } from '../utils/blogMarkdown';
+import { TONE_OPTIONS } from '../constants/contentOptions';
+import BlogStepper from '../components/blog/BlogStepper';
+import OutlineEditor from '../components/blog/OutlineEditor';
+import SectionDraft from '../components/blog/SectionDraft';
+import BlogDocument from '../components/blog/BlogDocument';
+import DraftStatus from '../components/content/DraftStatus';
+import QuotaExceededModal from '../components/content/QuotaExceededModal';
+
+const STEPS = [
+  { id: 'topic', label: 'Topic & Keywords' },
+  { id: 'outline', label: 'Outline' },
+  { id: 'draft', label: 'Draft' },
+  { id: 'final', label: 'Final Document' }
+];
+
+// Recommended SEO lengths
+const META_TITLE_MAX = 60;
+const META_DESCRIPTION_MAX = 160;
+
+const inputClassName = "mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 dark:bg-gray-700 dark:text-white sm:text-sm";
+const primaryButtonClassName = "inline-flex justify-center items-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed";
+const secondaryButtonClassName = "inline-flex justify-center items-center py-2 px-4 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm font-medium text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed";
+
+export default function BlogGenerator() {
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  const resumeDraftId = searchParams.get('draft');
+
+  // Workflow state
+  const [step, setStep] = useState('topic');
+  const [input, setInput] = useState({
+    topic: '',
+    keywords: '',
+    audience: '',
+    tone: ''
+  });
+  const [outline, setOutline] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [meta, setMeta] = useState({ title: '', metaTitle: '', metaDescription: '' });
+  // Metadata last stored in the content library, to tell when edits are unsaved
+  const [savedMeta, setSavedMeta] = useState(null);
+  const [savingMeta, setSavingMeta] = useState(false);
+
+  // UI state
+  const [errors, setErrors] = useState({});
+  const [working, setWorking] = useState(false);
+  const [quotaError, setQuotaError] = useState(null);
+
+  // Autosave the workflow until the post is finalized. Only finished
+  // section drafts are kept; sections still being written resume as pending.
+  const { status: draftStatus, error: draftError, resumeDraft, discardDraft } = useDraftAutosave({
+    uid: user?.uid,
+    type: 'blog',
+    title: input.topic.trim() || 'Untitled blog post',
+    data: {
+      step,
+      input,
+      outline,
+      drafts: Object.fromEntries(Object.entries(drafts).filter(([, draft]) => draft.status === 'done')),
+      meta
+    },
+    enabled: !working && step !== 'final' && Boolean(input.topic.trim())
+  });
+
+  // Library document for the current post, set once it is first finalized
+  const contentIdRef = useRef(null);
+
+  // Cancels in-flight generation when the page is left
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  // Pre-fill the tone from the user's saved content preferences
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const userDoc = await getDoc(doc(db, 'users', user.uid));
+        const preferences = userDoc.exists() ? userDoc.data().preferences || {} : {};
+
+        setInput(prev => ({
+          ...prev,
+          tone: prev.tone || preferences.defaultTone || ''
+        }));
+      } catch (error) {
+        console.error('Error loading content preferences:', error);
+      }
+    };
+
+    if (user) {
+      fetchPreferences();
+    }
+  }, [user]);
+
+  // Restore the workflow from a saved draft
+  useEffect(() => {
+    const loadDraft = async () => {
+      try {
+        const draft = await getDraft(user.uid, resumeDraftId);
+        if (!draft || draft.type !== 'blog') {
+          toast.error('That draft could not be found');
+          return;
+        }
+
+        const restored = {
+          step: draft.data.step || 'topic',
+          input: { topic: '', keywords: '', audience: '', tone: '', ...draft.data.input },
+          outline: draft.data.outline || [],
+          drafts: draft.data.drafts || {},
+          meta: { title: '', metaTitle: '', metaDescription: '', ...draft.data.meta }
+        };
+        setStep(restored.step);
+        setInput(restored.input);
+        setOutline(restored.outline);
+        setDrafts(restored.drafts);
+        setMeta(restored.meta);
+        resumeDraft(draft, restored);
+      } catch (error) {
+        console.error('Error loading draft:', error);
+        toast.error('Failed to load draft');
+      }
+    };
+
+    if (user && resumeDraftId) {
+      loadDraft();
+    }
+  }, [user, resumeDraftId, resumeDraft]);
+
+  // Handle topic form changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setInput(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  // Step 1: generate the outline from topic and keywords
+  const handleGenerateOutline = async (e) => {
+    e.preventDefault();
+
+    if (!input.topic.trim()) {
+      setErrors({ topic: 'Topic is required' });
+      return;
+    }
+
+    setErrors({});
+    setWorking(true);
+
+    try {
+      const sections = await withRequestQuota('blog_outline', (reservationId) => (
+        generateBlogOutline(input, { signal: abortControllerRef.current.signal, reservationId })
+      ));
+      setOutline(sections);
+      setDrafts({});
+      setStep('outline');
+    } catch (error) {
+      if (error.code === 'generation/aborted') return;
+      if (error.code === 'quota/exhausted') {
+        setQuotaError(error);
+        return;
+      }
+      console.error('Error generating outline:', error);
+      toast.error('Failed to generate outline: ' + (error.message || 'Unknown error'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Draft a single section with a call from the given reservation, streaming
+  // its text into the draft as it arrives
+  const draftSection = async (section, index, reservationId) => {
+    setDrafts(prev => ({
+      ...prev,
+      [section.id]: { status: 'generating', content: '' }
+    }));
+
+    try {
+      const content = await generateBlogSection(input, section, index, {
+        signal: abortControllerRef.current.signal,
+        reservationId,
+        onToken: (token, textSoFar) => setDrafts(prev => ({
+          ...prev,
+          [section.id]: { status: 'generating', content: textSoFar }
+        }))
+      });
+      setDrafts(prev => ({
+        ...prev,
+        [section.id]: { status: 'done', content }
+      }));
+    } catch (error) {
+      if (error.code === 'generation/aborted') return;
+      console.error('Error drafting section:', error);
+      setDrafts(prev => ({
+        ...prev,
+        [section.id]: { status: 'error', content: '', error: error.message }
+      }));
+    }
+  };
+
+  // Reserve a request covering the given number of section calls, showing
+  // the upgrade prompt if none are left
+  const reserveDraftRequest = async (calls) => {
+    try {
+      return await reserveRequest('blog_section', calls);
+    } catch (error) {
+      if (error.code === 'quota/exhausted') {
+        setQuotaError(error);
+      } else {
+        console.error('Error reserving request:', error);
+        toast.error('Failed to start drafting: ' + (error.message || 'Unknown error'));
+      }
+      return null;
+    }
+  };
+
+  // Step 2: accept the outline and draft every section in order
+  const handleWriteDraft = async () => {
+    if (outline.some((section) => !section.heading.trim())) {
+      setErrors({ outline: 'Every section needs a heading' });
+      return;
+    }
+
+    const cleanedOutline = outline.map((section) => ({
+      ...section,
+      heading: section.heading.trim(),
+      points: section.points.map((point) => point.trim()).filter(Boolean)
+    }));
+
+    setErrors({});
+    setWorking(true);
+
+    // Drafting the whole post uses one request; the backend refunds it if
+    // no section can be drafted
+    const reservation = await reserveDraftRequest(cleanedOutline.length);
+    if (!reservation) {
+      setWorking(false);
+      return;
+    }
+
+    setOutline(cleanedOutline);
+    setDrafts({});
+    setStep('draft');
+
+    for (const [index, section] of cleanedOutline.entries()) {
+      await draftSection(section, index, reservation.reservationId);
+    }
+
+    setWorking(false);
+  };
+
+  // Regenerate one section without touching the others; uses one request
+  const handleRegenerateSection = async (section, index) => {
+    setWorking(true);
+
+    const reservation = await reserveDraftRequest(1);
+    if (reservation) {
+      await draftSection(section, index, reservation.reservationId);
+    }
+
+    setWorking(false);
+  };
+
+  // Store the finished post in the content library. The first save also
+  // counts the post in the user's stats; finalizing again or saving edited
+  // metadata updates it. Returns whether the post was saved.
+  const saveFinishedPost = async (postMeta) => {
+    const output = { ...postMeta, sections: finalSections };
+    const isUpdate = Boolean(contentIdRef.current);
+
+    try {
+      if (isUpdate) {
+        await updateContent(user.uid, contentIdRef.current, { title: postMeta.title || input.topic, output });
+        setSavedMeta(postMeta);
+        return true;
+      }
+
+      contentIdRef.current = await saveContent(user.uid, {
+        type: 'blog',
+        title: postMeta.title || input.topic,
+        inputs: input,
+        output
+      });
+      setSavedMeta(postMeta);
+      await recordContentCreated(user.uid);
+
+      // The post is in the library now, so the draft is no longer needed
+      await discardDraft();
+      return true;
+    } catch (error) {
+      console.error('Error saving blog post:', error);
+      toast.error(isUpdate
+        ? 'Your changes could not be saved to your library'
+        : 'Your post was generated but could not be saved to your library');
+      return false;
+    }
+  };
+
+  // Save edits to the title and SEO metadata
+  const handleSaveMeta = async () => {
+    setSavingMeta(true);
+    if (await saveFinishedPost(meta)) {
+      toast.success('Changes saved');
+    }
+    setSavingMeta(false);
+  };
+
+  const metaChanged = !savedMeta
+    || ['title', 'metaTitle', 'metaDescription'].some((field) => meta[field] !== savedMeta[field]);
+
+  // Step 3: generate SEO metadata and show the final document; uses one request
+  const handleFinalize = async () => {
+    if (outline.some((section) => drafts[section.id]?.status !== 'done')) {
+      toast.error('Every section needs a draft before finalizing');
+      return;
+    }
+
+    setWorking(true);
+
+    try {
+      const generatedMeta = await withRequestQuota('blog_meta', (reservationId) => (
+        generateBlogMeta(input, outline, { signal: abortControllerRef.current.signal, reservationId })
+      ));
+      setMeta(generatedMeta);
+      setStep('final');
+      await saveFinishedPost(generatedMeta);
+    } catch (error) {
+      if (error.code === 'generation/aborted') return;
+      if (error.code === 'quota/exhausted') {
+        setQuotaError(error);
+        return;
+      }
+      console.error('Error generating metadata:', error);
+      toast.error('Failed to generate metadata: ' + (error.message || 'Unknown error'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Sections with their drafted content for the final document
+  const finalSections = outline.map((section) => ({
+    id: section.id,
+    heading: section.heading,
+    content: drafts[section.id]?.content || ''
+  }));
+
+  // Copy the final Markdown to the clipboard
+  const handleCopyMarkdown = async () => {
+    try {
+      await navigator.clipboard.writeText(buildBlogMarkdown({ ...meta, sections: finalSections }));
+      toast.success('Markdown copied to clipboard');
+    } catch (error) {
+      console.error('Error copying markdown:', error);
+      toast.error('Could not copy Markdown');
+    }
+  };
+
+  // Download the final Markdown as a file
+  const handleDownloadMarkdown = () => {
+    const blob = new Blob([buildBlogMarkdown({ ...meta, sections: finalSections })], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${slugify(meta.title) || 'blog-post'}.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Reset the workflow
+  const handleStartOver = () => {
+    setStep('topic');
+    setOutline([]);
+    setDrafts({});
+    setMeta({ title: '', metaTitle: '', metaDescription: '' });
+    setSavedMeta(null);
+    setErrors({});
+    contentIdRef.current = null;
+  };
+
+  // Render a character counter that turns red past the recommended length
+  const renderCounter = (value, max) => (
+    <span className={`text-xs ${value.length > max ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+      {value.length}/{max}
+    </span>
+  );
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+      <div className="mb-8">
+        <div className="flex justify-between items-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Blog Post</h1>
+          <DraftStatus status={draftStatus} error={draftError} />
+        </div>
+        <p className="text-gray-600 dark:text-gray-400 mt-2">
+          Create SEO-optimized blog posts: pick a topic, refine the outline, then let us draft it section by section.
+        </p>
+      </div>
+
+      <BlogStepper steps={STEPS} currentStep={step} />
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+        {/* Step 1: Topic & keywords */}
+        {step === 'topic' && (
+          <form onSubmit={handleGenerateOutline} className="space-y-4">
+            <div>
+              <label htmlFor="topic" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Topic
+              </label>
+              <input
+                type="text"
+                name="topic"
+                id="topic"
+                value={input.topic}
+                onChange={handleChange}
+                disabled={working}
+                placeholder="e.g. Email marketing for small businesses"
+                className={inputClassName}
+              />
+              {errors.topic && (
+                <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.topic}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="keywords" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Target Keywords
+              </label>
+              <input
+                type="text"
+                name="keywords"
+                id="keywords"
+                value={input.keywords}
+                onChange={handleChange}
+                disabled={working}
+                placeholder="Comma separated, primary keyword first"
+                className={inputClassName}
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="audience" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Audience
+                </label>
+                <input
+                  type="text"
+                  name="audience"
+                  id="audience"
+                  value={input.audience}
+                  onChange={handleChange}
+                  disabled={working}
+                  placeholder="e.g. startup founders"
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label htmlFor="tone" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Tone
+                </label>
+                <select
+                  name="tone"
+                  id="tone"
+                  value={input.tone}
+                  onChange={handleChange}
+                  disabled={working}
+                  className={inputClassName}
+                >
+                  <option value="">Select Tone</option>
+                  {TONE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex justify-end">
+              <button type="submit" disabled={working} className={primaryButtonClassName}>
+                {working ? 'Generating Outline...' : 'Generate Outline'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Step 2: Editable outline */}
+        {step === 'outline' && (
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">Review the outline</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Edit headings and key points, reorder or add sections. Each section is drafted from what you keep here.
+            </p>
+            {errors.outline && (
+              <div className="mb-4 p-2 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm rounded">
+                {errors.outline}
+              </div>
+            )}
+            <OutlineEditor outline={outline} onChange={setOutline} disabled={working} />
+            <div className="mt-6 flex justify-between">
+              <button type="button" onClick={() => setStep('topic')} disabled={working} className={secondaryButtonClassName}>
+                <ArrowLeft size={16} className="mr-1.5" />
+                Back
+              </button>
+              <button type="button" onClick={handleWriteDraft} disabled={working} className={primaryButtonClassName}>
+                Write Draft
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 3: Section-by-section draft */}
+        {step === 'draft' && (
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">Drafting your post</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Sections are written one at a time. Edit any section or regenerate it before finalizing.
+            </p>
+            <div className="space-y-4">
+              {outline.map((section, index) => (
+                <SectionDraft
+                  key={section.id}
+                  section={section}
+                  draft={drafts[section.id]}
+                  index={index}
+                  disabled={working}
+                  onChange={(content) => setDrafts(prev => ({
+                    ...prev,
+                    [section.id]: { ...prev[section.id], content }
+                  }))}
+                  onRegenerate={() => handleRegenerateSection(section, index)}
+                />
+              ))}
+            </div>
+            <div className="mt-6 flex justify-between">
+              <button type="button" onClick={() => setStep('outline')} disabled={working} className={secondaryButtonClassName}>
+                <ArrowLeft size={16} className="mr-1.5" />
+                Edit Outline
+              </button>
+              <button type="button" onClick={handleFinalize} disabled={working} className={primaryButtonClassName}>
+                {working ? 'Working...' : 'Finalize Post'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 4: Final document */}
+        {step === 'final' && (
+          <div>
+            <div className="space-y-4 mb-8 pb-6 border-b border-gray-200 dark:border-gray-700">
+              <div>
+                <label htmlFor="title" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  id="title"
+                  value={meta.title}
+                  onChange={(e) => setMeta(prev => ({ ...prev, title: e.target.value }))}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <div className="flex justify-between items-center">
+                  <label htmlFor="metaTitle" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Meta Title
+                  </label>
+                  {renderCounter(meta.metaTitle, META_TITLE_MAX)}
+                </div>
+                <input
+                  type="text"
+                  id="metaTitle"
+                  value={meta.metaTitle}
+                  onChange={(e) => setMeta(prev => ({ ...prev, metaTitle: e.target.value }))}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <div className="flex justify-between items-center">
+                  <label htmlFor="metaDescription" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Meta Description
+                  </label>
+                  {renderCounter(meta.metaDescription, META_DESCRIPTION_MAX)}
+                </div>
+                <textarea
+                  id="metaDescription"
+                  rows={3}
+                  value={meta.metaDescription}
+                  onChange={(e) => setMeta(prev => ({ ...prev, metaDescription: e.target.value }))}
+                  className={inputClassName}
+                />
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={handleSaveMeta}
+                  disabled={working || savingMeta || !metaChanged}
+                  className={primaryButtonClassName}
+                >
+                  {savingMeta ? 'Saving...' : metaChanged ? 'Save Changes' : 'Saved'}
+                </button>
+              </div>
+            </div>
+
+            <BlogDocument title={meta.title} sections={finalSections} />
+
+            <div className="mt-8 flex flex-col sm:flex-row sm:justify-between space-y-3 sm:space-y-0">
+              <div className="flex space-x-3">
+                <button type="button" onClick={() => setStep('draft')} className={secondaryButtonClassName}>
+                  <ArrowLeft size={16} className="mr-1.5" />
+                  Back to Draft
+                </button>
+                <button type="button" onClick={handleStartOver} className={secondaryButtonClassName}>
+                  <FileText size={16} className="mr-1.5" />
+                  New Post
+                </button>
+              </div>
+              <div className="flex space-x-3">
+                <button type="button" onClick={handleCopyMarkdown} className={secondaryButtonClassName}>
+                  <Copy size={16} className="mr-1.5" />
+                  Copy Markdown
+                </button>
+                <button type="button" onClick={handleDownloadMarkdown} className={primaryButtonClassName}>
+                  <Download size={16} className="mr-1.5" />
+                  Download .md
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {quotaError && (
+        <QuotaExceededModal error={quotaError} onClose={() => setQuotaError(null)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,315 @@
+/**
+ * File: CaptionGenerator.jsx
+ * Version: 1.5.1
+ * Purpose: Social media caption generator page.
+ * Takes media or a description, pre-fills the user's content preferences
+ * and shows several caption variants with hashtags. Form input is
+ * autosaved as a draft and can be resumed with ?draft=<id>.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { doc, getDoc } from 'firebase/firestore';
+import { MessageSquare, RefreshCw } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { db } from '../services/firebase';
+import { generateCaptions } from '../services/generationService';
+import { withRequestQuota } from '../services/quotaService';
+import { recordContentCreated } from '../services/statsService';
+import { saveContent } from '../services/contentService';
+import { getDraft } from '../services/draftService';
+import useDraftAutosave from '../hooks/useDraftAutosave';
+import MediaUpload from '../components/caption/MediaUpload';
+import CaptionVariantCard from '../components/caption/CaptionVariantCard';
+import QuotaExceededModal from '../components/content/QuotaExceededModal';
+import DraftStatus from '../components/content/DraftStatus';
+import {
+  PLATFORM_OPTIONS,
+  TONE_OPTIONS,
+  NICHE_OPTIONS,
+  GOAL_OPTIONS
+} from '../constants/contentOptions';
+
+const selectClassName = "mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white sm:text-sm";
+
+export default function CaptionGenerator() {
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  const resumeDraftId = searchParams.get('draft');
+
+  // Form state
+  const [media, setMedia] = useState(null);
+  const [formData, setFormData] = useState({
+    description: '',
+    platform: '',
+    tone: '',
+    niche: '',
+    goal: ''
+  });
+
+  // UI state
+  const [errors, setErrors] = useState({});
+  const [generating, setGenerating] = useState(false);
+  const [variants, setVariants] = useState([]);
+  const [quotaError, setQuotaError] = useState(null);
+
+  // Autosave the form once there is something worth keeping
+  const { status: draftStatus, error: draftError, resumeDraft, discardDraft } = useDraftAutosave({
+    uid: user?.uid,
+    type: 'caption',
+    title: formData.description.trim().split('\n')[0].slice(0, 80) || 'Untitled caption',
+    data: formData,
+    enabled: !generating && Boolean(formData.description.trim())
+  });
+
+  // Cancels in-flight generation when the page is left
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  // Pre-fill the form from the user's saved content preferences
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const userDoc = await getDoc(doc(db, 'users', user.uid));
+        const preferences = userDoc.exists() ? userDoc.data().preferences || {} : {};
+
+        setFormData(prev => ({
+          ...prev,
+          platform: prev.platform || preferences.defaultPlatform || '',
+          tone: prev.tone || preferences.defaultTone || '',
+          niche: prev.niche || preferences.defaultNiche || '',
+          goal: prev.goal || preferences.defaultGoal || ''
+        }));
+      } catch (error) {
+        console.error('Error loading content preferences:', error);
+      }
+    };
+
+    if (user) {
+      fetchPreferences();
+    }
+  }, [user]);
+
+  // Restore the form from a saved draft
+  useEffect(() => {
+    const loadDraft = async () => {
+      try {
+        const draft = await getDraft(user.uid, resumeDraftId);
+        if (!draft || draft.type !== 'caption') {
+          toast.error('That draft could not be found');
+          return;
+        }
+
+        const restored = {
+          description: '',
+          platform: '',
+          tone: '',
+          niche: '',
+          goal: '',
+          ...draft.data
+        };
+        setFormData(restored);
+        resumeDraft(draft, restored);
+      } catch (error) {
+        console.error('Error loading draft:', error);
+        toast.error('Failed to load draft');
+      }
+    };
+
+    if (user && resumeDraftId) {
+      loadDraft();
+    }
+  }, [user, resumeDraftId, resumeDraft]);
+
+  // Handle input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  // Validate form input
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!media && !formData.description.trim()) {
+      newErrors.description = 'Upload media or describe your post';
+    }
+
+    if (!formData.platform) {
+      newErrors.platform = 'Platform is required';
+    }
+
+    if (!formData.tone) {
+      newErrors.tone = 'Tone is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Store generated captions in the content library and count them in the
+  // user's stats. Failures here should not hide the captions.
+  const saveCaptions = async (result) => {
+    try {
+      await saveContent(user.uid, {
+        type: 'caption',
+        platform: formData.platform,
+        inputs: { ...formData, mediaType: media?.type || null },
+        output: { variants: result }
+      });
+      await recordContentCreated(user.uid, { platform: formData.platform });
+
+      // The captions are in the library now, so the draft is no longer needed
+      await discardDraft();
+    } catch (error) {
+      console.error('Error saving captions:', error);
+      toast.error('Your captions were generated but could not be saved to your library');
+    }
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    setGenerating(true);
+
+    try {
+      // Each generation uses one request from the user's quota
+      const result = await withRequestQuota('caption', (reservationId) => generateCaptions({
+        ...formData,
+        media
+      }, { signal: abortControllerRef.current.signal, reservationId }));
+      setVariants(result);
+
+      saveCaptions(result);
+    } catch (error) {
+      if (error.code === 'generation/aborted') return;
+      if (error.code === 'quota/exhausted') {
+        setQuotaError(error);
+        return;
+      }
+      console.error('Error generating captions:', error);
+      toast.error('Failed to generate captions: ' + (error.message || 'Unknown error'));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  // Render a preference select with its label and error
+  const renderSelect = (name, label, options, placeholder) => (
+    <div>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+        {label}
+      </label>
+      <select
+        name={name}
+        id={name}
+        value={formData[name]}
+        onChange={handleChange}
+        disabled={generating}
+        className={selectClassName}
+      >
+        <option value="">{placeholder}</option>
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      {errors[name] && (
+        <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors[name]}</p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+      <div className="mb-8">
+        <div className="flex justify-between items-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Social Media Caption</h1>
+          <DraftStatus status={draftStatus} error={draftError} />
+        </div>
+        <p className="text-gray-600 dark:text-gray-400 mt-2">
+          Upload your media or describe your post and we'll write captions tailored to your audience.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Caption form */}
+        <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4 self-start">
+          <div>
+            <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Media</span>
+            <MediaUpload file={media} onChange={setMedia} disabled={generating} />
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Description
+            </label>
+            <textarea
+              name="description"
+              id="description"
+              rows={4}
+              value={formData.description}
+              onChange={handleChange}
+              disabled={generating}
+              placeholder="What is this post about? Mention products, events or key messages."
+              className={`mt-1 block w-full px-3 py-2 border ${
+                errors.description ? 'border-red-300 dark:border-red-600' : 'border-gray-300 dark:border-gray-600'
+              } rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white sm:text-sm`}
+            />
+            {errors.description && (
+              <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.description}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderSelect('platform', 'Platform', PLATFORM_OPTIONS, 'Select Platform')}
+            {renderSelect('tone', 'Tone', TONE_OPTIONS, 'Select Tone')}
+            {renderSelect('niche', 'Niche', NICHE_OPTIONS, 'Select Niche')}
+            {renderSelect('goal', 'Goal', GOAL_OPTIONS, 'Select Goal')}
+          </div>
+
+          <button
+            type="submit"
+            disabled={generating}
+            className={`w-full inline-flex justify-center items-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
+              generating ? 'opacity-70 cursor-not-allowed' : ''
+            }`}
+          >
+            {variants.length > 0 && !generating && <RefreshCw size={16} className="mr-2" />}
+            {generating ? 'Generating...' : variants.length > 0 ? 'Regenerate Captions' : 'Generate Captions'}
+          </button>
+        </form>
+
+        {/* Generated variants */}
+        <div className="space-y-4">
+          {variants.length > 0 ? (
+            variants.map((variant, index) => (
+              <CaptionVariantCard key={variant.id} variant={variant} index={index} />
+            ))
+          ) : (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 py-12 text-center text-gray-500 dark:text-gray-400">
+              <MessageSquare size={40} className="mx-auto mb-4 text-gray-400 dark:text-gray-600" />
+              <p className="text-lg font-medium">No captions yet</p>
+              <p className="mt-1">Your caption variants will appear here</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {quotaError && (
+        <QuotaExceededModal error={quotaError} onClose={() => setQuotaError(null)} />
+      )}
+    </div>
+  );
+}
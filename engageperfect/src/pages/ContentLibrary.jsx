@@ -0,0 +1,295 @@
+/**
+ * File: ContentLibrary.jsx
+ * Version: 1.0.0
+ * Purpose: Library of everything the user has generated.
+ * Supports searching, filtering by type, platform and status, paging
+ * through results and managing each item's status.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Search, Library, Trash2, ChevronDown, ChevronUp } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import {
+  listContent,
+  updateContent,
+  deleteContent,
+  CONTENT_STATUSES
+} from '../services/contentService';
+import { PLATFORM_OPTIONS } from '../constants/contentOptions';
+import ContentListItem from '../components/content/ContentListItem';
+import CaptionVariantCard from '../components/caption/CaptionVariantCard';
+import BlogDocument from '../components/blog/BlogDocument';
+
+const selectClassName = "block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white sm:text-sm";
+
+const TYPE_OPTIONS = [
+  { value: 'caption', label: 'Captions' },
+  { value: 'blog', label: 'Blog posts' }
+];
+
+export default function ContentLibrary() {
+  const { user } = useAuth();
+
+  // Filter state; search is applied on submit rather than on every keystroke
+  const [searchInput, setSearchInput] = useState('');
+  const [filters, setFilters] = useState({
+    search: '',
+    type: '',
+    platform: '',
+    status: ''
+  });
+
+  // Result state
+  const [items, setItems] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Ignores responses from queries that were replaced by newer filters
+  const queryIdRef = useRef(0);
+
+  // Load the first page whenever the filters change
+  useEffect(() => {
+    if (!user) return;
+
+    const queryId = ++queryIdRef.current;
+
+    const fetchFirstPage = async () => {
+      setLoading(true);
+      try {
+        const page = await listContent(user.uid, filters);
+        if (queryId !== queryIdRef.current) return;
+        setItems(page.items);
+        setCursor(page.cursor);
+        setHasMore(page.hasMore);
+      } catch (error) {
+        console.error('Error loading content:', error);
+        toast.error('Failed to load your content');
+      } finally {
+        if (queryId === queryIdRef.current) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchFirstPage();
+  }, [user, filters]);
+
+  // Load the next page after the current cursor
+  const handleLoadMore = async () => {
+    const queryId = queryIdRef.current;
+    setLoadingMore(true);
+
+    try {
+      const page = await listContent(user.uid, { ...filters, cursor });
+      if (queryId !== queryIdRef.current) return;
+      setItems(prev => [...prev, ...page.items]);
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error('Error loading more content:', error);
+      toast.error('Failed to load more content');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Handle filter select changes
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  // Apply the search box
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({
+      ...prev,
+      search: searchInput.trim()
+    }));
+  };
+
+  // Change an item's status
+  const handleStatusChange = async (content, status) => {
+    try {
+      await updateContent(user.uid, content.id, { status });
+      setItems(prev => prev.map((item) => (item.id === content.id ? { ...item, status } : item)));
+    } catch (error) {
+      console.error('Error updating content status:', error);
+      toast.error('Failed to update status');
+    }
+  };
+
+  // Permanently delete an item
+  const handleDelete = async (content) => {
+    if (!window.confirm(`Delete "${content.title}"? This cannot be undone.`)) return;
+
+    try {
+      await deleteContent(user.uid, content.id);
+      setItems(prev => prev.filter((item) => item.id !== content.id));
+      toast.success('Content deleted');
+    } catch (error) {
+      console.error('Error deleting content:', error);
+      toast.error('Failed to delete content');
+    }
+  };
+
+  // Render the generated output of an expanded item
+  const renderOutput = (content) => {
+    if (content.type === 'blog') {
+      return (
+        <BlogDocument
+          title={content.output?.title || content.title}
+          sections={content.output?.sections || []}
+        />
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        {(content.output?.variants || []).map((variant, index) => (
+          <CaptionVariantCard key={variant.id} variant={variant} index={index} />
+        ))}
+      </div>
+    );
+  };
+
+  const hasFilters = filters.search || filters.type || filters.platform || filters.status;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Content Library</h1>
+        <p className="text-gray-600 dark:text-gray-400 mt-2">
+          Every caption and blog post you generate is saved here.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-6">
+        <form onSubmit={handleSearch} className="flex mb-4">
+          <div className="relative flex-1">
+            <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search by title or topic"
+              aria-label="Search content"
+              className="block w-full pl-9 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white sm:text-sm"
+            />
+          </div>
+          <button
+            type="submit"
+            className="ml-3 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            Search
+          </button>
+        </form>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <select name="type" value={filters.type} onChange={handleFilterChange} aria-label="Content type" className={selectClassName}>
+            <option value="">All types</option>
+            {TYPE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select name="platform" value={filters.platform} onChange={handleFilterChange} aria-label="Platform" className={selectClassName}>
+            <option value="">All platforms</option>
+            {PLATFORM_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select name="status" value={filters.status} onChange={handleFilterChange} aria-label="Status" className={selectClassName}>
+            <option value="">All statuses</option>
+            {CONTENT_STATUSES.map((status) => (
+              <option key={status} value={status} className="capitalize">{status}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+        {loading ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+          </div>
+        ) : items.length === 0 ? (
+          <div className="py-12 text-center text-gray-500 dark:text-gray-400">
+            <Library size={40} className="mx-auto mb-4 text-gray-400 dark:text-gray-600" />
+            <p className="text-lg font-medium">{hasFilters ? 'No matching content' : 'No content yet'}</p>
+            <p className="mt-1">
+              {hasFilters ? 'Try different filters or search terms' : 'Generated captions and blog posts will appear here'}
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {items.map((content) => (
+                <div key={content.id}>
+                  <ContentListItem
+                    content={content}
+                    onClick={() => setExpandedId(expandedId === content.id ? null : content.id)}
+                  >
+                    <select
+                      value={content.status}
+                      onChange={(e) => handleStatusChange(content, e.target.value)}
+                      aria-label={`Status of ${content.title}`}
+                      className="text-xs border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-white py-1 capitalize"
+                    >
+                      {CONTENT_STATUSES.map((status) => (
+                        <option key={status} value={status}>{status}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(content)}
+                      className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                      aria-label={`Delete ${content.title}`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setExpandedId(expandedId === content.id ? null : content.id)}
+                      className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                      aria-label={expandedId === content.id ? 'Collapse' : 'Expand'}
+                    >
+                      {expandedId === content.id ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                    </button>
+                  </ContentListItem>
+
+                  {expandedId === content.id && (
+                    <div className="pb-6 pt-2">
+                      {renderOutput(content)}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {hasMore && (
+              <div className="mt-6 text-center">
+                <button
+                  type="button"
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                  className="py-2 px-4 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm font-medium text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-70"
+                >
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,66 @@
 /**
  * File: Dashboard.jsx
- * Version: 1.0.0
+ * Version: 1.7.0
  * Purpose: Main dashboard for authenticated users.
- * Displays usage information and content creation options.
+ * Displays live usage information and content creation options.
  */
 
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { doc, onSnapshot } from 'firebase/firestore';
 import { useAuth } from '../context/AuthContext';
+import { useSubscription } from '../hooks/useSubscription';
+import { db } from '../services/firebase';
+import { DEFAULT_REQUEST_LIMIT, getQuotaCycle } from '../services/quotaService';
+import { listContent } from '../services/contentService';
+import { getFlexCreditBalance } from '../services/creditService';
+import ContentListItem from '../components/content/ContentListItem';
+import { getPlanType } from '../constants/plans';
+import { getSubscriptionNotice } from '../services/subscriptionService';
+
+// Number of items shown under Recent Content
+const RECENT_CONTENT_COUNT = 5;
 
 export default function Dashboard() {
   const { user } = useAuth();
+  const subscription = useSubscription();
+  const [profile, setProfile] = useState(null);
+  const [recentContent, setRecentContent] = useState([]);
+
+  // Subscribe to the user document so usage updates live across tabs
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = onSnapshot(
+      doc(db, 'users', user.uid),
+      (snapshot) => setProfile(snapshot.exists() ? snapshot.data() : {}),
+      (error) => console.error('Error loading usage stats:', error)
+    );
+
+    return unsubscribe;
+  }, [user]);
+
+  // Load the latest saved content
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchRecentContent = async () => {
+      try {
+        const { items } = await listContent(user.uid, { pageSize: RECENT_CONTENT_COUNT });
+        setRecentContent(items);
+      } catch (error) {
+        console.error('Error loading recent content:', error);
+      }
+    };
+
+    fetchRecentContent();
+  }, [user]);
+
+  // Requests left in the current cycle; an expired cycle has not been reset yet
+  const requestsLimit = profile?.requests_limit ?? DEFAULT_REQUEST_LIMIT;
+  const requestsUsed = profile && !getQuotaCycle(profile).expired ? profile.requests_used || 0 : 0;
+  const requestsRemaining = Math.max(0, requestsLimit - requestsUsed);
+  const flexCredits = getFlexCreditBalance(profile);
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -25,15 +77,30 @@ export default function Dashboard() {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="bg-blue-50 dark:bg-blue-900/30 p-4 rounded-lg">
             <p className="text-sm text-blue-700 dark:text-blue-300 font-medium">Plan</p>
-            <p className="text-2xl font-bold text-blue-800 dark:text-blue-200">Free</p>
+            <p className="text-2xl font-bold text-blue-800 dark:text-blue-200">
+              {subscription.loading ? '...' : getPlanType(subscription.planType).name}
+            </p>
+            {!subscription.loading && (
+              <p className="text-xs text-blue-700 dark:text-blue-300 mt-1">
+                {getSubscriptionNotice(subscription)?.label
+                  || (subscription.renewsAt ? `Renews ${subscription.renewsAt.toLocaleDateString()}` : 'No active subscription')}
+              </p>
+            )}
           </div>
           <div className="bg-green-50 dark:bg-green-900/30 p-4 rounded-lg">
             <p className="text-sm text-green-700 dark:text-green-300 font-medium">Available Requests</p>
-            <p className="text-2xl font-bold text-green-800 dark:text-green-200">74 / 75</p>
+            <p className="text-2xl font-bold text-green-800 dark:text-green-200">
+              {profile ? `${requestsRemaining} / ${requestsLimit}` : '...'}
+            </p>
+            {flexCredits > 0 && (
+              <p className="text-xs text-green-700 dark:text-green-300 mt-1">+ {flexCredits} Flex credits</p>
+            )}
           </div>
           <div className="bg-purple-50 dark:bg-purple-900/30 p-4 rounded-lg">
             <p className="text-sm text-purple-700 dark:text-purple-300 font-medium">Generated Posts</p>
-            <p className="text-2xl font-bold text-purple-800 dark:text-purple-200">1</p>
+            <p className="text-2xl font-bold text-purple-800 dark:text-purple-200">
+              {profile ? profile.stats?.totalContentCreated || 0 : '...'}
+            </p>
           </div>
         </div>
       </div>
@@ -54,9 +121,12 @@ export default function Dashboard() {
           <p className="text-gray-600 dark:text-gray-400 mb-4">
             Generate engaging captions for your social media posts with AI assistance.
           </p>
-          <button className="w-full inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">
+          <Link
+            to="/new-caption"
+            className="w-full inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
             Create Caption
-          </button>
+          </Link>
         </div>
 
         {/* Blog Generator Card */}
@@ -72,19 +142,37 @@ export default function Dashboard() {
           <p className="text-gray-600 dark:text-gray-400 mb-4">
             Create SEO-optimized blog posts with AI. Include images and structured content.
           </p>
-          <button className="w-full inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500">
+          <Link
+            to="/new-blog"
+            className="w-full inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+          >
             Create Blog Post
-          </button>
+          </Link>
         </div>
       </div>
 
-      {/* Recent Content (Placeholder) */}
+      {/* Recent Content */}
       <div className="mt-12">
-        <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Recent Content</h2>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Recent Content</h2>
+          {recentContent.length > 0 && (
+            <Link to="/library" className="text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-500">
+              View all
+            </Link>
+          )}
+        </div>
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
-          <p className="text-gray-500 dark:text-gray-400 text-center py-8">
-            You haven't created any content yet. Start by creating a caption or blog post above!
-          </p>
+          {recentContent.length > 0 ? (
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {recentContent.map((content) => (
+                <ContentListItem key={content.id} content={content} />
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-500 dark:text-gray-400 text-center py-8">
+              You haven't created any content yet. Start by creating a caption or blog post above!
+            </p>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,162 @@
+/**
+ * File: Drafts.jsx
+ * Version: 1.0.0
+ * Purpose: Lists the user's autosaved drafts.
+ * Drafts can be resumed in their editor or deleted to free a slot
+ * under the plan's draft limit.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { doc, getDoc } from 'firebase/firestore';
+import { Edit, MessageSquare, FileText, Trash2 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { db } from '../services/firebase';
+import { listDrafts, deleteDraft, getDraftLimit } from '../services/draftService';
+
+// Editor route for each draft type
+const EDITOR_PATHS = {
+  caption: '/new-caption',
+  blog: '/new-blog'
+};
+
+/**
+ * Formats a Firestore timestamp for display
+ * @param {Timestamp|null} timestamp - Stored timestamp
+ * @returns {string} Formatted date and time
+ */
+const formatUpdatedAt = (timestamp) => {
+  if (!timestamp?.toDate) return 'Just now';
+
+  return timestamp.toDate().toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+export default function Drafts() {
+  const { user } = useAuth();
+  const [drafts, setDrafts] = useState([]);
+  const [draftLimit, setDraftLimit] = useState(getDraftLimit());
+  const [loading, setLoading] = useState(true);
+  const [deletingId, setDeletingId] = useState(null);
+
+  // Load drafts and the plan's draft limit
+  useEffect(() => {
+    const fetchDrafts = async () => {
+      try {
+        const [draftList, userDoc] = await Promise.all([
+          listDrafts(user.uid),
+          getDoc(doc(db, 'users', user.uid))
+        ]);
+        setDrafts(draftList);
+        setDraftLimit(getDraftLimit(userDoc.exists() ? userDoc.data().plan_type : undefined));
+      } catch (error) {
+        console.error('Error loading drafts:', error);
+        toast.error('Failed to load drafts');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (user) {
+      fetchDrafts();
+    }
+  }, [user]);
+
+  // Delete a draft and free its slot
+  const handleDelete = async (draft) => {
+    if (!window.confirm(`Delete the draft "${draft.title}"?`)) return;
+
+    setDeletingId(draft.id);
+    try {
+      await deleteDraft(user.uid, draft.id);
+      setDrafts(prev => prev.filter((item) => item.id !== draft.id));
+      toast.success('Draft deleted');
+    } catch (error) {
+      console.error('Error deleting draft:', error);
+      toast.error('Failed to delete draft');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+      <div className="mb-8 flex justify-between items-end">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Drafts</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">
+            Your work in progress is saved automatically. Pick up where you left off.
+          </p>
+        </div>
+        {!loading && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {drafts.length} / {draftLimit} drafts
+          </p>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+        {loading ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+          </div>
+        ) : drafts.length === 0 ? (
+          <div className="py-12 text-center text-gray-500 dark:text-gray-400">
+            <Edit size={40} className="mx-auto mb-4 text-gray-400 dark:text-gray-600" />
+            <p className="text-lg font-medium">No drafts</p>
+            <p className="mt-1">Captions and blog posts you start will be saved here</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {drafts.map((draft) => {
+              const Icon = draft.type === 'blog' ? FileText : MessageSquare;
+
+              return (
+                <div key={draft.id} className="flex items-center justify-between py-3">
+                  <div className="flex items-center min-w-0">
+                    <div className={`flex-shrink-0 p-2 rounded-full ${
+                      draft.type === 'blog'
+                        ? 'bg-purple-100 dark:bg-purple-900/50 text-purple-600 dark:text-purple-400'
+                        : 'bg-blue-100 dark:bg-blue-900/50 text-blue-600 dark:text-blue-400'
+                    }`}>
+                      <Icon size={16} />
+                    </div>
+                    <div className="ml-3 min-w-0">
+                      <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{draft.title}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {draft.type === 'blog' ? 'Blog post' : 'Caption'} · Edited {formatUpdatedAt(draft.updatedAt)}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-2 ml-4 flex-shrink-0">
+                    <Link
+                      to={`${EDITOR_PATHS[draft.type] || EDITOR_PATHS.caption}?draft=${draft.id}`}
+                      className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                      Resume
+                    </Link>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(draft)}
+                      disabled={deletingId === draft.id}
+                      className="p-1.5 text-gray-400 hover:text-red-600 dark:hover:text-red-400 disabled:opacity-50"
+                      aria-label={`Delete ${draft.title}`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
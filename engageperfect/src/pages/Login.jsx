@@ -1,15 +1,26 @@
 /**
  * File: Login.jsx
- * Version: 1.0.0
+ * Version: 1.3.1
  * Purpose: Login page component for EngagePerfect.
  * Features email/password login, Google auth, and forgot password functionality.
+ * Signing in with a password after a Google sign-in collision links the two.
+ * Accounts with two-factor authentication get a code step after the first
+ * factor, with recovery codes as a fallback.
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Logo from "../components/Logo"; // Fixed import path
 import { Eye, EyeOff } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import SecondFactorForm from '../components/auth/SecondFactorForm';
+
+// Raised by Firebase when the account needs a second factor
+const MFA_REQUIRED_CODE = 'auth/multi-factor-auth-required';
+
+// Shown when Google sign-in matches an existing email/password account
+const ACCOUNT_EXISTS_MESSAGE = 'An account already exists with this email. Sign in with your password to link your Google account.';
 
 export default function Login() {
   // Form state
@@ -23,13 +34,49 @@ export default function Login() {
   const [loading, setLoading] = useState(false);
   
   // Hooks
-  const { login, loginWithGoogle } = useAuth();
+  const {
+    user,
+    login,
+    loginWithGoogle,
+    pendingGoogleLink,
+    pendingMfaSignIn,
+    completeMfaSignIn,
+    recoverMfaSignIn,
+    cancelMfaSignIn,
+    redirectError
+  } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
   // Get redirect path from location state or default to dashboard
   const from = location.state?.from?.pathname || '/dashboard';
 
+  // Leave the page once a Google redirect sign-in has completed
+  useEffect(() => {
+    if (user && !loading) {
+      navigate(from, { replace: true });
+    }
+  }, [user, loading, navigate, from]);
+
+  // Ask for the password when a Google sign-in matched an existing account
+  useEffect(() => {
+    if (pendingGoogleLink) {
+      setEmail(pendingGoogleLink);
+      setError(ACCOUNT_EXISTS_MESSAGE);
+    }
+  }, [pendingGoogleLink]);
+
+  // Show other errors from a Google redirect sign-in
+  useEffect(() => {
+    if (
+      redirectError &&
+      redirectError.code !== 'auth/account-exists-with-different-credential' &&
+      redirectError.code !== MFA_REQUIRED_CODE
+    ) {
+      setError('Google sign-in failed. Please try again');
+    }
+  }, [redirectError]);
+
   /**
    * Handle email/password login form submission
    */
@@ -48,11 +95,18 @@ export default function Login() {
     
     try {
       // Attempt to login
+      const linkingGoogle = Boolean(pendingGoogleLink);
       await login(email, password, rememberMe);
+      if (linkingGoogle) {
+        toast.success('Your Google account is now linked');
+      }
       navigate(from, { replace: true });
     } catch (err) {
       // Handle specific error codes with friendly messages
       switch (err.code) {
+        case MFA_REQUIRED_CODE:
+          // The code step takes over
+          break;
         case 'auth/user-not-found':
         case 'auth/wrong-password':
           setError('Invalid email or password');
@@ -75,14 +129,63 @@ export default function Login() {
     setLoading(true);
     
     try {
-      await loginWithGoogle();
-      navigate(from, { replace: true });
+      // Resolves to null when falling back to a redirect; keep loading until the page leaves
+      if (await loginWithGoogle(rememberMe)) {
+        navigate(from, { replace: true });
+      }
     } catch (err) {
-      setError('Google sign-in failed. Please try again');
+      switch (err.code) {
+        case 'auth/popup-closed-by-user':
+        case 'auth/cancelled-popup-request':
+        case MFA_REQUIRED_CODE:
+          break;
+        case 'auth/account-exists-with-different-credential':
+          setEmail(err.customData?.email || '');
+          setError(ACCOUNT_EXISTS_MESSAGE);
+          break;
+        default:
+          setError('Google sign-in failed. Please try again');
+      }
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Finish signing in with an authenticator code. Errors are shown by the form.
+   */
+  const handleVerifySecondFactor = async (code) => {
+    const linkingGoogle = Boolean(pendingGoogleLink);
+    await completeMfaSignIn(code);
+    if (linkingGoogle) {
+      toast.success('Your Google account is now linked');
+    }
+    navigate(from, { replace: true });
+  };
+
+  /**
+   * Turn off two-factor authentication with a recovery code and the
+   * password, then sign in again and send the user to set it up again
+   */
+  const handleUseRecoveryCode = async (code) => {
+    await recoverMfaSignIn(code, password);
+    setLoading(true);
+
+    try {
+      await login(email, password, rememberMe);
+      toast('Two-factor authentication is off. Set it up again to keep your account safe.', { icon: '🔐' });
+      navigate('/settings/security', { replace: true });
+    } catch (err) {
+      console.error('Error signing in after recovery:', err);
+      setError('Your recovery code was accepted. Please sign in again.');
       setLoading(false);
     }
   };
 
+  const handleCancelSecondFactor = () => {
+    cancelMfaSignIn();
+    setLoading(false);
+  };
+
   return (
     <div className="flex min-h-screen">
       {/* Left Panel - Login Form */}
@@ -104,125 +207,136 @@ export default function Login() {
           </div>
           
           
-          {/* Error display */}
-          {error && (
-            <div className="bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300 p-3 rounded-md mb-4 text-sm">
-              {error}
-            </div>
-          )}
+          {pendingMfaSignIn ? (
+            <SecondFactorForm
+              onVerify={handleVerifySecondFactor}
+              onUseRecoveryCode={handleUseRecoveryCode}
+              onCancel={handleCancelSecondFactor}
+              allowRecovery
+            />
+          ) : (
+            <>
+              {/* Error display */}
+              {error && (
+                <div className="bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300 p-3 rounded-md mb-4 text-sm">
+                  {error}
+                </div>
+              )}
           
-          {/* Login Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Email */}
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                Email address
-              </label>
-              <div className="relative">
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  required
-                  className="w-full px-4 py-2 rounded-md border dark:border-gray-700 dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-primary-500 focus:border-primary-500"
-                  placeholder="you@example.com"
-                />
-              </div>
-            </div>
+              {/* Login Form */}
+              <form onSubmit={handleSubmit} className="space-y-6">
+                {/* Email */}
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Email address
+                  </label>
+                  <div className="relative">
+                    <input
+                      id="email"
+                      name="email"
+                      type="email"
+                      autoComplete="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      required
+                      className="w-full px-4 py-2 rounded-md border dark:border-gray-700 dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-primary-500 focus:border-primary-500"
+                      placeholder="you@example.com"
+                    />
+                  </div>
+                </div>
             
-            {/* Password */}
-            <div>
-              <div className="flex items-center justify-between">
-                <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                  Password
-                </label>
-              </div>
-              <div className="relative">
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? "text" : "password"}
-                  autoComplete="current-password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  required
-                  className="w-full px-4 py-2 rounded-md border dark:border-gray-700 dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-primary-500 focus:border-primary-500"
-                  placeholder="Your password"
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute inset-y-0 right-0 flex items-center px-3 text-gray-500"
-                >
-                  {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
-                </button>
-              </div>
-            </div>
+                {/* Password */}
+                <div>
+                  <div className="flex items-center justify-between">
+                    <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Password
+                    </label>
+                  </div>
+                  <div className="relative">
+                    <input
+                      id="password"
+                      name="password"
+                      type={showPassword ? "text" : "password"}
+                      autoComplete="current-password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                      className="w-full px-4 py-2 rounded-md border dark:border-gray-700 dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-primary-500 focus:border-primary-500"
+                      placeholder="Your password"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute inset-y-0 right-0 flex items-center px-3 text-gray-500"
+                    >
+                      {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                    </button>
+                  </div>
+                </div>
             
-            {/* Remember me & Forgot password */}
-            <div className="flex items-center justify-between">
-              <div className="flex items-center">
-                <input
-                  id="remember-me"
-                  name="remember-me"
-                  type="checkbox"
-                  checked={rememberMe}
-                  onChange={(e) => setRememberMe(e.target.checked)}
-                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded dark:border-gray-600 dark:bg-gray-800"
-                />
-                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
-                  Remember me
-                </label>
-              </div>
-              <div className="text-sm">
-                <Link to="/forgot-password" className="text-primary-600 hover:text-primary-500 dark:text-primary-400">
-                  Forgot your password?
-                </Link>
-              </div>
-            </div>
+                {/* Remember me & Forgot password */}
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center">
+                    <input
+                      id="remember-me"
+                      name="remember-me"
+                      type="checkbox"
+                      checked={rememberMe}
+                      onChange={(e) => setRememberMe(e.target.checked)}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded dark:border-gray-600 dark:bg-gray-800"
+                    />
+                    <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                      Remember me
+                    </label>
+                  </div>
+                  <div className="text-sm">
+                    <Link to="/forgot-password" className="text-primary-600 hover:text-primary-500 dark:text-primary-400">
+                      Forgot your password?
+                    </Link>
+                  </div>
+                </div>
             
-            {/* Submit button */}
-            <div>
-              <button
-                type="submit"
-                disabled={loading}
-                className={`w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${loading ? 'opacity-70 cursor-not-allowed' : ''}`}
-              >
-                {loading ? 'Signing in...' : 'Sign in'}
-              </button>
-            </div>
-          </form>
+                {/* Submit button */}
+                <div>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className={`w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${loading ? 'opacity-70 cursor-not-allowed' : ''}`}
+                  >
+                    {loading ? 'Signing in...' : 'Sign in'}
+                  </button>
+                </div>
+              </form>
           
-          {/* Social Login Divider */}
-          <div className="mt-6">
-            <div className="relative">
-              <div className="absolute inset-0 flex items-center">
-                <div className="w-full border-t border-gray-300 dark:border-gray-700"></div>
-              </div>
-              <div className="relative flex justify-center text-sm">
-                <span className="px-2 bg-white dark:bg-gray-900 text-gray-500 dark:text-gray-400">Or continue with</span>
-              </div>
-            </div>
+              {/* Social Login Divider */}
+              <div className="mt-6">
+                <div className="relative">
+                  <div className="absolute inset-0 flex items-center">
+                    <div className="w-full border-t border-gray-300 dark:border-gray-700"></div>
+                  </div>
+                  <div className="relative flex justify-center text-sm">
+                    <span className="px-2 bg-white dark:bg-gray-900 text-gray-500 dark:text-gray-400">Or continue with</span>
+                  </div>
+                </div>
             
-            {/* Google Sign-in button */}
-            <div className="mt-6">
-              <button
-                onClick={handleGoogleSignIn}
-                disabled={loading}
-                className="w-full flex justify-center items-center py-2 px-4 border border-gray-300 dark:border-gray-700 rounded-md shadow-sm bg-white dark:bg-gray-800 text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
-              >
-                <svg className="h-5 w-5 mr-2" viewBox="0 0 24 24">
-                  <g transform="matrix(1, 0, 0, 1, 0, 0)">
-                    <path d="M21.35,11.1H12.18V13.83H18.69C18.36,17.64 15.19,19.27 12.19,19.27C8.36,19.27 5,16.25 5,12C5,7.9 8.2,4.73 12.2,4.73C15.29,4.73 17.1,6.7 17.1,6.7L19,4.72C19,4.72 16.56,2 12.1,2C6.42,2 2.03,6.8 2.03,12C2.03,17.05 6.16,22 12.25,22C17.6,22 21.5,18.33 21.5,12.91C21.5,11.76 21.35,11.1 21.35,11.1V11.1Z" fill="#4285F4" />
-                  </g>
-                </svg>
-                Continue with Google
-              </button>
-            </div>
-          </div>
+                {/* Google Sign-in button */}
+                <div className="mt-6">
+                  <button
+                    onClick={handleGoogleSignIn}
+                    disabled={loading}
+                    className="w-full flex justify-center items-center py-2 px-4 border border-gray-300 dark:border-gray-700 rounded-md shadow-sm bg-white dark:bg-gray-800 text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+                  >
+                    <svg className="h-5 w-5 mr-2" viewBox="0 0 24 24">
+                      <g transform="matrix(1, 0, 0, 1, 0, 0)">
+                        <path d="M21.35,11.1H12.18V13.83H18.69C18.36,17.64 15.19,19.27 12.19,19.27C8.36,19.27 5,16.25 5,12C5,7.9 8.2,4.73 12.2,4.73C15.29,4.73 17.1,6.7 17.1,6.7L19,4.72C19,4.72 16.56,2 12.1,2C6.42,2 2.03,6.8 2.03,12C2.03,17.05 6.16,22 12.25,22C17.6,22 21.5,18.33 21.5,12.91C21.5,11.76 21.35,11.1 21.35,11.1V11.1Z" fill="#4285F4" />
+                      </g>
+                    </svg>
+                    Continue with Google
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
         </div>
       </div>
       
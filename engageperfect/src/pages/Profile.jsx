@@ -1,6 +1,6 @@
 /**
  * File: Profile.jsx
- * Version: 1.1.0
+ * Version: 1.18.3
  * Purpose: User profile page component for EngagePerfect.
  * Displays user information, subscription details, usage statistics,
  * and allows profile editing and management.
@@ -8,31 +8,19 @@
 
 import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { useSubscription } from '../hooks/useSubscription';
 import { 
   doc, 
   getDoc, 
+  setDoc,
   updateDoc,
-  deleteDoc, 
   serverTimestamp 
 } from 'firebase/firestore';
-import { 
-  updateEmail, 
-  updatePassword, 
-  reauthenticateWithCredential,
-  EmailAuthProvider,
-  deleteUser
-} from 'firebase/auth';
-import { 
-  ref, 
-  uploadBytesResumable, 
-  getDownloadURL 
-} from 'firebase/storage';
-import { db, auth, storage } from '../services/firebase';
-import { useNavigate } from 'react-router-dom';
+import { db } from '../services/firebase';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { 
   Calendar, 
   Edit, 
-  User, 
   UploadCloud,
   Trash2,
   CreditCard,
@@ -40,7 +28,9 @@ import {
   Lock,
   Camera,
   CheckCircle,
-  AlertTriangle
+  AlertTriangle,
+  Mail,
+  ShieldCheck
 } from 'lucide-react';
 import EditProfileModal from '../components/profile/EditProfileModal';
 import ChangePasswordModal from '../components/profile/ChangePasswordModal';
@@ -49,26 +39,80 @@ import UpgradeSubscriptionModal from '../components/profile/UpgradeSubscriptionM
 import ProgressBar from '../components/ui/ProgressBar';
 import StatsCard from '../components/profile/StatsCard';
 import PlatformShareCard from '../components/profile/PlatformShareCard';
-import createStripeCheckout from '../services/createStripeCheckout';
+import CheckoutReturnBanner from '../components/profile/CheckoutReturnBanner';
+import CreditLedgerCard from '../components/profile/CreditLedgerCard';
+import BillingHistoryCard from '../components/profile/BillingHistoryCard';
+import DataExportCard from '../components/profile/DataExportCard';
+import AvatarCropModal from '../components/profile/AvatarCropModal';
+import Avatar from '../components/ui/Avatar';
+import ContentListItem from '../components/content/ContentListItem';
+import createStripeCheckout, { waitForCheckoutFulfillment } from '../services/createStripeCheckout';
+import createBillingPortalLink from '../services/createBillingPortalLink';
+import { DEFAULT_REQUEST_LIMIT } from '../services/quotaService';
+import { listContent } from '../services/contentService';
+import { getDraftLimit } from '../services/draftService';
+import { getFlexCreditBalance } from '../services/creditService';
+import { deleteAccount, getPendingDeletion } from '../services/accountDeletionService';
+import {
+  MAX_AVATAR_SOURCE_BYTES,
+  pruneAvatars,
+  removeAvatar,
+  uploadAvatar
+} from '../services/avatarService';
+import { loadImage, releaseImage } from '../utils/imageProcessing';
+import { getPlanType } from '../constants/plans';
+import { getDaysUntilRenewal, getSubscriptionNotice } from '../services/subscriptionService';
 import { toast } from 'react-hot-toast';
 
+// Badge colors for subscription notices
+const NOTICE_STYLES = {
+  info: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  warning: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  danger: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
 export default function Profile() {
   // Get auth context including updateProfile function
-  const { user, logout, updateProfile } = useAuth();
+  const {
+    user,
+    logout,
+    updateProfile,
+    reauthenticate,
+    canReauthenticateWithPassword,
+    requestEmailChange,
+    cancelEmailChange,
+    changePassword
+  } = useAuth();
+  const subscription = useSubscription();
   const navigate = useNavigate();
+  const location = useLocation();
 
   // States
   const [loading, setLoading] = useState(true);
   const [profile, setProfile] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [isUploading, setIsUploading] = useState(false);
+  const [cropImage, setCropImage] = useState(null);
   const [error, setError] = useState(null);
+  const [recentPosts, setRecentPosts] = useState([]);
+  const [openingPortal, setOpeningPortal] = useState(false);
+  const [checkoutReturn, setCheckoutReturn] = useState(null);
+  const [deletionProgress, setDeletionProgress] = useState({});
+  const [resumingDeletion, setResumingDeletion] = useState(false);
   
   // Modal states
   const [showEditProfile, setShowEditProfile] = useState(false);
   const [showChangePassword, setShowChangePassword] = useState(false);
   const [showDeleteAccount, setShowDeleteAccount] = useState(false);
-  const [showUpgradeSubscription, setShowUpgradeSubscription] = useState(false);
+  const [showUpgradeSubscription, setShowUpgradeSubscription] = useState(
+    Boolean(location.state?.openUpgrade)
+  );
+
+  // Live subscription state wins over the profile snapshot once loaded
+  const activePlanType = subscription.loading ? profile?.plan_type : subscription.planType;
+  const subscriptionNotice = getSubscriptionNotice(subscription);
+  const daysUntilRenewal = getDaysUntilRenewal(subscription.renewsAt);
+  const flexCredits = getFlexCreditBalance(profile);
 
   // Fetch user profile data from Firestore
   useEffect(() => {
@@ -94,7 +138,8 @@ export default function Profile() {
               createdAt: serverTimestamp(),
               plan_type: 'free',
               requests_used: 0,
-              requests_limit: 75,
+              requests_limit: DEFAULT_REQUEST_LIMIT,
+              quota_cycle_start: serverTimestamp(),
               preferences: {},
               stats: {
                 totalContentCreated: 0,
@@ -108,7 +153,7 @@ export default function Profile() {
                 }
               }
             };
-            await updateDoc(userDocRef, defaultProfile);
+            await setDoc(userDocRef, defaultProfile, { merge: true });
             setProfile({
               id: user.uid,
               ...defaultProfile
@@ -126,9 +171,108 @@ export default function Profile() {
     fetchProfile();
   }, [user]);
 
-  // Handle profile photo upload
+  // Returning from the billing portal: changes sync through Stripe webhooks
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    if (params.get('portal') !== 'return') return;
+
+    toast.success('Billing changes may take a moment to appear on your profile');
+    params.delete('portal');
+    navigate({ search: params.toString() }, { replace: true });
+  }, [location.search, navigate]);
+
+  // Offer to finish an interrupted account deletion, e.g. after cancelling
+  // the subscription in the billing portal
+  useEffect(() => {
+    if (!user) return;
+
+    const params = new URLSearchParams(location.search);
+    const returned = params.get('deleteAccount') === 'resume';
+
+    if (returned || getPendingDeletion(user.uid)) {
+      setResumingDeletion(true);
+      setShowDeleteAccount(true);
+    }
+
+    if (returned) {
+      params.delete('deleteAccount');
+      navigate({ search: params.toString() }, { replace: true });
+    }
+  }, [location.search, navigate, user]);
+
+  // Returning from Stripe Checkout: wait for the purchase to reach Firestore
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    const checkout = params.get('checkout');
+    if (!checkout || !user) return;
+
+    const planId = params.get('plan');
+
+    // Drop the checkout parameters so a reload does not repeat this
+    const clearCheckoutParams = () => {
+      ['checkout', 'plan', 'since'].forEach((key) => params.delete(key));
+      navigate({ search: params.toString() }, { replace: true });
+    };
+
+    if (checkout !== 'success') {
+      setCheckoutReturn({ status: 'canceled', planId });
+      clearCheckoutParams();
+      return;
+    }
+
+    const controller = new AbortController();
+    setCheckoutReturn({ status: 'confirming', planId });
+
+    waitForCheckoutFulfillment(user.uid, planId, {
+      since: Number(params.get('since')) || 0,
+      signal: controller.signal
+    })
+      .then(async (fulfilled) => {
+        setCheckoutReturn({ status: fulfilled ? 'confirmed' : 'delayed', planId });
+
+        if (fulfilled) {
+          // Pick up the new request limit and flex credits
+          const userDoc = await getDoc(doc(db, "users", user.uid));
+          if (userDoc.exists()) {
+            const { requests_used, requests_limit, plan_type, flex_packs } = userDoc.data();
+            setProfile((prev) => prev && { ...prev, requests_used, requests_limit, plan_type, flex_packs });
+          }
+        }
+
+        clearCheckoutParams();
+      })
+      .catch((err) => {
+        if (err.code === 'checkout/aborted') return;
+
+        console.error("Error confirming checkout:", err);
+        setCheckoutReturn({ status: 'delayed', planId });
+        clearCheckoutParams();
+      });
+
+    return () => controller.abort();
+  }, [location.search, navigate, user]);
+
+  // Fetch the latest published content
+  useEffect(() => {
+    const fetchRecentPosts = async () => {
+      try {
+        const { items } = await listContent(user.uid, { status: 'published', pageSize: 5 });
+        setRecentPosts(items);
+      } catch (error) {
+        console.error("Error fetching recent posts:", error);
+      }
+    };
+
+    if (user) {
+      fetchRecentPosts();
+    }
+  }, [user]);
+
+  // Open the crop dialog for a newly picked photo
   const handlePhotoUpload = async (event) => {
     const file = event.target.files[0];
+    // Allow picking the same file again later
+    event.target.value = '';
     if (!file) return;
     
     if (!file.type.startsWith('image/')) {
@@ -136,184 +280,191 @@ export default function Profile() {
       return;
     }
     
-    if (file.size > 5 * 1024 * 1024) {
-      toast.error('Image size should be less than 5MB');
+    if (file.size > MAX_AVATAR_SOURCE_BYTES) {
+      toast.error(`Image size should be less than ${MAX_AVATAR_SOURCE_BYTES / (1024 * 1024)}MB`);
       return;
     }
     
+    try {
+      setCropImage(await loadImage(file));
+    } catch (error) {
+      console.error("Error reading photo:", error);
+      toast.error('This image could not be opened. Please try another file.');
+    }
+  };
+
+  // Close the crop dialog and free the picked image
+  const closeCropDialog = () => {
+    if (cropImage) releaseImage(cropImage);
+    setCropImage(null);
+  };
+
+  // Points the Auth profile and users/{uid} at a photo (or none)
+  const applyProfilePhoto = async (photoURL, photoURLs) => {
+    await updateProfile({
+      displayName: user.displayName,
+      photoURL
+    });
+    await updateDoc(doc(db, "users", user.uid), { photoURL, photoURLs });
+    setProfile(prev => ({
+      ...prev,
+      photoURL,
+      photoURLs
+    }));
+  };
+
+  // Resize the cropped photo, upload it and replace the previous avatar
+  const handleSaveCroppedPhoto = async (crop) => {
     try {
       setIsUploading(true);
       setUploadProgress(0);
       
-      // Update the storage path to use profile_pictures folder
-      const storageRef = ref(storage, `profile_pictures/${user.uid}/${Date.now()}_${file.name}`);
-      const uploadTask = uploadBytesResumable(storageRef, file);
+      const { photoURL, photoURLs, paths } = await uploadAvatar(user.uid, cropImage, crop, {
+        onProgress: setUploadProgress
+      });
+      await applyProfilePhoto(photoURL, photoURLs);
       
-      uploadTask.on('state_changed', 
-        (snapshot) => {
-          const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-          setUploadProgress(progress);
-        },
-        (error) => {
-          console.error("Upload error:", error);
-          toast.error('Failed to upload image: ' + error.message);
-          setIsUploading(false);
-        },
-        async () => {
-          try {
-            const downloadURL = await getDownloadURL(uploadTask.snapshot.ref);
-            
-            // Use the updateProfile from context
-            if (typeof updateProfile === 'function') {
-              await updateProfile({
-                displayName: user.displayName,
-                photoURL: downloadURL
-              });
-            } else {
-              console.error("updateProfile is not a function");
-              toast.error("Could not update profile photo. Please try again later.");
-              setIsUploading(false);
-              return;
-            }
-            
-            // Update Firestore directly as a fallback
-            const userDocRef = doc(db, "users", user.uid);
-            await updateDoc(userDocRef, {
-              photoURL: downloadURL
-            });
-            
-            // Update local state
-            setProfile(prev => ({
-              ...prev,
-              photoURL: downloadURL
-            }));
-            
-            toast.success('Profile photo updated successfully');
-          } catch (err) {
-            console.error("Error updating profile with new photo:", err);
-            toast.error('Failed to update profile with new photo: ' + err.message);
-          } finally {
-            setIsUploading(false);
-          }
-        }
-      );
-    } catch (error) {
-      console.error("Photo upload error:", error);
-      toast.error('Failed to upload photo: ' + error.message);
+      // Only delete the old files once nothing points at them
+      pruneAvatars(user.uid, paths).catch((error) => {
+        console.error("Error deleting previous avatar files:", error);
+      });
+      
+      closeCropDialog();
+      toast.success('Profile photo updated successfully');
+    } catch (err) {
+      console.error("Error updating profile photo:", err);
+      toast.error('Failed to update profile photo: ' + err.message);
+    } finally {
       setIsUploading(false);
     }
   };
 
-  // Handle profile update
-  const updateProfileInfo = async (updatedData) => {
+  // Remove the photo and fall back to the initials placeholder
+  const handleRemovePhoto = async () => {
     try {
-      // Use the updateProfile function from context
-      if (typeof updateProfile === 'function') {
-        await updateProfile({
-          displayName: updatedData.displayName,
-          email: updatedData.email,
-          preferences: updatedData.preferences
-        });
-      } else {
-        // Fallback if updateProfile is not available from context
-        // Update Firebase Auth display name
-        await auth.currentUser.updateProfile({
-          displayName: updatedData.displayName
-        });
-        
-        // Update email if it changed
-        if (updatedData.email !== user.email) {
-          await updateEmail(auth.currentUser, updatedData.email);
-        }
-        
-        // Update Firestore
-        const userDocRef = doc(db, "users", user.uid);
-        await updateDoc(userDocRef, {
-          displayName: updatedData.displayName,
-          email: updatedData.email,
-          preferences: updatedData.preferences || {}
-        });
-      }
-      
-      // Update local state
-      setProfile(prev => ({
-        ...prev,
-        displayName: updatedData.displayName,
-        email: updatedData.email,
-        preferences: updatedData.preferences || prev.preferences || {}
-      }));
-      
-      toast.success('Profile updated successfully');
-      setShowEditProfile(false);
+      setIsUploading(true);
+      await applyProfilePhoto(null, null);
+      await removeAvatar(user.uid);
+      toast.success('Profile photo removed');
     } catch (err) {
-      console.error("Error updating profile:", err);
-      
-      // Handle specific Firebase Auth errors
-      if (err.code === 'auth/requires-recent-login') {
-        toast.error('For security, please log out and log back in to change your email');
-      } else {
-        toast.error('Failed to update profile: ' + (err.message || 'Unknown error'));
-      }
+      console.error("Error removing profile photo:", err);
+      toast.error('Failed to remove profile photo: ' + err.message);
+    } finally {
+      setIsUploading(false);
     }
   };
 
-  // Handle password change
-  const handlePasswordChange = async (data) => {
+  // Handle profile update. Errors are rethrown so the modal can show them
+  // next to the field they belong to.
+  const updateProfileInfo = async (updatedData) => {
+    await updateProfile({
+      displayName: updatedData.displayName
+    });
+
+    setProfile(prev => ({
+      ...prev,
+      displayName: updatedData.displayName
+    }));
+
+    // A new email only takes effect after the link sent to it is followed
+    const emailChanged = updatedData.email !== user.email;
+    if (emailChanged) {
+      await requestEmailChange(updatedData.email, updatedData.currentPassword);
+      setProfile(prev => ({ ...prev, pending_email: updatedData.email }));
+    }
+
+    toast.success(emailChanged
+      ? `Profile updated. Check ${updatedData.email} to confirm your new email.`
+      : 'Profile updated successfully');
+    setShowEditProfile(false);
+  };
+
+  // Drop the pending email change notice
+  const handleCancelEmailChange = async () => {
     try {
-      // Reauthenticate the user first
-      const credential = EmailAuthProvider.credential(user.email, data.currentPassword);
-      await reauthenticateWithCredential(auth.currentUser, credential);
-      
-      // Then change the password
-      await updatePassword(auth.currentUser, data.newPassword);
-      
-      toast.success('Password changed successfully');
-      setShowChangePassword(false);
+      await cancelEmailChange();
+      setProfile(prev => ({ ...prev, pending_email: null }));
     } catch (err) {
-      console.error("Error changing password:", err);
-      if (err.code === 'auth/wrong-password') {
-        toast.error('Current password is incorrect');
-      } else {
-        toast.error('Failed to change password: ' + err.message);
-      }
+      console.error("Error canceling email change:", err);
+      toast.error('Failed to cancel email change: ' + err.message);
     }
   };
 
+  // Handle password change
+  // Errors are rethrown so the modal can show policy and wrong-password
+  // messages next to the fields
+  const handlePasswordChange = async (data) => {
+    await changePassword(data.currentPassword, data.newPassword);
+    toast.success('Password changed successfully');
+    setShowChangePassword(false);
+  };
+
   // Handle account deletion
+  // Errors are rethrown so the modal can show them; trying again runs every
+  // step again. Password accounts confirm with their password, Google
+  // accounts with a popup.
   const handleDeleteAccount = async (password) => {
-    try {
-      // Reauthenticate the user first
-      const credential = EmailAuthProvider.credential(user.email, password);
-      await reauthenticateWithCredential(auth.currentUser, credential);
-      
-      // Delete the user document from Firestore
-      const userDocRef = doc(db, "users", user.uid);
-      await deleteDoc(userDocRef);
-      
-      // Delete the user from Firebase Auth
-      await deleteUser(auth.currentUser);
-      
-      toast.success('Your account has been deleted');
-      navigate('/signup');
-    } catch (err) {
-      console.error("Error deleting account:", err);
-      if (err.code === 'auth/wrong-password') {
-        toast.error('Password is incorrect');
-      } else {
-        toast.error('Failed to delete account: ' + err.message);
+    await reauthenticate(password);
+
+    setDeletionProgress({});
+    const result = await deleteAccount(user.uid, {
+      returnUrl: window.location.origin,
+      onProgress: (stepId, status) => {
+        setDeletionProgress((prev) => ({ ...prev, [stepId]: status }));
       }
+    });
+
+    // The subscription must be cancelled in Stripe before deletion continues
+    if (result.status === 'redirect') {
+      toast('Cancel your subscription to continue deleting your account');
+      window.location.assign(result.redirectUrl);
+      return;
     }
+
+    toast.success(result.billingRecordsLeft
+      ? 'Your account has been deleted. Stripe removes your remaining billing records shortly.'
+      : 'Your account has been deleted');
+    navigate('/signup');
   };
 
   // Handle subscription upgrade
+  // Create checkout session and redirect to payment. Errors are rethrown so
+  // the upgrade modal can show them. Purchases need a verified email.
+  const startCheckout = async (planType, { signal } = {}) => {
+    if (!user.emailVerified) {
+      navigate('/verify-email', { state: { from: location } });
+      return;
+    }
+
+    const checkoutUrl = await createStripeCheckout(user.uid, window.location.origin, planType, { signal });
+    window.location.assign(checkoutUrl);
+  };
+
+  // Open the Stripe Customer Portal to manage the subscription. Like
+  // purchases, this needs a verified email.
+  const handleManageSubscription = async () => {
+    if (!user.emailVerified) {
+      navigate('/verify-email', { state: { from: location } });
+      return;
+    }
+
+    setOpeningPortal(true);
+    try {
+      const portalUrl = await createBillingPortalLink(window.location.origin);
+      window.location.assign(portalUrl);
+    } catch (err) {
+      toast.error(err.message);
+      setOpeningPortal(false);
+    }
+  };
+
+  // Checkout started directly from a profile button
   const handleUpgradeSubscription = async (planType) => {
     try {
-      // Create checkout session and redirect to payment
-      const checkoutUrl = await createStripeCheckout(user.uid, window.location.origin, planType);
-      window.location.href = checkoutUrl;
+      await startCheckout(planType);
     } catch (err) {
       console.error("Error upgrading subscription:", err);
-      toast.error('Failed to upgrade subscription: ' + err.message);
+      toast.error(err.message);
     }
   };
 
@@ -368,6 +519,34 @@ export default function Profile() {
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Result of a Stripe Checkout */}
+      {checkoutReturn && (
+        <CheckoutReturnBanner
+          status={checkoutReturn.status}
+          planId={checkoutReturn.planId}
+          onDismiss={() => setCheckoutReturn(null)}
+        />
+      )}
+
+      {/* Email change waiting for verification */}
+      {profile?.pending_email && profile.pending_email !== profile.email && (
+        <div className="mb-6 p-4 rounded-md border border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/30 flex items-start">
+          <Mail className="h-5 w-5 text-blue-600 dark:text-blue-400 mr-3 flex-shrink-0" />
+          <div className="flex-1">
+            <h3 className="text-sm font-medium text-blue-800 dark:text-blue-300">Confirm your new email</h3>
+            <p className="text-sm text-blue-700 dark:text-blue-400 mt-1">
+              We sent a link to {profile.pending_email}. Your email stays {profile.email} until you follow it.
+            </p>
+          </div>
+          <button
+            onClick={handleCancelEmailChange}
+            className="ml-3 text-sm font-medium text-blue-700 dark:text-blue-300 hover:text-blue-800 dark:hover:text-blue-200"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
       {/* Profile Header */}
       <div className="bg-gradient-to-r from-purple-600 to-indigo-600 dark:from-purple-800 dark:to-indigo-800 rounded-lg shadow-lg overflow-hidden mb-8">
         <div className="relative p-6">
@@ -387,6 +566,13 @@ export default function Profile() {
               <Lock size={16} className="mr-1.5" />
               Change Password
             </button>
+            <Link
+              to="/settings/security"
+              className="bg-white bg-opacity-20 hover:bg-opacity-30 text-white px-3 py-1.5 rounded-md text-sm flex items-center transition-colors"
+            >
+              <ShieldCheck size={16} className="mr-1.5" />
+              Two-Factor Auth
+            </Link>
           </div>
           
           {/* User Information */}
@@ -394,17 +580,12 @@ export default function Profile() {
             {/* Avatar with upload functionality */}
             <div className="relative w-24 h-24 mb-4 md:mb-0 md:mr-6">
               <div className="w-24 h-24 rounded-full bg-gray-300 dark:bg-gray-700 overflow-hidden shadow-md border-2 border-white">
-                {profile?.photoURL ? (
-                  <img 
-                    src={profile.photoURL} 
-                    alt={profile.displayName} 
-                    className="w-full h-full object-cover"
-                  />
-                ) : (
-                  <div className="w-full h-full flex items-center justify-center bg-gray-200 dark:bg-gray-800">
-                    <User size={40} className="text-gray-500 dark:text-gray-400" />
-                  </div>
-                )}
+                <Avatar
+                  src={profile?.photoURL}
+                  name={profile?.displayName || profile?.email}
+                  className="w-full h-full"
+                  textClassName="text-3xl"
+                />
               </div>
               
               {/* Upload button */}
@@ -423,8 +604,20 @@ export default function Profile() {
                 />
               </label>
               
+              {/* Remove photo button */}
+              {profile?.photoURL && !isUploading && (
+                <button
+                  onClick={handleRemovePhoto}
+                  className="absolute bottom-0 left-0 w-8 h-8 bg-gray-800 dark:bg-gray-900 rounded-full flex items-center justify-center border-2 border-white dark:border-gray-700 hover:bg-gray-700 transition-colors"
+                  title="Remove photo"
+                  aria-label="Remove photo"
+                >
+                  <Trash2 size={14} className="text-white" />
+                </button>
+              )}
+              
               {/* Upload progress indicator */}
-              {isUploading && (
+              {isUploading && !cropImage && (
                 <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50 rounded-full">
                   <div className="text-center">
                     <div className="h-1 w-16 bg-gray-300 rounded-full overflow-hidden">
@@ -450,11 +643,7 @@ export default function Profile() {
               <div className="mt-2">
                 <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-white bg-opacity-20 text-white">
                   <CreditCard size={12} className="mr-1" />
-                  {profile?.plan_type === 'premium' 
-                    ? 'Premium Plan' 
-                    : profile?.plan_type === 'basic' 
-                      ? 'Basic Plan' 
-                      : 'Free Plan'}
+                  {getPlanType(activePlanType).label}
                 </span>
               </div>
               
@@ -477,32 +666,32 @@ export default function Profile() {
           <div>
             <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Current Plan: 
               <span className="ml-1 text-purple-600 dark:text-purple-400 font-semibold">
-                {profile?.plan_type === 'premium' 
-                  ? 'Premium Plan' 
-                  : profile?.plan_type === 'basic' 
-                    ? 'Basic Plan' 
-                    : profile?.plan_type === 'flexy' 
-                      ? 'Flex Pack' 
-                      : 'Free Plan'}
+                {getPlanType(activePlanType).label}
               </span>
             </h3>
             
             {/* Only show renewal date for premium/basic plans */}
-            {(profile?.plan_type === 'premium' || profile?.plan_type === 'basic') && (
+            {(activePlanType === 'premium' || activePlanType === 'basic') && subscription.renewsAt && (
               <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                Renews in: {profile?.next_billing_date 
-                  ? formatDate(profile.next_billing_date) 
-                  : '181 days'}
+                {subscription.cancelAtPeriodEnd ? 'Ends on' : 'Renews on'}: {formatDate(subscription.renewsAt)}
               </p>
             )}
           </div>
           
-          {/* Renews in X days badge */}
-          <div className="mt-2 md:mt-0">
-            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300">
-              <Clock size={12} className="mr-1" />
-              Renews in: 181 days
-            </span>
+          {/* Subscription status and renewal badges */}
+          <div className="mt-2 md:mt-0 flex flex-wrap gap-2">
+            {subscriptionNotice && (
+              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${NOTICE_STYLES[subscriptionNotice.tone]}`}>
+                <AlertTriangle size={12} className="mr-1" />
+                {subscriptionNotice.label}
+              </span>
+            )}
+            {daysUntilRenewal !== null && !subscription.cancelAtPeriodEnd && (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300">
+                <Clock size={12} className="mr-1" />
+                Renews in: {daysUntilRenewal} {daysUntilRenewal === 1 ? 'day' : 'days'}
+              </span>
+            )}
           </div>
         </div>
         
@@ -511,34 +700,35 @@ export default function Profile() {
           <div className="flex justify-between items-center mb-1">
             <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Request Usage</h3>
             <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
-              {profile?.requests_used || 0}/{profile?.requests_limit || 75}
+              {profile?.requests_used || 0}/{profile?.requests_limit || DEFAULT_REQUEST_LIMIT}
             </span>
           </div>
           <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
             <div 
               className="h-full bg-blue-600 dark:bg-blue-500"
-              style={{ width: `${((profile?.requests_used || 0) / (profile?.requests_limit || 75)) * 100}%` }}
+              style={{ width: `${((profile?.requests_used || 0) / (profile?.requests_limit || DEFAULT_REQUEST_LIMIT)) * 100}%` }}
             ></div>
           </div>
           <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-            {(profile?.requests_limit || 75) - (profile?.requests_used || 0)} requests remaining
+            {(profile?.requests_limit || DEFAULT_REQUEST_LIMIT) - (profile?.requests_used || 0)} requests remaining
+            {flexCredits > 0 && ` + ${flexCredits} Flex credits`}
           </p>
         </div>
         
         {/* Low credit warning */}
-        {((profile?.requests_used || 0) / (profile?.requests_limit || 75)) > 0.8 && (
+        {((profile?.requests_used || 0) / (profile?.requests_limit || DEFAULT_REQUEST_LIMIT)) > 0.8 && (
           <div className="mt-4 p-3 bg-yellow-50 dark:bg-yellow-900/30 rounded-md border border-yellow-200 dark:border-yellow-800">
             <div className="flex">
               <AlertTriangle className="h-5 w-5 text-yellow-600 dark:text-yellow-500 mr-2 flex-shrink-0" />
               <div>
                 <h3 className="text-sm font-medium text-yellow-800 dark:text-yellow-300">You're running out of requests!</h3>
                 <p className="text-sm text-yellow-700 dark:text-yellow-400 mt-1">
-                  {profile?.plan_type === 'free' 
+                  {activePlanType === 'free' 
                     ? 'Upgrade to Premium for more requests or buy a Flex Pack.' 
                     : 'Consider adding a Flex Pack for additional requests.'}
                 </p>
                 <div className="mt-3 flex space-x-3">
-                  {profile?.plan_type === 'free' && (
+                  {activePlanType === 'free' && (
                     <button 
                       onClick={() => setShowUpgradeSubscription(true)}
                       className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md bg-yellow-100 dark:bg-yellow-800 text-yellow-800 dark:text-yellow-300 hover:bg-yellow-200 dark:hover:bg-yellow-700"
@@ -561,7 +751,7 @@ export default function Profile() {
         {/* Subscription actions */}
         <div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-3 mt-4">
           {/* Display different buttons based on subscription status */}
-          {profile?.plan_type === 'free' ? (
+          {activePlanType === 'free' ? (
             <>
               <button 
                 onClick={() => setShowUpgradeSubscription(true)}
@@ -579,14 +769,15 @@ export default function Profile() {
           ) : (
             <>
               <button
-                onClick={() => handleUpgradeSubscription('manage')}
-                className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+                onClick={handleManageSubscription}
+                disabled={openingPortal}
+                className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
               >
-                Manage Subscription
+                {openingPortal ? 'Opening...' : 'Manage Subscription'}
               </button>
               
               {/* Only show "Buy Flex Pack" button for basic/premium plans */}
-              {(profile?.plan_type === 'premium' || profile?.plan_type === 'basic') && (
+              {(activePlanType === 'premium' || activePlanType === 'basic') && (
                 <button
                   onClick={() => handleUpgradeSubscription('flexy')}
                   className="inline-flex items-center justify-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
@@ -599,6 +790,12 @@ export default function Profile() {
         </div>
       </div>
       
+      {/* Flex Pack credits */}
+      <CreditLedgerCard uid={user?.uid} balance={flexCredits} />
+      
+      {/* Invoices and receipts */}
+      <BillingHistoryCard uid={user?.uid} />
+      
       {/* Statistics Grid */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
         <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow">
@@ -633,7 +830,7 @@ export default function Profile() {
                 {profile?.stats?.draftsSaved || 0}
               </p>
               <p className="text-xs text-gray-500 dark:text-gray-500 mt-1">
-                Limit: 25
+                Limit: {getDraftLimit(activePlanType)}
               </p>
             </div>
           </div>
@@ -672,14 +869,32 @@ export default function Profile() {
       
       {/* Recent Posts */}
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8">
-        <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Recent Posts</h2>
-        <div className="py-12 text-center text-gray-500 dark:text-gray-400">
-          <UploadCloud size={40} className="mx-auto mb-4 text-gray-400 dark:text-gray-600" />
-          <p className="text-lg font-medium">No posts shared yet</p>
-          <p className="mt-1">Your published content will appear here</p>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Recent Posts</h2>
+          {recentPosts.length > 0 && (
+            <Link to="/library" className="text-sm font-medium text-purple-600 dark:text-purple-400 hover:text-purple-500">
+              View library
+            </Link>
+          )}
         </div>
+        {recentPosts.length > 0 ? (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {recentPosts.map((content) => (
+              <ContentListItem key={content.id} content={content} />
+            ))}
+          </div>
+        ) : (
+          <div className="py-12 text-center text-gray-500 dark:text-gray-400">
+            <UploadCloud size={40} className="mx-auto mb-4 text-gray-400 dark:text-gray-600" />
+            <p className="text-lg font-medium">No posts shared yet</p>
+            <p className="mt-1">Your published content will appear here</p>
+          </div>
+        )}
       </div>
       
+      {/* Personal data export */}
+      <DataExportCard uid={user?.uid} />
+      
       {/* Security Settings */}
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
         <div className="flex items-center text-red-600 dark:text-red-400 mb-6">
@@ -712,6 +927,7 @@ export default function Profile() {
           profile={profile} 
           onClose={() => setShowEditProfile(false)}
           onSubmit={updateProfileInfo}
+          requiresPassword={canReauthenticateWithPassword}
         />
       )}
       
@@ -722,18 +938,31 @@ export default function Profile() {
         />
       )}
       
+      {cropImage && (
+        <AvatarCropModal
+          image={cropImage}
+          onClose={closeCropDialog}
+          onSave={handleSaveCroppedPhoto}
+          saving={isUploading}
+          progress={uploadProgress}
+        />
+      )}
+      
       {showDeleteAccount && (
         <DeleteAccountModal 
           onClose={() => setShowDeleteAccount(false)}
           onDelete={handleDeleteAccount}
+          progress={deletionProgress}
+          resuming={resumingDeletion}
+          requiresPassword={canReauthenticateWithPassword}
         />
       )}
       
       {showUpgradeSubscription && (
         <UpgradeSubscriptionModal 
           onClose={() => setShowUpgradeSubscription(false)}
-          onSelectPlan={handleUpgradeSubscription}
-          currentPlan={profile?.plan_type || 'free'}
+          onSelectPlan={startCheckout}
+          currentPlan={activePlanType || 'free'}
         />
       )}
     </div>
@@ -0,0 +1,98 @@
+/**
+ * File: Settings.jsx
+ * Version: 1.1.0
+ * Purpose: Account settings page for EngagePerfect.
+ * Tabs for content defaults, theme, notifications, connected accounts,
+ * security and billing. Each tab has its own URL (/settings/:tab) so it
+ * can be linked to directly. Billing needs a verified email.
+ */
+
+import { Navigate, NavLink, useParams } from 'react-router-dom';
+import {
+  SlidersHorizontal,
+  Palette,
+  Bell,
+  Link2,
+  Shield,
+  CreditCard
+} from 'lucide-react';
+import { useAuth, RequireAuth } from '../context/AuthContext';
+import ContentDefaultsSettings from '../components/settings/ContentDefaultsSettings';
+import AppearanceSettings from '../components/settings/AppearanceSettings';
+import NotificationSettings from '../components/settings/NotificationSettings';
+import ConnectedAccountsSettings from '../components/settings/ConnectedAccountsSettings';
+import SecuritySettings from '../components/settings/SecuritySettings';
+import BillingSettings from '../components/settings/BillingSettings';
+
+// Tabs in display order; the first one is shown for /settings
+const SETTINGS_TABS = [
+  { id: 'content', label: 'Content Defaults', icon: <SlidersHorizontal size={16} className="mr-2" /> },
+  { id: 'appearance', label: 'Theme', icon: <Palette size={16} className="mr-2" /> },
+  { id: 'notifications', label: 'Notifications', icon: <Bell size={16} className="mr-2" /> },
+  { id: 'accounts', label: 'Connected Accounts', icon: <Link2 size={16} className="mr-2" /> },
+  { id: 'security', label: 'Security', icon: <Shield size={16} className="mr-2" /> },
+  { id: 'billing', label: 'Billing', icon: <CreditCard size={16} className="mr-2" /> }
+];
+
+export default function Settings() {
+  const { tab } = useParams();
+  const { user } = useAuth();
+
+  // Unknown or missing tabs fall back to the first one
+  if (!SETTINGS_TABS.some((item) => item.id === tab)) {
+    return <Navigate to={`/settings/${SETTINGS_TABS[0].id}`} replace />;
+  }
+
+  const renderTab = () => {
+    switch (tab) {
+      case 'content':
+        return <ContentDefaultsSettings uid={user.uid} />;
+      case 'appearance':
+        return <AppearanceSettings />;
+      case 'notifications':
+        return <NotificationSettings uid={user.uid} />;
+      case 'accounts':
+        return <ConnectedAccountsSettings />;
+      case 'security':
+        return <SecuritySettings />;
+      case 'billing':
+        return (
+          <RequireAuth requireVerified>
+            <BillingSettings uid={user.uid} />
+          </RequireAuth>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">Settings</h1>
+
+      <div className="flex flex-col md:flex-row md:space-x-8">
+        {/* Tab list: a row on small screens, a sidebar from md up */}
+        <nav className="flex md:flex-col overflow-x-auto md:w-56 mb-6 md:mb-0 flex-shrink-0" aria-label="Settings">
+          {SETTINGS_TABS.map(({ id, label, icon }) => (
+            <NavLink
+              key={id}
+              to={`/settings/${id}`}
+              className={({ isActive }) => `flex items-center whitespace-nowrap px-3 py-2 rounded-md text-sm font-medium ${
+                isActive
+                  ? 'bg-purple-50 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'
+              }`}
+            >
+              {icon}
+              {label}
+            </NavLink>
+          ))}
+        </nav>
+
+        <div className="flex-1 min-w-0">
+          {renderTab()}
+        </div>
+      </div>
+    </div>
+  );
+}
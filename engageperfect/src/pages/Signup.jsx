@@ -1,15 +1,19 @@
 /**
  * File: Signup.jsx
- * Version: 1.0.0
+ * Version: 1.4.0
  * Purpose: Signup page component for EngagePerfect.
  * Features complete user registration form with validation.
+ * New accounts continue to the verify-email page. Passwords are checked
+ * against the shared password policy.
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Logo from "../components/Logo"; // Fixed import path
 import { Eye, EyeOff, User, Mail, Lock } from 'lucide-react';
+import PasswordStrengthMeter from '../components/ui/PasswordStrengthMeter';
+import { getPasswordRuleMessage, isPasswordPolicyError, validatePassword } from '../utils/passwordPolicy';
 
 export default function Signup() {
   // Form state
@@ -29,9 +33,30 @@ export default function Signup() {
   const [error, setError] = useState('');
   
   // Hooks
-  const { signup, loginWithGoogle } = useAuth();
+  const { user, signup, loginWithGoogle, redirectError } = useAuth();
   const navigate = useNavigate();
 
+  // Leave the page once a Google redirect sign-in has completed
+  useEffect(() => {
+    if (user && !loading) {
+      navigate('/dashboard');
+    }
+  }, [user, loading, navigate]);
+
+  // Show errors from a Google redirect sign-in
+  useEffect(() => {
+    if (!redirectError) return;
+
+    if (
+      redirectError.code === 'auth/account-exists-with-different-credential' ||
+      redirectError.code === 'auth/multi-factor-auth-required'
+    ) {
+      navigate('/login');
+    } else {
+      setError('Google sign-in failed. Please try again');
+    }
+  }, [redirectError, navigate]);
+
   /**
    * Validate the form and return whether it's valid
    */
@@ -51,10 +76,9 @@ export default function Signup() {
     }
     
     // Validate password
-    if (!password) {
-      newErrors.password = 'Password is required';
-    } else if (password.length < 6) {
-      newErrors.password = 'Password must be at least 6 characters';
+    const passwordCheck = validatePassword(password, { userInputs: [displayName, email] });
+    if (!passwordCheck.valid) {
+      newErrors.password = passwordCheck.message;
     }
     
     // Validate confirm password
@@ -89,7 +113,7 @@ export default function Signup() {
     try {
       // Create user
       await signup(displayName, email, password);
-      navigate('/dashboard');
+      navigate('/verify-email');
     } catch (err) {
       // Handle specific error codes with friendly messages
       switch (err.code) {
@@ -99,11 +123,12 @@ export default function Signup() {
         case 'auth/invalid-email':
           setError('Invalid email address');
           break;
-        case 'auth/weak-password':
-          setError('Password is too weak');
-          break;
         default:
-          setError(err.message || 'Failed to create account');
+          if (isPasswordPolicyError(err)) {
+            setErrors({ password: getPasswordRuleMessage('weak') });
+          } else {
+            setError(err.message || 'Failed to create account');
+          }
       }
       setLoading(false);
     }
@@ -117,10 +142,26 @@ export default function Signup() {
     setLoading(true);
     
     try {
-      await loginWithGoogle();
-      navigate('/dashboard');
+      // Resolves to null when falling back to a redirect; keep loading until the page leaves
+      if (await loginWithGoogle()) {
+        navigate('/dashboard');
+      }
     } catch (err) {
-      setError('Google sign-in failed. Please try again');
+      switch (err.code) {
+        case 'auth/popup-closed-by-user':
+        case 'auth/cancelled-popup-request':
+          break;
+        case 'auth/account-exists-with-different-credential':
+          // Linking happens on the login page once the password is entered
+          navigate('/login');
+          return;
+        case 'auth/multi-factor-auth-required':
+          // Existing account with two-factor; the login page asks for the code
+          navigate('/login');
+          return;
+        default:
+          setError('Google sign-in failed. Please try again');
+      }
       setLoading(false);
     }
   };
@@ -223,6 +264,7 @@ export default function Signup() {
               {errors.password && (
                 <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.password}</p>
               )}
+              <PasswordStrengthMeter password={password} userInputs={[displayName, email]} />
             </div>
             
             {/* Confirm Password */}
@@ -0,0 +1,146 @@
+/**
+ * File: VerifyEmail.jsx
+ * Version: 1.0.0
+ * Purpose: "Verify your email" page for EngagePerfect.
+ * Shown after signup and whenever an unverified user opens a route that
+ * requires a verified email. Resends the verification email with a cooldown
+ * and continues once the address is verified.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { MailCheck } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import Logo from '../components/Logo';
+
+export default function VerifyEmail() {
+  const {
+    user,
+    logout,
+    verificationResendAt,
+    sendVerificationEmail,
+    refreshEmailVerification
+  } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [now, setNow] = useState(() => Date.now());
+  const [sending, setSending] = useState(false);
+  const [checking, setChecking] = useState(false);
+
+  const from = location.state?.from?.pathname || '/dashboard';
+  const secondsLeft = Math.max(0, Math.ceil((verificationResendAt - now) / 1000));
+
+  // Tick while the resend cooldown runs
+  useEffect(() => {
+    if (verificationResendAt <= now) return;
+
+    const timeout = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timeout);
+  }, [verificationResendAt, now]);
+
+  // Look for a verification made in another tab. Errors are reported only
+  // when the user asked for the check.
+  const checkVerification = useCallback(async ({ manual = false } = {}) => {
+    setChecking(true);
+    try {
+      const verified = await refreshEmailVerification();
+      if (!verified && manual) {
+        toast.error('Your email is not verified yet. Follow the link in the email we sent.');
+      }
+    } catch (error) {
+      console.error('Error checking email verification:', error);
+      if (manual) toast.error('Could not check your verification status. Please try again.');
+    } finally {
+      setChecking(false);
+    }
+  }, [refreshEmailVerification]);
+
+  // Check when the page opens and whenever the user comes back to the tab
+  useEffect(() => {
+    checkVerification();
+
+    const handleFocus = () => checkVerification();
+    window.addEventListener('focus', handleFocus);
+    return () => window.removeEventListener('focus', handleFocus);
+  }, [checkVerification]);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await sendVerificationEmail();
+      setNow(Date.now());
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      if (error.code === 'auth/too-many-requests') {
+        toast.error('Too many emails sent. Please wait a few minutes and try again.');
+      } else {
+        toast.error('Could not send the verification email. Please try again.');
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // Sign out so the user can sign up again with another address
+  const handleUseDifferentEmail = async () => {
+    try {
+      await logout();
+      navigate('/signup');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  if (user.emailVerified) {
+    return <Navigate to={from} replace />;
+  }
+
+  return (
+    <div className="flex justify-center items-center py-12">
+      <div className="w-full max-w-md bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center">
+        <div className="flex justify-center">
+          <Logo showText={false} className="h-12 w-auto" />
+        </div>
+        <MailCheck size={40} className="mx-auto mt-6 text-purple-600 dark:text-purple-400" />
+        <h2 className="mt-4 text-2xl font-bold text-gray-900 dark:text-white">
+          Verify your email
+        </h2>
+        <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+          We sent a link to <span className="font-medium text-gray-900 dark:text-white">{user.email}</span>.
+          Follow it to start creating content and manage billing.
+        </p>
+
+        <div className="mt-8 space-y-3">
+          <button
+            onClick={() => checkVerification({ manual: true })}
+            disabled={checking}
+            className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {checking ? 'Checking...' : "I've verified my email"}
+          </button>
+          <button
+            onClick={handleResend}
+            disabled={sending || secondsLeft > 0}
+            className="w-full flex justify-center py-2 px-4 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {sending
+              ? 'Sending...'
+              : secondsLeft > 0 ? `Resend email in ${secondsLeft}s` : 'Resend verification email'}
+          </button>
+        </div>
+
+        <p className="mt-6 text-sm text-gray-500 dark:text-gray-400">
+          Wrong address?{' '}
+          <button
+            onClick={handleUseDifferentEmail}
+            className="font-medium text-purple-600 hover:text-purple-500 dark:text-purple-400"
+          >
+            Sign up with a different email
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+}
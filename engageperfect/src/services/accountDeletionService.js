@@ -0,0 +1,259 @@
+/**
+ * File: accountDeletionService.js
+ * Version: 1.3.1
+ * Purpose: Full account deletion for GDPR erasure requests.
+ * Cancels subscriptions, then removes uploaded files, user subcollections,
+ * billing records and finally the Auth user. Subcollections are erased by
+ * the eraseUserContent Cloud Function and the profile document by the
+ * backend once the Auth user is deleted (functions/src/accounts.js), so
+ * its quota counters cannot be reset from the browser. Every
+ * step is safe to repeat, so an interrupted deletion resumes by running
+ * all of them again. localStorage only marks that a deletion is pending and
+ * which subscription cancellation may still be syncing from Stripe.
+ */
+
+import { auth, db, functions, storage } from './firebase';
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  limit,
+  query,
+  writeBatch
+} from 'firebase/firestore';
+import { deleteObject, listAll, ref } from 'firebase/storage';
+import { deleteUser } from 'firebase/auth';
+import { httpsCallable } from 'firebase/functions';
+import createBillingPortalLink from './createBillingPortalLink';
+
+// Deletion steps in the order they run
+export const DELETION_STEPS = [
+  { id: 'subscriptions', label: 'Cancel active subscriptions' },
+  { id: 'storage', label: 'Delete uploaded files' },
+  { id: 'content', label: 'Delete content, drafts and credits' },
+  { id: 'billing', label: 'Delete billing records' },
+  { id: 'account', label: 'Delete profile and sign-in' }
+];
+
+// Callable deployed from functions/src/accounts.js
+const ERASE_USER_CONTENT_FUNCTION = 'eraseUserContent';
+
+// Subcollections of customers/{uid} written for or by the Stripe extension
+const CUSTOMER_SUBCOLLECTIONS = ['checkout_sessions', 'payments', 'subscriptions'];
+
+// Storage folders holding files owned by the user
+const USER_STORAGE_FOLDERS = ['profile_pictures'];
+
+// Subscription statuses that still bill the customer
+const BILLING_STATUSES = ['trialing', 'active', 'past_due'];
+
+// Documents deleted per batch
+const DELETE_BATCH_SIZE = 200;
+
+// How long to wait for a cancellation made in the portal to reach Firestore
+const CANCEL_SYNC_TIMEOUT_MS = 20000;
+const CANCEL_SYNC_POLL_MS = 2000;
+
+/**
+ * Returns the localStorage key marking a pending deletion
+ * @param {string} uid - User ID
+ * @returns {string} Storage key
+ */
+const pendingKey = (uid) => `engageperfect.accountDeletion.${uid}`;
+
+/**
+ * Reads the pending deletion saved for a user
+ * @param {string} uid - User ID
+ * @returns {{startedAt: string, cancelRequested?: string}|null}
+ *   Pending deletion, or null when none
+ */
+export const getPendingDeletion = (uid) => {
+  try {
+    return JSON.parse(localStorage.getItem(pendingKey(uid)));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Saves a pending deletion
+ * @param {string} uid - User ID
+ * @param {Object} pending - Pending deletion to save
+ */
+const savePendingDeletion = (uid, pending) => {
+  localStorage.setItem(pendingKey(uid), JSON.stringify(pending));
+};
+
+/**
+ * Deletes every document in a collection, in batches. Subcollections of
+ * the documents are deleted first when listed.
+ * @param {CollectionReference} collectionRef - Collection to empty
+ * @param {Array<string>} [nested] - Subcollection names under each document
+ * @returns {Promise<void>}
+ */
+const deleteCollection = async (collectionRef, nested = []) => {
+  for (;;) {
+    const snapshot = await getDocs(query(collectionRef, limit(DELETE_BATCH_SIZE)));
+    if (snapshot.empty) return;
+
+    for (const childDoc of snapshot.docs) {
+      for (const name of nested) {
+        await deleteCollection(collection(childDoc.ref, name));
+      }
+    }
+
+    const batch = writeBatch(db);
+    snapshot.docs.forEach((childDoc) => batch.delete(childDoc.ref));
+    await batch.commit();
+  }
+};
+
+/**
+ * Runs a delete that the security rules may reserve for the Stripe
+ * extension. Those records are removed by the extension when it deletes
+ * the Stripe customer after the Auth user is deleted.
+ * @param {Function} task - Delete to attempt
+ * @returns {Promise<boolean>} Whether the records were deleted; false when
+ *   they are left for the Stripe extension
+ */
+const deleteIfPermitted = async (task) => {
+  try {
+    await task();
+    return true;
+  } catch (error) {
+    if (error.code !== 'permission-denied') throw error;
+    return false;
+  }
+};
+
+/**
+ * Deletes every file under a Storage folder, including nested folders
+ * @param {StorageReference} folderRef - Folder to empty
+ * @returns {Promise<void>}
+ */
+const deleteStorageFolder = async (folderRef) => {
+  const { items, prefixes } = await listAll(folderRef);
+  await Promise.all(items.map((itemRef) => deleteObject(itemRef)));
+  for (const prefixRef of prefixes) {
+    await deleteStorageFolder(prefixRef);
+  }
+};
+
+/**
+ * Finds a subscription that will still bill the customer
+ * @param {string} uid - User ID
+ * @returns {Promise<string|null>} Subscription ID, or null when none
+ */
+const findBillingSubscription = async (uid) => {
+  const snapshot = await getDocs(collection(db, 'customers', uid, 'subscriptions'));
+  const billing = snapshot.docs.find((subscriptionDoc) => {
+    const { status, cancel_at_period_end: cancelAtPeriodEnd } = subscriptionDoc.data();
+    return BILLING_STATUSES.includes(status) && !cancelAtPeriodEnd;
+  });
+  return billing?.id || null;
+};
+
+// Work for each deletion step. Each step finds what is left to delete
+// rather than trusting earlier attempts, and may return { redirectUrl } to
+// pause the deletion until the user comes back from Stripe, or
+// { recordsLeft: true } when some records are left for Stripe to remove.
+const STEP_HANDLERS = {
+  subscriptions: async (uid, { returnUrl, pending }) => {
+    let subscriptionId = await findBillingSubscription(uid);
+
+    // Back from the portal: give the webhook a moment to record the cancellation
+    const deadline = Date.now() + CANCEL_SYNC_TIMEOUT_MS;
+    while (subscriptionId && subscriptionId === pending.cancelRequested && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, CANCEL_SYNC_POLL_MS));
+      subscriptionId = await findBillingSubscription(uid);
+    }
+    if (!subscriptionId) return null;
+
+    // Only Stripe can cancel, so send the user through the portal's cancel flow
+    const redirectUrl = await createBillingPortalLink(returnUrl, {
+      flowData: {
+        type: 'subscription_cancel',
+        subscription_cancel: { subscription: subscriptionId },
+        after_completion: {
+          type: 'redirect',
+          redirect: { return_url: `${returnUrl}/profile?deleteAccount=resume` }
+        }
+      }
+    });
+    pending.cancelRequested = subscriptionId;
+    return { redirectUrl };
+  },
+
+  storage: async (uid) => {
+    for (const folder of USER_STORAGE_FOLDERS) {
+      await deleteStorageFolder(ref(storage, `${folder}/${uid}`));
+    }
+    return null;
+  },
+
+  content: async () => {
+    await httpsCallable(functions, ERASE_USER_CONTENT_FUNCTION)();
+    return null;
+  },
+
+  billing: async (uid) => {
+    let deleted = true;
+    for (const name of CUSTOMER_SUBCOLLECTIONS) {
+      const nested = name === 'subscriptions' ? ['invoices'] : [];
+      deleted = await deleteIfPermitted(() => deleteCollection(collection(db, 'customers', uid, name), nested)) && deleted;
+    }
+    deleted = await deleteIfPermitted(() => deleteDoc(doc(db, 'customers', uid))) && deleted;
+    return deleted ? null : { recordsLeft: true };
+  },
+
+  // The backend deletes the profile document, including one recreated by
+  // visiting the app while the deletion was paused, once the user is gone
+  account: async (uid) => {
+    await deleteUser(auth.currentUser);
+    localStorage.removeItem(pendingKey(uid));
+    return null;
+  }
+};
+
+/**
+ * Deletes the signed-in user's account and data. Resuming an interrupted
+ * deletion runs every step again. The user must have reauthenticated
+ * recently.
+ * @param {string} uid - User ID
+ * @param {Object} options - Deletion options
+ * @param {string} options.returnUrl - Base URL of the app, used for Stripe redirects
+ * @param {Function} [options.onProgress] - Called with (stepId, 'running' | 'done' | 'left' | 'error');
+ *   'left' means the step finished but left records for Stripe to remove
+ * @returns {Promise<{status: string, redirectUrl?: string, billingRecordsLeft?: boolean}>}
+ *   'deleted', with billingRecordsLeft when Stripe still has to remove
+ *   billing records, or 'redirect' with the Stripe URL the user must visit
+ *   before deletion can continue
+ */
+export const deleteAccount = async (uid, { returnUrl, onProgress = () => {} }) => {
+  const pending = getPendingDeletion(uid) || { startedAt: new Date().toISOString() };
+  savePendingDeletion(uid, pending);
+  let billingRecordsLeft = false;
+
+  for (const step of DELETION_STEPS) {
+    onProgress(step.id, 'running');
+
+    let result;
+    try {
+      result = await STEP_HANDLERS[step.id](uid, { returnUrl, pending });
+    } catch (error) {
+      onProgress(step.id, 'error');
+      throw error;
+    }
+
+    if (result?.redirectUrl) {
+      savePendingDeletion(uid, pending);
+      return { status: 'redirect', redirectUrl: result.redirectUrl };
+    }
+
+    if (result?.recordsLeft) billingRecordsLeft = true;
+    onProgress(step.id, result?.recordsLeft ? 'left' : 'done');
+  }
+
+  return { status: 'deleted', billingRecordsLeft };
+};
@@ -0,0 +1,110 @@
+/**
+ * File: avatarService.js
+ * Version: 1.0.0
+ * Purpose: Avatar uploads under profile_pictures/{uid}/.
+ * Renders a cropped avatar at a few standard sizes in WebP, uploads them
+ * and, once the new avatar is in use, removes every older object so only
+ * the current avatar is stored.
+ */
+
+import { storage } from './firebase';
+import {
+  deleteObject,
+  getDownloadURL,
+  listAll,
+  ref,
+  uploadBytesResumable
+} from 'firebase/storage';
+import { renderSquareCrop } from '../utils/imageProcessing';
+
+// Square sizes rendered for each avatar, in pixels
+export const AVATAR_SIZES = [64, 128, 256, 512];
+
+// Size used for users/{uid}.photoURL and the Auth profile
+export const DEFAULT_AVATAR_SIZE = 256;
+
+// Largest source image accepted before cropping
+export const MAX_AVATAR_SOURCE_BYTES = 15 * 1024 * 1024;
+
+/**
+ * Returns the Storage folder holding a user's avatars
+ * @param {string} uid - User ID
+ * @returns {StorageReference} Folder
+ */
+const avatarFolder = (uid) => ref(storage, `profile_pictures/${uid}`);
+
+/**
+ * Deletes every object in the avatar folder except the ones to keep.
+ * Call after the profile points at the new avatar.
+ * @param {string} uid - User ID
+ * @param {Array<string>} [keep] - Full paths to keep
+ * @returns {Promise<void>}
+ */
+export const pruneAvatars = async (uid, keep = []) => {
+  const { items } = await listAll(avatarFolder(uid));
+  await Promise.all(
+    items
+      .filter((itemRef) => !keep.includes(itemRef.fullPath))
+      .map((itemRef) => deleteObject(itemRef))
+  );
+};
+
+/**
+ * Renders and uploads a new avatar. File names carry a version so browsers
+ * never show a cached old avatar.
+ * @param {string} uid - User ID
+ * @param {HTMLImageElement} image - Source image
+ * @param {{x: number, y: number, size: number}} crop - Square region in source pixels
+ * @param {Object} [options] - Upload options
+ * @param {Function} [options.onProgress] - Called with the overall upload percentage
+ * @returns {Promise<{photoURL: string, photoURLs: Object<string, string>, paths: Array<string>}>}
+ *   URL of the default size, URLs keyed by size and the uploaded paths for pruneAvatars
+ */
+export const uploadAvatar = async (uid, image, crop, { onProgress = () => {} } = {}) => {
+  const version = Date.now();
+
+  const renders = await Promise.all(AVATAR_SIZES.map(async (size) => {
+    const blob = await renderSquareCrop(image, crop, size);
+    const extension = blob.type === 'image/webp' ? 'webp' : 'png';
+    return { size, blob, storageRef: ref(avatarFolder(uid), `avatar_${version}_${size}.${extension}`) };
+  }));
+
+  const totalBytes = renders.reduce((sum, render) => sum + render.blob.size, 0);
+  const transferred = {};
+
+  await Promise.all(renders.map(({ size, blob, storageRef }) => new Promise((resolve, reject) => {
+    const uploadTask = uploadBytesResumable(storageRef, blob, {
+      contentType: blob.type,
+      cacheControl: 'public, max-age=31536000'
+    });
+
+    uploadTask.on(
+      'state_changed',
+      (snapshot) => {
+        transferred[size] = snapshot.bytesTransferred;
+        const sent = Object.values(transferred).reduce((sum, bytes) => sum + bytes, 0);
+        onProgress((sent / totalBytes) * 100);
+      },
+      reject,
+      resolve
+    );
+  })));
+
+  const urls = await Promise.all(renders.map(({ storageRef }) => getDownloadURL(storageRef)));
+  const photoURLs = Object.fromEntries(renders.map(({ size }, index) => [size, urls[index]]));
+
+  return {
+    photoURL: photoURLs[DEFAULT_AVATAR_SIZE],
+    photoURLs,
+    paths: renders.map(({ storageRef }) => storageRef.fullPath)
+  };
+};
+
+/**
+ * Deletes all of a user's avatar files
+ * @param {string} uid - User ID
+ * @returns {Promise<void>}
+ */
+export const removeAvatar = async (uid) => {
+  await pruneAvatars(uid);
+};
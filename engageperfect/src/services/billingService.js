@@ -0,0 +1,146 @@
+/**
+ * File: billingService.js
+ * Version: 1.0.0
+ * Purpose: Billing history from the Stripe extension's data under customers/{uid}.
+ * Combines subscription invoices with one-time payments (Flex Packs) into
+ * a single list and exports it as CSV for receipts and bookkeeping.
+ */
+
+import { db } from './firebase';
+import { collection, getDocs } from 'firebase/firestore';
+import { CHECKOUT_PLANS, getCheckoutPlan } from '../constants/plans';
+import { buildCsv } from '../utils/csv';
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'description', label: 'Description' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'status', label: 'Status' },
+  { key: 'number', label: 'Invoice number' },
+  { key: 'url', label: 'Invoice link' }
+];
+
+/**
+ * Names the plan or pack behind a Stripe price
+ * @param {string|null} priceId - Stripe price id
+ * @param {string} fallback - Description to use for unknown prices
+ * @returns {string} Description
+ */
+const describePrice = (priceId, fallback) => {
+  const plan = priceId && CHECKOUT_PLANS.find((item) => item.priceId === priceId);
+  if (!plan) return fallback;
+  return plan.interval ? `${plan.name} (${plan.interval}ly)` : plan.name;
+};
+
+/**
+ * Converts a subscription invoice into a billing record
+ * @param {Object} invoice - Invoice document written by the Stripe extension
+ * @returns {Object} Billing record
+ */
+const fromInvoice = (invoice) => ({
+  id: invoice.id,
+  kind: 'invoice',
+  date: new Date(invoice.created * 1000),
+  description: describePrice(invoice.lines?.data?.[0]?.price?.id, 'Subscription'),
+  amount: invoice.status === 'paid' ? invoice.amount_paid : invoice.amount_due,
+  currency: invoice.currency,
+  status: invoice.status,
+  number: invoice.number || '',
+  url: invoice.hosted_invoice_url || invoice.invoice_pdf || null
+});
+
+/**
+ * Converts a one-time payment into a billing record
+ * @param {Object} payment - Payment document written by the Stripe extension
+ * @returns {Object} Billing record
+ */
+const fromPayment = (payment) => {
+  const plan = getCheckoutPlan(payment.metadata?.plan_id);
+
+  return {
+    id: payment.id,
+    kind: 'payment',
+    date: new Date(payment.created * 1000),
+    description: plan?.name || describePrice(payment.items?.[0]?.price?.id, 'One-time payment'),
+    amount: payment.amount_received || payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    number: '',
+    url: payment.charges?.data?.[0]?.receipt_url || null
+  };
+};
+
+/**
+ * Loads the user's invoices and one-time payments, newest first.
+ * Payments that belong to an invoice are skipped so nothing is listed twice.
+ * @param {string} uid - User ID
+ * @returns {Promise<Array<Object>>} Billing records
+ */
+export const listBillingHistory = async (uid) => {
+  const customerPath = ['customers', uid];
+
+  const [subscriptionsSnapshot, paymentsSnapshot] = await Promise.all([
+    getDocs(collection(db, ...customerPath, 'subscriptions')),
+    getDocs(collection(db, ...customerPath, 'payments'))
+  ]);
+
+  const invoiceSnapshots = await Promise.all(
+    subscriptionsSnapshot.docs.map((subscriptionDoc) => (
+      getDocs(collection(subscriptionDoc.ref, 'invoices'))
+    ))
+  );
+
+  const invoices = invoiceSnapshots.flatMap((snapshot) => (
+    snapshot.docs.map((invoiceDoc) => fromInvoice({ id: invoiceDoc.id, ...invoiceDoc.data() }))
+  ));
+
+  const payments = paymentsSnapshot.docs
+    .map((paymentDoc) => ({ id: paymentDoc.id, ...paymentDoc.data() }))
+    .filter((payment) => !payment.invoice)
+    .map(fromPayment);
+
+  return [...invoices, ...payments].sort((a, b) => b.date - a.date);
+};
+
+/**
+ * Converts an amount in the currency's minor units into major units,
+ * e.g. 999 USD into 9.99 and 500 JPY into 500
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO currency code
+ * @returns {number} Amount in major units
+ */
+const toMajorUnits = (amount, currency) => {
+  const { maximumFractionDigits } = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase()
+  }).resolvedOptions();
+  return (amount || 0) / 10 ** maximumFractionDigits;
+};
+
+/**
+ * Formats an amount in the currency's minor units, e.g. 999 USD as $9.99
+ * @param {number} amount - Amount in minor units
+ * @param {string} [currency='usd'] - ISO currency code
+ * @returns {string} Formatted amount
+ */
+export const formatBillingAmount = (amount, currency = 'usd') => (
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() })
+    .format(toMajorUnits(amount, currency))
+);
+
+/**
+ * Builds a CSV export of billing records
+ * @param {Array<Object>} records - Result of listBillingHistory
+ * @returns {string} CSV text
+ */
+export const billingHistoryToCsv = (records) => buildCsv(
+  CSV_COLUMNS,
+  records.map((record) => ({
+    ...record,
+    date: record.date.toISOString().slice(0, 10),
+    amount: toMajorUnits(record.amount, record.currency || 'usd').toFixed(2),
+    currency: (record.currency || '').toUpperCase()
+  }))
+);
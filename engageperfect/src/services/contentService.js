@@ -0,0 +1,224 @@
+/**
+ * File: contentService.js
+ * Version: 1.1.0
+ * Purpose: Content library stored in users/{uid}/contents.
+ * Every generated caption set and blog post is saved here with its prompt
+ * inputs, output and status so it can be searched, filtered and reused.
+ *
+ * Filtered queries combine equality filters with ordering by createdAt, so
+ * Firestore needs a composite index for each combination used. They are
+ * defined in firestore.indexes.json and deployed with the rules.
+ */
+
+import { db } from './firebase';
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  updateDoc,
+  deleteDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  serverTimestamp
+} from 'firebase/firestore';
+
+export const CONTENT_TYPES = ['caption', 'blog'];
+export const CONTENT_STATUSES = ['draft', 'published', 'archived'];
+
+// Items loaded per library page
+export const CONTENT_PAGE_SIZE = 10;
+
+// Longest title stored for content without an explicit title
+const MAX_TITLE_LENGTH = 80;
+
+// Most query pages read to fill one page of multi-word search results
+const MAX_SEARCH_READS = 5;
+
+/**
+ * Returns the contents collection for a user
+ * @param {string} uid - User ID
+ * @returns {CollectionReference} Contents collection
+ */
+const contentsCollection = (uid) => collection(db, 'users', uid, 'contents');
+
+/**
+ * Splits text into lowercase search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Unique tokens of at least two characters
+ */
+const tokenize = (text) => {
+  const tokens = (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1);
+
+  return [...new Set(tokens)];
+};
+
+/**
+ * Builds the search tokens for a content item from its title and the
+ * description or topic it was generated from
+ * @param {string} title - Stored title
+ * @param {Object} [inputs] - Prompt inputs
+ * @returns {Array<string>} Search tokens
+ */
+const buildSearchTokens = (title, inputs) => (
+  tokenize(`${title} ${inputs?.description || ''} ${inputs?.topic || ''}`)
+);
+
+/**
+ * Shortens text to a single-line title
+ * @param {string} text - Source text
+ * @returns {string} Title
+ */
+const toTitle = (text) => {
+  const line = (text || '').trim().split('\n')[0];
+  return line.length > MAX_TITLE_LENGTH ? `${line.slice(0, MAX_TITLE_LENGTH - 3)}...` : line;
+};
+
+/**
+ * Strips values Firestore cannot store (files, blobs) from prompt inputs
+ * @param {Object} inputs - Raw generator inputs
+ * @returns {Object} Serializable inputs
+ */
+const serializeInputs = (inputs = {}) => Object.fromEntries(
+  Object.entries(inputs)
+    .filter(([, value]) => value !== undefined && !(value instanceof Blob))
+);
+
+/**
+ * Saves a generated caption set or blog post
+ * @param {string} uid - User ID
+ * @param {Object} content - Content to save
+ * @param {string} content.type - 'caption' or 'blog'
+ * @param {string} [content.title] - Display title; derived from the output when omitted
+ * @param {string} [content.platform] - Target platform for social content
+ * @param {Object} content.inputs - Prompt inputs used for generation
+ * @param {Object} content.output - Generated output (variants or post)
+ * @param {string} [content.status='draft'] - Initial status
+ * @returns {Promise<string>} ID of the new content document
+ */
+export const saveContent = async (uid, { type, title, platform, inputs, output, status = 'draft' }) => {
+  if (!CONTENT_TYPES.includes(type)) {
+    throw new Error(`Unknown content type: ${type}`);
+  }
+
+  const contentTitle = toTitle(
+    title || inputs?.description || inputs?.topic || output?.variants?.[0]?.text || 'Untitled'
+  );
+
+  const docRef = await addDoc(contentsCollection(uid), {
+    type,
+    title: contentTitle,
+    platform: platform || null,
+    inputs: serializeInputs(inputs),
+    output,
+    status,
+    searchTokens: buildSearchTokens(contentTitle, inputs),
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+
+  return docRef.id;
+};
+
+/**
+ * Updates a saved content item
+ * @param {string} uid - User ID
+ * @param {string} contentId - Content document ID
+ * @param {Object} updates - Fields to change (title, output, status)
+ * @returns {Promise<void>}
+ */
+export const updateContent = async (uid, contentId, updates) => {
+  if (updates.status && !CONTENT_STATUSES.includes(updates.status)) {
+    throw new Error(`Unknown content status: ${updates.status}`);
+  }
+
+  const contentRef = doc(db, 'users', uid, 'contents', contentId);
+  const changes = { ...updates, updatedAt: serverTimestamp() };
+  if (updates.title !== undefined) {
+    const contentDoc = await getDoc(contentRef);
+    changes.title = toTitle(updates.title);
+    changes.searchTokens = buildSearchTokens(changes.title, contentDoc.data()?.inputs);
+  }
+
+  await updateDoc(contentRef, changes);
+};
+
+/**
+ * Permanently deletes a content item
+ * @param {string} uid - User ID
+ * @param {string} contentId - Content document ID
+ * @returns {Promise<void>}
+ */
+export const deleteContent = async (uid, contentId) => {
+  await deleteDoc(doc(db, 'users', uid, 'contents', contentId));
+};
+
+/**
+ * Lists content newest first, one page at a time
+ * @param {string} uid - User ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.type] - Only this content type
+ * @param {string} [options.platform] - Only this platform
+ * @param {string} [options.status] - Only this status
+ * @param {string} [options.search] - Matches items containing every search word
+ * @param {number} [options.pageSize=CONTENT_PAGE_SIZE] - Items per page
+ * @param {DocumentSnapshot} [options.cursor] - Last document of the previous page
+ * @returns {Promise<{items: Array<Object>, cursor: DocumentSnapshot|null, hasMore: boolean}>} Page of content
+ */
+export const listContent = async (uid, {
+  type,
+  platform,
+  status,
+  search,
+  pageSize = CONTENT_PAGE_SIZE,
+  cursor
+} = {}) => {
+  const constraints = [];
+
+  if (type) constraints.push(where('type', '==', type));
+  if (platform) constraints.push(where('platform', '==', platform));
+  if (status) constraints.push(where('status', '==', status));
+
+  // A query can only match one array value, so Firestore matches the
+  // longest search word and the other words are checked here
+  const [queryToken, ...otherTokens] = tokenize(search).sort((a, b) => b.length - a.length);
+  if (queryToken) constraints.push(where('searchTokens', 'array-contains', queryToken));
+
+  constraints.push(orderBy('createdAt', 'desc'));
+
+  const matchesSearch = (data) => otherTokens.every((token) => data.searchTokens?.includes(token));
+  const items = [];
+  let lastDoc = cursor || null;
+  let hasMore = true;
+
+  // Keep reading while the other search words filter out part of a page
+  for (let reads = 0; reads < MAX_SEARCH_READS && hasMore && items.length < pageSize; reads += 1) {
+    // Fetch one extra document to know whether another page exists
+    const snapshot = await getDocs(query(
+      contentsCollection(uid),
+      ...constraints,
+      ...(lastDoc ? [startAfter(lastDoc)] : []),
+      limit(pageSize + 1)
+    ));
+    const pageDocs = snapshot.docs.slice(0, pageSize);
+    hasMore = snapshot.docs.length > pageSize;
+
+    for (let index = 0; index < pageDocs.length && items.length < pageSize; index += 1) {
+      lastDoc = pageDocs[index];
+      if (matchesSearch(lastDoc.data())) {
+        items.push({ id: lastDoc.id, ...lastDoc.data() });
+      }
+      // Stopped partway through the page, so the rest is still to come
+      if (items.length === pageSize && index < pageDocs.length - 1) hasMore = true;
+    }
+  }
+
+  return { items, cursor: lastDoc, hasMore };
+};
@@ -0,0 +1,62 @@
+/**
+ * File: createBillingPortalLink.js
+ * Version: 1.0.1
+ * Purpose: Service function to open the Stripe Customer Portal.
+ * Calls the Stripe extension's createPortalLink function so paying users
+ * can cancel, change their card or download invoices.
+ */
+
+import { stripeFunctions } from './firebase';
+import { httpsCallable } from 'firebase/functions';
+
+// Callable deployed by the Stripe Firebase extension, in its own region
+// (VITE_STRIPE_EXTENSION_REGION)
+const CREATE_PORTAL_LINK_FUNCTION = 'ext-firestore-stripe-payments-createPortalLink';
+
+export class BillingPortalError extends Error {
+  /**
+   * @param {string} code - Error code, e.g. 'portal/unavailable'
+   * @param {string} message - Message that can be shown to the user
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(code, message, cause) {
+    super(message);
+    this.name = 'BillingPortalError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Creates a Stripe Customer Portal session for the signed-in user
+ * @param {string} returnUrl - Base URL of the app to return to
+ * @param {Object} [options] - Portal options
+ * @param {Object} [options.flowData] - Stripe flow_data to open a specific flow
+ * @returns {Promise<string>} Portal URL
+ * @throws {BillingPortalError} When the portal session cannot be created
+ */
+const createBillingPortalLink = async (returnUrl, { flowData } = {}) => {
+  const createPortalLink = httpsCallable(stripeFunctions, CREATE_PORTAL_LINK_FUNCTION);
+
+  try {
+    const { data } = await createPortalLink({
+      returnUrl: `${returnUrl}/profile?portal=return`,
+      locale: 'auto',
+      ...(flowData && { flow_data: flowData })
+    });
+
+    if (!data?.url) {
+      throw new BillingPortalError('portal/missing-url', 'The billing portal did not return a link');
+    }
+
+    return data.url;
+  } catch (error) {
+    if (error instanceof BillingPortalError) throw error;
+
+    console.error('Error creating billing portal link:', error);
+
+    throw new BillingPortalError('portal/unavailable', 'Could not open the billing portal. Please try again.', error);
+  }
+};
+
+export default createBillingPortalLink;
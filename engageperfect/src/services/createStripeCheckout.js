@@ -1,79 +1,275 @@
 /**
  * File: createStripeCheckout.js
- * Version: 1.0.0
+ * Version: 1.4.0
  * Purpose: Service function to create a Stripe checkout session.
- * Leverages Firebase Extensions for Stripe integration.
+ * Leverages Firebase Extensions for Stripe integration. The extension fills
+ * in the session's url (or error) asynchronously, so the new document is
+ * watched until one of them appears. Prices and modes come from the plan catalog.
+ * After a successful checkout, waitForCheckoutFulfillment polls until the
+ * purchase shows up in Firestore.
  */
 
 import { db } from './firebase';
-import { collection, addDoc, getDoc, doc } from 'firebase/firestore';
+import {
+  collection,
+  addDoc,
+  doc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  query,
+  where
+} from 'firebase/firestore';
+import { getCheckoutPlan } from '../constants/plans';
+import { deriveSubscriptionState } from './subscriptionService';
+
+// How long to wait for the extension before giving up
+export const DEFAULT_CHECKOUT_TIMEOUT_MS = 30000;
+
+// How often and how long to poll for a completed purchase
+export const DEFAULT_FULFILLMENT_POLL_MS = 3000;
+export const DEFAULT_FULFILLMENT_TIMEOUT_MS = 60000;
+
+// Allowance for the browser clock running ahead of Stripe's
+const CLOCK_SKEW_SECONDS = 5 * 60;
+
+export class CheckoutError extends Error {
+  /**
+   * @param {string} code - Error code, e.g. 'checkout/timeout'
+   * @param {string} message - Message that can be shown to the user
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(code, message, cause) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Waits for the Stripe extension to add a url or error to a checkout session
+ * @param {DocumentReference} docRef - Checkout session document
+ * @param {Object} options - Wait options
+ * @param {number} options.timeoutMs - Give up after this many milliseconds
+ * @param {AbortSignal} [options.signal] - Cancellation signal
+ * @returns {Promise<string>} Checkout URL
+ */
+const waitForCheckoutUrl = (docRef, { timeoutMs, signal }) => new Promise((resolve, reject) => {
+  let unsubscribe = () => {};
+  let timer;
+
+  // Stop listening and clear the timer and abort handler
+  const finish = () => {
+    unsubscribe();
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', handleAbort);
+  };
+
+  const handleAbort = () => {
+    finish();
+    reject(new CheckoutError('checkout/aborted', 'Checkout was cancelled'));
+  };
+
+  if (signal?.aborted) {
+    handleAbort();
+    return;
+  }
+
+  signal?.addEventListener('abort', handleAbort);
+
+  timer = setTimeout(() => {
+    finish();
+    reject(new CheckoutError(
+      'checkout/timeout',
+      'Checkout is taking longer than expected. Please try again in a moment.'
+    ));
+  }, timeoutMs);
+
+  unsubscribe = onSnapshot(
+    docRef,
+    (snapshot) => {
+      const { url, error } = snapshot.data() || {};
+
+      if (error) {
+        finish();
+        reject(new CheckoutError(
+          'checkout/stripe-error',
+          error.message || 'Stripe could not start the checkout'
+        ));
+      } else if (url) {
+        finish();
+        resolve(url);
+      }
+    },
+    (error) => {
+      finish();
+      reject(new CheckoutError('checkout/unavailable', 'Could not reach the checkout service', error));
+    }
+  );
+});
 
 /**
  * Creates a Stripe checkout session for subscription or one-time payment
  * @param {string} userId - The user ID
  * @param {string} returnUrl - URL to redirect after checkout
- * @param {string} [priceId] - Optional specific price ID for Flex packs
+ * @param {string} planId - Id of a plan in the plan catalog, e.g. 'premium_month' or 'flexy'
+ * @param {Object} [options] - Checkout options
+ * @param {number} [options.timeoutMs=DEFAULT_CHECKOUT_TIMEOUT_MS] - How long to wait for the session
+ * @param {AbortSignal} [options.signal] - Cancels waiting for the session
  * @returns {Promise<string>} Checkout URL
+ * @throws {CheckoutError} When the session cannot be created, errors, times out or is cancelled
  */
-const createStripeCheckout = async (userId, returnUrl, priceId = null) => {
+const createStripeCheckout = async (
+  userId,
+  returnUrl,
+  planId,
+  { timeoutMs = DEFAULT_CHECKOUT_TIMEOUT_MS, signal } = {}
+) => {
+  const plan = getCheckoutPlan(planId);
+  if (!plan?.priceId) {
+    throw new CheckoutError('checkout/unknown-plan', 'This plan is not available for purchase right now');
+  }
+
+  // Reference to the checkout_sessions subcollection for the user
+  const checkoutSessionRef = collection(
+    db,
+    'customers',
+    userId,
+    'checkout_sessions'
+  );
+
+  // Create the checkout session
+  const sessionData = {
+    mode: plan.mode,
+    line_items: [
+      {
+        price: plan.priceId,
+        quantity: 1,
+      },
+    ],
+    // plan and since let the profile page wait for this purchase to land
+    success_url: `${returnUrl}/profile?checkout=success&plan=${plan.id}&since=${Math.floor(Date.now() / 1000)}`,
+    cancel_url: `${returnUrl}/profile?checkout=canceled`,
+    // For subscriptions, only collect payment information when needed
+    // For one-time payments (Flex packs), always collect it
+    payment_method_collection: plan.mode === 'payment' ? 'always' : 'if_required',
+    metadata: {
+      plan_id: plan.id,
+    },
+  };
+
+  // Create checkout session in Firestore
+  // This triggers the Stripe extension to create a Checkout session
+  let docRef;
   try {
-    // Reference to the checkout_sessions subcollection for the user
-    const checkoutSessionRef = collection(
-      db,
-      'customers',
-      userId,
-      'checkout_sessions'
-    );
-    
-    // Create the checkout session
-    const sessionData = {
-      price: priceId, // If null, will show all available products
-      success_url: `${returnUrl}/profile?checkout=success`,
-      cancel_url: `${returnUrl}/profile?checkout=canceled`,
-      // For subscriptions, automatically collect payment information
-      // For one-time payments (Flex packs), set to 'required'
-      payment_method_collection: priceId && priceId.includes('flex') ? 'always' : 'if_required',
-    };
-    
-    // If no specific price is provided, let the customer choose
-    if (!priceId) {
-      delete sessionData.price;
-      sessionData.line_items = [
-        {
-          price: 'price_premium_monthly', // Replace with your actual price ID
-          quantity: 1,
-        },
-      ];
-      sessionData.mode = 'subscription';
-    } else if (priceId === 'flexy') {
-      // For flex packs, use one-time payment mode
-      delete sessionData.price;
-      sessionData.line_items = [
-        {
-          price: 'price_flex_pack', // Replace with your actual price ID for flex packs
-          quantity: 1,
-        },
-      ];
-      sessionData.mode = 'payment';
-    }
-    
-    // Create checkout session in Firestore
-    // This triggers the Stripe extension to create a Checkout session
-    const docRef = await addDoc(checkoutSessionRef, sessionData);
-    
-    // Wait for the Cloud Function to create the session
-    // Add a small delay to ensure the cloud function has time to process
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    const checkoutSessionSnap = await getDoc(docRef);
-    const checkoutSessionData = checkoutSessionSnap.data();
-    
-    // Return the URL
-    return checkoutSessionData.url;
+    docRef = await addDoc(checkoutSessionRef, sessionData);
   } catch (error) {
     console.error('Error creating checkout session:', error);
-    throw new Error('Failed to create checkout session');
+    throw new CheckoutError('checkout/create-failed', 'Failed to create checkout session', error);
+  }
+
+  // Wait for the extension to attach the Stripe Checkout URL
+  return waitForCheckoutUrl(docRef, { timeoutMs, signal });
+};
+
+/**
+ * Resolves after a delay unless the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(new CheckoutError('checkout/aborted', 'Checkout was cancelled'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Checks whether a purchase has been recorded by the Stripe extension
+ * @param {string} userId - The user ID
+ * @param {Object} plan - Plan from the plan catalog
+ * @param {number} since - Unix time in seconds the checkout started
+ * @returns {Promise<boolean>} Whether the purchase is reflected in Firestore
+ */
+const isCheckoutFulfilled = async (userId, plan, since) => {
+  // Subscriptions: the new plan must be the user's entitled plan
+  if (plan.mode === 'subscription') {
+    const snapshot = await getDocs(collection(db, 'customers', userId, 'subscriptions'));
+    const state = deriveSubscriptionState(
+      snapshot.docs.map((subscriptionDoc) => ({ id: subscriptionDoc.id, ...subscriptionDoc.data() }))
+    );
+    return state.planId === plan.id;
+  }
+
+  // One-time packs: a succeeded payment for this plan since checkout
+  // started, whose credits have been granted
+  const snapshot = await getDocs(query(
+    collection(db, 'customers', userId, 'payments'),
+    where('created', '>=', since - CLOCK_SKEW_SECONDS)
+  ));
+  const payment = snapshot.docs.find((paymentDoc) => {
+    const data = paymentDoc.data();
+    return data.status === 'succeeded' && data.metadata?.plan_id === plan.id;
+  });
+  if (!payment) return false;
+
+  const grantDoc = await getDoc(doc(db, 'users', userId, 'credit_ledger', `grant_${payment.id}`));
+  return grantDoc.exists();
+};
+
+/**
+ * Polls Firestore until a completed checkout is reflected there. Stripe
+ * webhooks can lag, so running out of time is not treated as an error.
+ * @param {string} userId - The user ID
+ * @param {string} planId - Id of the purchased plan in the plan catalog
+ * @param {Object} [options] - Polling options
+ * @param {number} [options.since=0] - Unix time in seconds the checkout started
+ * @param {number} [options.intervalMs=DEFAULT_FULFILLMENT_POLL_MS] - Delay between checks
+ * @param {number} [options.timeoutMs=DEFAULT_FULFILLMENT_TIMEOUT_MS] - Stop polling after this long
+ * @param {AbortSignal} [options.signal] - Cancels polling
+ * @returns {Promise<boolean>} True once fulfilled, false when polling timed out
+ * @throws {CheckoutError} When the plan is unknown or polling is cancelled
+ */
+export const waitForCheckoutFulfillment = async (
+  userId,
+  planId,
+  {
+    since = 0,
+    intervalMs = DEFAULT_FULFILLMENT_POLL_MS,
+    timeoutMs = DEFAULT_FULFILLMENT_TIMEOUT_MS,
+    signal
+  } = {}
+) => {
+  const plan = getCheckoutPlan(planId);
+  if (!plan) {
+    throw new CheckoutError('checkout/unknown-plan', 'We could not tell which plan was purchased');
+  }
+
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    if (signal?.aborted) {
+      throw new CheckoutError('checkout/aborted', 'Checkout was cancelled');
+    }
+
+    try {
+      if (await isCheckoutFulfilled(userId, plan, since)) return true;
+    } catch (error) {
+      // Keep polling through transient read failures
+      console.error('Error checking checkout fulfillment:', error);
+    }
+
+    if (Date.now() + intervalMs > deadline) return false;
+    await delay(intervalMs, signal);
   }
 };
 
-export default createStripeCheckout;
\ No newline at end of file
+export default createStripeCheckout;
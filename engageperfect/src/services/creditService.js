@@ -0,0 +1,41 @@
+/**
+ * File: creditService.js
+ * Version: 1.2.0
+ * Purpose: Flex Pack credits and their ledger in users/{uid}/credit_ledger.
+ * Open packs and their remaining credits live on users/{uid}.flex_packs;
+ * every grant, consumption, refund and expiry is also written to the
+ * ledger for reconciliation. Both are written by the backend
+ * (functions/src/credits.js); the web app only reads them.
+ */
+
+import { db } from './firebase';
+import { collection, limit, onSnapshot, orderBy, query } from 'firebase/firestore';
+
+// Pack rules are shared with the backend so balances match what it charges
+export { CREDIT_LEDGER_TYPES, getFlexCreditBalance } from '../../functions/src/shared/flexPacks';
+
+// Number of ledger entries shown on the profile page
+export const CREDIT_LEDGER_PAGE_SIZE = 20;
+
+/**
+ * Returns the ledger collection for a user
+ * @param {string} uid - User ID
+ * @returns {CollectionReference} Ledger collection
+ */
+const ledgerCollection = (uid) => collection(db, 'users', uid, 'credit_ledger');
+
+/**
+ * Listens to the latest ledger entries
+ * @param {string} uid - User ID
+ * @param {Function} onChange - Called with the entries, newest first
+ * @param {Function} [onError] - Called when the listener fails
+ * @param {number} [pageSize=CREDIT_LEDGER_PAGE_SIZE] - Number of entries
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToCreditLedger = (uid, onChange, onError, pageSize = CREDIT_LEDGER_PAGE_SIZE) => onSnapshot(
+  query(ledgerCollection(uid), orderBy('createdAt', 'desc'), limit(pageSize)),
+  (snapshot) => {
+    onChange(snapshot.docs.map((entryDoc) => ({ id: entryDoc.id, ...entryDoc.data() })));
+  },
+  onError
+);
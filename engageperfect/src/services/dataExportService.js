@@ -0,0 +1,223 @@
+/**
+ * File: dataExportService.js
+ * Version: 1.0.0
+ * Purpose: Personal data export (GDPR takeout) built in the browser.
+ * Collects the profile, generated content, drafts, credit ledger, billing
+ * records and avatar files into a single ZIP with JSON and Markdown inside.
+ */
+
+import { db, storage } from './firebase';
+import { collection, doc, getDoc, getDocs, Timestamp } from 'firebase/firestore';
+import { getBlob, listAll, ref } from 'firebase/storage';
+import { listBillingHistory, billingHistoryToCsv } from './billingService';
+import { buildBlogMarkdown, slugify } from '../utils/blogMarkdown';
+
+// Export steps in the order they run
+export const DATA_EXPORT_STEPS = [
+  { id: 'profile', label: 'Profile' },
+  { id: 'content', label: 'Generated content' },
+  { id: 'drafts', label: 'Drafts' },
+  { id: 'credits', label: 'Flex credit ledger' },
+  { id: 'billing', label: 'Billing records' },
+  { id: 'files', label: 'Uploaded files' },
+  { id: 'archive', label: 'Building ZIP file' }
+];
+
+/**
+ * Converts Firestore values into plain JSON, with timestamps as ISO strings
+ * @param {*} value - Value read from Firestore
+ * @returns {*} JSON-safe value
+ */
+const toPlainData = (value) => {
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlainData);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainData(item)]));
+  }
+  return value;
+};
+
+/**
+ * Serializes data as indented JSON
+ * @param {*} value - Data to serialize
+ * @returns {string} JSON text
+ */
+const toJson = (value) => `${JSON.stringify(toPlainData(value), null, 2)}\n`;
+
+/**
+ * Reads every document of a users/{uid} subcollection
+ * @param {string} uid - User ID
+ * @param {string} name - Subcollection name
+ * @returns {Promise<Array<Object>>} Documents with their IDs
+ */
+const readSubcollection = async (uid, name) => {
+  const snapshot = await getDocs(collection(db, 'users', uid, name));
+  return snapshot.docs.map((item) => ({ id: item.id, ...item.data() }));
+};
+
+/**
+ * Renders a saved caption set as Markdown
+ * @param {Object} content - Content document
+ * @returns {string} Markdown
+ */
+const buildCaptionMarkdown = (content) => {
+  const variants = (content.output?.variants || []).map((variant, index) => {
+    const hashtags = (variant.hashtags || []).map((tag) => (tag.startsWith('#') ? tag : `#${tag}`)).join(' ');
+    return `## Caption ${index + 1}\n\n${variant.text || ''}${hashtags ? `\n\n${hashtags}` : ''}`;
+  });
+
+  return `# ${content.title || 'Captions'}\n\nPlatform: ${content.platform || 'n/a'}\n\n${variants.join('\n\n')}\n`;
+};
+
+/**
+ * Renders a content document as Markdown
+ * @param {Object} content - Content document
+ * @returns {string} Markdown
+ */
+const buildContentMarkdown = (content) => {
+  if (content.type === 'blog') {
+    return buildBlogMarkdown({
+      title: content.output?.title || content.title || 'Blog post',
+      metaTitle: content.output?.metaTitle,
+      metaDescription: content.output?.metaDescription,
+      sections: content.output?.sections || []
+    });
+  }
+  return buildCaptionMarkdown(content);
+};
+
+/**
+ * Downloads every file under a Storage folder
+ * @param {StorageReference} folderRef - Folder to read
+ * @returns {Promise<{files: Array<{path: string, blob: Blob}>, failed: Array<string>}>}
+ *   Downloaded files and the paths that could not be read
+ */
+const downloadFolder = async (folderRef) => {
+  const { items, prefixes } = await listAll(folderRef);
+  const files = [];
+  const failed = [];
+
+  for (const itemRef of items) {
+    try {
+      files.push({ path: itemRef.name, blob: await getBlob(itemRef) });
+    } catch (error) {
+      console.error(`Error downloading ${itemRef.fullPath}:`, error);
+      failed.push(itemRef.name);
+    }
+  }
+
+  for (const prefixRef of prefixes) {
+    const nested = await downloadFolder(prefixRef);
+    files.push(...nested.files.map((file) => ({ ...file, path: `${prefixRef.name}/${file.path}` })));
+    failed.push(...nested.failed.map((path) => `${prefixRef.name}/${path}`));
+  }
+
+  return { files, failed };
+};
+
+/**
+ * Builds the README placed at the root of the export
+ * @param {Object} summary - Counts and failures to describe
+ * @returns {string} Markdown
+ */
+const buildReadme = ({ exportedAt, counts, failedFiles }) => {
+  const lines = [
+    '# EngagePerfect data export',
+    '',
+    `Exported on ${exportedAt.toISOString()}.`,
+    '',
+    '- `profile.json`: your account profile and usage counters',
+    `- \`content/\`: ${counts.content} generated items as JSON and Markdown`,
+    `- \`drafts/drafts.json\`: ${counts.drafts} unfinished drafts`,
+    `- \`credits/credit_ledger.json\`: ${counts.credits} Flex credit ledger entries`,
+    `- \`billing/\`: ${counts.billing} invoices and payments as JSON and CSV`,
+    `- \`files/\`: ${counts.files} uploaded files`
+  ];
+
+  if (failedFiles.length > 0) {
+    lines.push('', 'These files could not be downloaded and are missing from the export:', '');
+    lines.push(...failedFiles.map((path) => `- ${path}`));
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Builds a ZIP of all data held about the signed-in user
+ * @param {string} uid - User ID
+ * @param {Object} [options] - Export options
+ * @param {Function} [options.onProgress] - Called with (stepId, 'running' | 'done' | 'error', percent);
+ *   percent is only set while the archive is being built
+ * @returns {Promise<Blob>} ZIP file
+ */
+export const exportUserData = async (uid, { onProgress = () => {} } = {}) => {
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+  const counts = {};
+  let failedFiles = [];
+
+  // Run one step, reporting its progress
+  const runStep = async (stepId, task) => {
+    onProgress(stepId, 'running');
+    try {
+      await task();
+    } catch (error) {
+      onProgress(stepId, 'error');
+      throw error;
+    }
+    onProgress(stepId, 'done');
+  };
+
+  await runStep('profile', async () => {
+    const userDoc = await getDoc(doc(db, 'users', uid));
+    zip.file('profile.json', toJson({ id: uid, ...(userDoc.exists() ? userDoc.data() : {}) }));
+  });
+
+  await runStep('content', async () => {
+    const contents = await readSubcollection(uid, 'contents');
+    counts.content = contents.length;
+    zip.file('content/content.json', toJson(contents));
+    contents.forEach((content) => {
+      const name = `${content.type}-${slugify(content.title) || 'untitled'}-${content.id}.md`;
+      zip.file(`content/${name}`, buildContentMarkdown(content));
+    });
+  });
+
+  await runStep('drafts', async () => {
+    const drafts = await readSubcollection(uid, 'drafts');
+    counts.drafts = drafts.length;
+    zip.file('drafts/drafts.json', toJson(drafts));
+  });
+
+  await runStep('credits', async () => {
+    const entries = await readSubcollection(uid, 'credit_ledger');
+    counts.credits = entries.length;
+    zip.file('credits/credit_ledger.json', toJson(entries));
+  });
+
+  await runStep('billing', async () => {
+    const records = await listBillingHistory(uid);
+    counts.billing = records.length;
+    zip.file('billing/billing_history.json', toJson(records));
+    zip.file('billing/billing_history.csv', billingHistoryToCsv(records));
+  });
+
+  await runStep('files', async () => {
+    const { files, failed } = await downloadFolder(ref(storage, `profile_pictures/${uid}`));
+    counts.files = files.length;
+    failedFiles = failed.map((path) => `profile_pictures/${path}`);
+    files.forEach((file) => zip.file(`files/profile_pictures/${file.path}`, file.blob));
+  });
+
+  let archive;
+  await runStep('archive', async () => {
+    zip.file('README.md', buildReadme({ exportedAt: new Date(), counts, failedFiles }));
+    archive = await zip.generateAsync(
+      { type: 'blob', compression: 'DEFLATE' },
+      ({ percent }) => onProgress('archive', 'running', Math.round(percent))
+    );
+  });
+
+  return archive;
+};
@@ -0,0 +1,135 @@
+/**
+ * File: draftService.js
+ * Version: 1.2.0
+ * Purpose: Work-in-progress drafts stored in users/{uid}/drafts.
+ * Drafts are created and deleted by the createDraft and deleteDraft Cloud
+ * Functions (functions/src/drafts.js), which keep the
+ * users/{uid}.stats.draftsSaved counter and the per-plan cap; the web app
+ * can only edit existing drafts.
+ */
+
+import { db, functions } from './firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  orderBy,
+  serverTimestamp
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { getPlanType } from '../constants/plans';
+
+// Callables deployed from functions/src/drafts.js
+const CREATE_DRAFT_FUNCTION = 'createDraft';
+const DELETE_DRAFT_FUNCTION = 'deleteDraft';
+
+/**
+ * Returns the draft cap for a plan
+ * @param {string} [planType] - users/{uid}.plan_type
+ * @returns {number} Maximum number of drafts
+ */
+export const getDraftLimit = (planType) => getPlanType(planType).draftLimit;
+
+export class DraftError extends Error {
+  /**
+   * @param {string} code - Error code, e.g. 'drafts/limit-reached'
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra details ({ count, limit })
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'DraftError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Returns the drafts collection for a user
+ * @param {string} uid - User ID
+ * @returns {CollectionReference} Drafts collection
+ */
+const draftsCollection = (uid) => collection(db, 'users', uid, 'drafts');
+
+/**
+ * Turns a failed draft callable into a DraftError
+ * @param {Error} error - Error from the callable
+ * @returns {DraftError}
+ */
+const toDraftError = (error) => {
+  const { code, ...details } = error.details || {};
+
+  if (code?.startsWith('drafts/')) {
+    return new DraftError(code, error.message, details);
+  }
+
+  return new DraftError('drafts/unavailable', 'Your draft could not be saved. Please try again.');
+};
+
+/**
+ * Creates a draft, counting it against the user's draft cap
+ * @param {string} uid - User ID
+ * @param {Object} draft - Draft to create
+ * @param {string} draft.type - Editor the draft belongs to ('caption' or 'blog')
+ * @param {string} draft.title - Display title
+ * @param {Object} draft.data - Editor state needed to resume
+ * @returns {Promise<string>} ID of the new draft
+ * @throws {DraftError} When the user already has the maximum number of drafts
+ */
+export const createDraft = async (uid, { type, title, data }) => {
+  try {
+    const { data: result } = await httpsCallable(functions, CREATE_DRAFT_FUNCTION)({ type, title, data });
+    return result.draftId;
+  } catch (error) {
+    throw toDraftError(error);
+  }
+};
+
+/**
+ * Saves new editor state into an existing draft
+ * @param {string} uid - User ID
+ * @param {string} draftId - Draft ID
+ * @param {Object} changes - Fields to update ({ title, data })
+ * @returns {Promise<void>}
+ */
+export const updateDraft = async (uid, draftId, { title, data }) => {
+  await updateDoc(doc(db, 'users', uid, 'drafts', draftId), {
+    title,
+    data,
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Deletes a draft and releases its slot in the draft cap
+ * @param {string} uid - User ID
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (uid, draftId) => {
+  await httpsCallable(functions, DELETE_DRAFT_FUNCTION)({ draftId });
+};
+
+/**
+ * Loads a single draft
+ * @param {string} uid - User ID
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<Object|null>} Draft with its ID, or null when missing
+ */
+export const getDraft = async (uid, draftId) => {
+  const draftDoc = await getDoc(doc(db, 'users', uid, 'drafts', draftId));
+  return draftDoc.exists() ? { id: draftDoc.id, ...draftDoc.data() } : null;
+};
+
+/**
+ * Lists all drafts, most recently edited first
+ * @param {string} uid - User ID
+ * @returns {Promise<Array<Object>>} Drafts with their IDs
+ */
+export const listDrafts = async (uid) => {
+  const snapshot = await getDocs(query(draftsCollection(uid), orderBy('updatedAt', 'desc')));
+  return snapshot.docs.map((draftDoc) => ({ id: draftDoc.id, ...draftDoc.data() }));
+};
@@ -1,8 +1,11 @@
 /**
  * File: firebase.js
- * Version: 1.0.0
+ * Version: 1.2.0
  * Purpose: Firebase configuration and service initialization.
- * Exports initialized Firebase services for authentication and Firestore.
+ * Exports initialized Firebase services for authentication, Firestore,
+ * Storage and Cloud Functions. The Stripe extension can be installed in a
+ * different region than the app's own functions, so its callables use a
+ * separate instance.
  */
 
 import { initializeApp } from "firebase/app";
@@ -10,6 +13,7 @@ import { getAuth } from "firebase/auth";
 import { getFirestore } from "firebase/firestore";
 import { getAnalytics } from "firebase/analytics";
 import { getStorage } from "firebase/storage";
+import { getFunctions } from "firebase/functions";
 
 // Your Firebase configuration
 const firebaseConfig = {
@@ -31,5 +35,12 @@ const db = getFirestore(app);
 const analytics = getAnalytics(app);
 const storage = getStorage(app);
 
-export { auth, db, analytics, storage };
+// The app's callable functions (functions/) live in this region
+const functionsRegion = import.meta.env.VITE_FIREBASE_FUNCTIONS_REGION || "us-central1";
+const functions = getFunctions(app, functionsRegion);
+
+// Region the Stripe extension was installed in; defaults to the app's region
+const stripeFunctions = getFunctions(app, import.meta.env.VITE_STRIPE_EXTENSION_REGION || functionsRegion);
+
+export { auth, db, analytics, storage, functions, stripeFunctions };
 export default app;
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * File: generationErrors.js
+ * Version: 1.0.0
+ * Purpose: Error type shared by the generation service and its providers.
+ * Carries a `code` like Firebase errors so pages can switch on it.
+ */
+
+export class GenerationError extends Error {
+  /**
+   * @param {string} code - Error code, e.g. 'generation/aborted'
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra data such as the HTTP status
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'GenerationError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * File: generationPrompts.js
+ * Version: 1.0.0
+ * Purpose: Prompt templates for every generation task.
+ * Each builder returns the system and user prompt sent to the provider,
+ * including the exact output format the service expects back.
+ */
+
+const SYSTEM_PROMPT = 'You are EngagePerfect, an expert social media and SEO copywriter. ' +
+  'Follow the requested output format exactly and do not add commentary.';
+
+/**
+ * Formats an optional field as a prompt line
+ * @param {string} label - Field label
+ * @param {string} value - Field value
+ * @returns {string} Prompt line, or an empty string when unset
+ */
+const line = (label, value) => (value ? `${label}: ${value}\n` : '');
+
+/**
+ * Prompt for caption variants
+ * @param {Object} input - Normalized caption input
+ * @returns {{system: string, prompt: string}} Prompt pair
+ */
+const captionPrompt = (input) => ({
+  system: SYSTEM_PROMPT,
+  prompt:
+    `Write ${input.variantCount} distinct ${input.platform} captions.\n` +
+    line('Post description', input.description) +
+    line('Attached media', input.media ? `${input.media.type} file "${input.media.name}"` : '') +
+    line('Tone', input.tone) +
+    line('Niche', input.niche) +
+    line('Goal', input.goal) +
+    'Respect the platform character limit and end each caption with a call to action.\n' +
+    'Return JSON: {"variants":[{"text":"caption without hashtags","hashtags":["tag"]}]}'
+});
+
+/**
+ * Prompt for a blog outline
+ * @param {Object} input - Normalized blog input
+ * @returns {{system: string, prompt: string}} Prompt pair
+ */
+const blogOutlinePrompt = (input) => ({
+  system: SYSTEM_PROMPT,
+  prompt:
+    `Create an SEO blog post outline about "${input.topic}".\n` +
+    line('Target keywords', input.keywords.join(', ')) +
+    line('Audience', input.audience) +
+    line('Tone', input.tone) +
+    'Use 4 to 7 H2 sections with 2 to 4 key points each, ending with a conclusion.\n' +
+    'Return JSON: {"sections":[{"heading":"H2 heading","points":["key point"]}]}'
+});
+
+/**
+ * Prompt for one blog section
+ * @param {Object} input - Normalized blog input with section and sectionIndex
+ * @returns {{system: string, prompt: string}} Prompt pair
+ */
+const blogSectionPrompt = (input) => ({
+  system: SYSTEM_PROMPT,
+  prompt:
+    `Write section ${input.sectionIndex + 1} of a blog post about "${input.topic}".\n` +
+    `Section heading: ${input.section.heading}\n` +
+    line('Cover these points', input.section.points.join('; ')) +
+    line('Target keywords', input.keywords.join(', ')) +
+    line('Audience', input.audience) +
+    line('Tone', input.tone) +
+    'Return only the section body in Markdown, without the heading.'
+});
+
+/**
+ * Prompt for blog SEO metadata
+ * @param {Object} input - Normalized blog input with the final outline
+ * @returns {{system: string, prompt: string}} Prompt pair
+ */
+const blogMetaPrompt = (input) => ({
+  system: SYSTEM_PROMPT,
+  prompt:
+    `Write the title and SEO metadata for a blog post about "${input.topic}".\n` +
+    line('Target keywords', input.keywords.join(', ')) +
+    line('Sections', input.outline.map((section) => section.heading).join('; ')) +
+    'Meta title at most 60 characters, meta description at most 160 characters.\n' +
+    'Return JSON: {"title":"post title","metaTitle":"meta title","metaDescription":"meta description"}'
+});
+
+export const PROMPT_BUILDERS = {
+  caption: captionPrompt,
+  blog_outline: blogOutlinePrompt,
+  blog_section: blogSectionPrompt,
+  blog_meta: blogMetaPrompt
+};
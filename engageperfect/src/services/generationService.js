@@ -0,0 +1,241 @@
+/**
+ * File: generationService.js
+ * Version: 2.1.0
+ * Purpose: Single entry point for AI content generation.
+ * Pages call the task functions below; prompts are built here and sent to
+ * a swappable provider that streams tokens back with usage metadata.
+ *
+ * Provider interface:
+ *   { name: string, stream(request, { signal }): AsyncIterable<event> }
+ *   request: { task, system, prompt, input, reservationId }
+ *   event:   { type: 'token', text } | { type: 'usage', usage, model }
+ */
+
+import mockProvider from './providers/mockProvider';
+import { createHttpProvider } from './providers/httpProvider';
+import { PROMPT_BUILDERS } from './generationPrompts';
+import { GenerationError } from './generationErrors';
+
+/**
+ * Picks the provider configured through Vite environment variables.
+ * VITE_GENERATION_PROVIDER=http enables the HTTP provider, which reads
+ * VITE_GENERATION_ENDPOINT and VITE_GENERATION_MODEL; otherwise the mock is used.
+ * @returns {Object} Generation provider
+ * @throws {GenerationError} When the HTTP provider is missing its endpoint
+ */
+const createDefaultProvider = () => {
+  if (import.meta.env.VITE_GENERATION_PROVIDER === 'http') {
+    return createHttpProvider({
+      endpoint: import.meta.env.VITE_GENERATION_ENDPOINT,
+      model: import.meta.env.VITE_GENERATION_MODEL
+    });
+  }
+  return mockProvider;
+};
+
+// Provider currently used for generation. Created on first use so a
+// missing setting fails the generation, not the pages that import this.
+let activeProvider = null;
+
+/**
+ * Replaces the generation provider
+ * @param {Object} provider - Object implementing stream(request, options)
+ */
+export const setGenerationProvider = (provider) => {
+  if (typeof provider?.stream !== 'function') {
+    throw new Error('Generation provider must implement stream(request, options)');
+  }
+  activeProvider = provider;
+};
+
+/**
+ * Returns the provider currently used for generation
+ * @returns {Object} Generation provider
+ * @throws {GenerationError} When the configured provider cannot be created
+ */
+export const getGenerationProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createDefaultProvider();
+  }
+  return activeProvider;
+};
+
+/**
+ * Runs one generation task through the active provider
+ * @param {string} task - Task name (caption, blog_outline, blog_section, blog_meta)
+ * @param {Object} input - Normalized task input
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.onToken] - Called with each streamed token and the text so far
+ * @param {AbortSignal} [options.signal] - Cancellation signal
+ * @param {string} [options.reservationId] - Quota reservation the call is spent from
+ * @returns {Promise<{text: string, usage: Object|null, model: string|null, durationMs: number}>} Raw result
+ */
+export const runGeneration = async (task, input, { onToken, signal, reservationId } = {}) => {
+  const buildPrompt = PROMPT_BUILDERS[task];
+  if (!buildPrompt) {
+    throw new GenerationError('generation/unsupported-task', `Unsupported generation task: ${task}`);
+  }
+
+  const startedAt = Date.now();
+  let text = '';
+  let usage = null;
+  let model = null;
+
+  for await (const event of getGenerationProvider().stream({ task, input, reservationId, ...buildPrompt(input) }, { signal })) {
+    if (event.type === 'token') {
+      text += event.text;
+      onToken?.(event.text, text);
+    } else if (event.type === 'usage') {
+      usage = event.usage;
+      model = event.model || null;
+    }
+  }
+
+  return { text, usage, model, durationMs: Date.now() - startedAt };
+};
+
+/**
+ * Parses a JSON object from model output, tolerating code fences
+ * @param {string} text - Raw model output
+ * @returns {Object} Parsed object
+ */
+const parseJsonOutput = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    throw new GenerationError('generation/invalid-response', 'The generation service returned an unreadable response');
+  }
+};
+
+/**
+ * Normalizes the topic and keyword fields shared by all blog requests
+ * @param {Object} input - Raw blog input
+ * @returns {Object} Input with trimmed topic and keyword array
+ */
+const normalizeBlogInput = (input) => {
+  const topic = (input.topic || '').trim();
+  if (!topic) {
+    throw new Error('A topic is required to generate a blog post');
+  }
+
+  const keywords = Array.isArray(input.keywords)
+    ? input.keywords
+    : (input.keywords || '').split(',');
+
+  return {
+    ...input,
+    topic,
+    keywords: keywords.map((keyword) => keyword.trim()).filter(Boolean)
+  };
+};
+
+/**
+ * Generates caption variants with hashtags
+ * @param {Object} input - Caption request
+ * @param {string} [input.description] - What the post is about
+ * @param {File} [input.media] - Uploaded image or video
+ * @param {string} input.platform - Target platform
+ * @param {string} input.tone - Writing tone
+ * @param {string} [input.niche] - Content niche
+ * @param {string} [input.goal] - Post goal
+ * @param {number} [input.variantCount=3] - Number of variants to return
+ * @param {Object} [options] - Generation options passed to runGeneration
+ * @returns {Promise<Array<{id: string, text: string, hashtags: Array<string>}>>} Caption variants
+ */
+export const generateCaptions = async (input, options) => {
+  const description = (input.description || '').trim();
+
+  if (!description && !input.media) {
+    throw new Error('Provide a description or upload media to generate captions');
+  }
+
+  const { text } = await runGeneration('caption', {
+    ...input,
+    description,
+    variantCount: input.variantCount || 3
+  }, options);
+
+  const { variants } = parseJsonOutput(text);
+  if (!Array.isArray(variants) || variants.length === 0) {
+    throw new GenerationError('generation/invalid-response', 'No captions were returned');
+  }
+
+  // Normalize hashtags so the UI can render them consistently
+  return variants.map((variant, index) => ({
+    id: `variant-${index + 1}`,
+    text: (variant.text || '').trim(),
+    hashtags: (variant.hashtags || []).map((tag) => tag.replace(/^#/, '').trim()).filter(Boolean)
+  }));
+};
+
+/**
+ * Generates an editable outline for a blog post
+ * @param {Object} input - Blog request
+ * @param {string} input.topic - Post topic
+ * @param {Array<string>|string} [input.keywords] - Target SEO keywords
+ * @param {string} [input.audience] - Intended readers
+ * @param {string} [input.tone] - Writing tone
+ * @param {Object} [options] - Generation options passed to runGeneration
+ * @returns {Promise<Array<{id: string, heading: string, points: Array<string>}>>} Outline sections
+ */
+export const generateBlogOutline = async (input, options) => {
+  const { text } = await runGeneration('blog_outline', normalizeBlogInput(input), options);
+
+  const { sections } = parseJsonOutput(text);
+  if (!Array.isArray(sections) || sections.length === 0) {
+    throw new GenerationError('generation/invalid-response', 'No outline was returned');
+  }
+
+  return sections.map((section, index) => ({
+    id: `section-${Date.now()}-${index}`,
+    heading: (section.heading || '').trim(),
+    points: (section.points || []).map((point) => point.trim()).filter(Boolean)
+  }));
+};
+
+/**
+ * Drafts the body of a single outline section
+ * @param {Object} input - Blog request
+ * @param {Object} section - Outline section to draft
+ * @param {number} sectionIndex - Position of the section in the outline
+ * @param {Object} [options] - Generation options passed to runGeneration
+ * @returns {Promise<string>} Section body in Markdown
+ */
+export const generateBlogSection = async (input, section, sectionIndex, options) => {
+  if (!section?.heading?.trim()) {
+    throw new Error('Each section needs a heading before it can be drafted');
+  }
+
+  const { text } = await runGeneration('blog_section', {
+    ...normalizeBlogInput(input),
+    section,
+    sectionIndex
+  }, options);
+
+  return text.trim();
+};
+
+/**
+ * Generates the title, meta title and meta description for a post
+ * @param {Object} input - Blog request
+ * @param {Array<Object>} outline - Final outline
+ * @param {Object} [options] - Generation options passed to runGeneration
+ * @returns {Promise<{title: string, metaTitle: string, metaDescription: string}>} SEO metadata
+ */
+export const generateBlogMeta = async (input, outline, options) => {
+  const { text } = await runGeneration('blog_meta', {
+    ...normalizeBlogInput(input),
+    outline
+  }, options);
+
+  const meta = parseJsonOutput(text);
+
+  return {
+    title: (meta.title || '').trim(),
+    metaTitle: (meta.metaTitle || '').trim(),
+    metaDescription: (meta.metaDescription || '').trim()
+  };
+};
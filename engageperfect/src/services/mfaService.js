@@ -0,0 +1,183 @@
+/**
+ * File: mfaService.js
+ * Version: 1.2.0
+ * Purpose: TOTP multi-factor authentication.
+ * Enrolls and removes an authenticator app as a second factor, answers the
+ * second-factor challenge at sign-in and manages one-time recovery codes.
+ * Recovery codes are issued and checked by Cloud Functions
+ * (functions/src/mfaRecovery.js), which store only their SHA-256 hashes in
+ * users/{uid}/security/mfa_recovery. Redeeming a code needs the account
+ * password as well and removes the second factor.
+ */
+
+import { db, functions } from './firebase';
+import {
+  multiFactor,
+  TotpMultiFactorGenerator
+} from 'firebase/auth';
+import { deleteDoc, doc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+
+// Shown in authenticator apps next to the account email
+const MFA_ISSUER = 'EngagePerfect';
+
+// Name of the enrolled factor, shown in Firebase and on the settings page
+const TOTP_FACTOR_NAME = 'Authenticator app';
+
+// Callables deployed from functions/src/mfaRecovery.js
+const GENERATE_RECOVERY_CODES_FUNCTION = 'generateMfaRecoveryCodes';
+const REDEEM_RECOVERY_CODE_FUNCTION = 'redeemMfaRecoveryCode';
+
+export class MfaError extends Error {
+  /**
+   * @param {string} code - Error code, e.g. 'mfa/invalid-recovery-code'
+   * @param {string} message - Message that can be shown to the user
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(code, message, cause) {
+    super(message);
+    this.name = 'MfaError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Returns the recovery code document for a user
+ * @param {string} uid - User ID
+ * @returns {DocumentReference}
+ */
+const recoveryCodesRef = (uid) => doc(db, 'users', uid, 'security', 'mfa_recovery');
+
+/**
+ * Upper-cases a recovery code and strips spaces and dashes
+ * @param {string} code - Code as typed by the user
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Returns the user's enrolled TOTP factor
+ * @param {Object} user - Firebase user
+ * @returns {Object|null} MultiFactorInfo, or null when TOTP is not enrolled
+ */
+export const getTotpFactor = (user) => {
+  if (!user) return null;
+  return multiFactor(user).enrolledFactors.find(
+    (factor) => factor.factorId === TotpMultiFactorGenerator.FACTOR_ID
+  ) || null;
+};
+
+/**
+ * Starts TOTP enrollment. The user must have signed in recently.
+ * @param {Object} user - Firebase user
+ * @returns {Promise<{secret: TotpSecret, secretKey: string, otpauthUrl: string, qrCodeDataUrl: string}>}
+ *   Secret to pass to finishTotpEnrollment, the key for manual entry and a QR code image
+ */
+export const startTotpEnrollment = async (user) => {
+  const session = await multiFactor(user).getSession();
+  const secret = await TotpMultiFactorGenerator.generateSecret(session);
+  const otpauthUrl = secret.generateQrCodeUrl(user.email, MFA_ISSUER);
+
+  // Only needed while enrolling, so keep it out of the main bundle
+  const { default: QRCode } = await import('qrcode');
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 200 });
+
+  return { secret, secretKey: secret.secretKey, otpauthUrl, qrCodeDataUrl };
+};
+
+/**
+ * Replaces the signed-in user's recovery codes with a new set. Needs an
+ * enrolled authenticator app and a recent sign-in.
+ * @returns {Promise<Array<string>>} New codes, shown to the user once
+ */
+export const regenerateRecoveryCodes = async () => {
+  const { data } = await httpsCallable(functions, GENERATE_RECOVERY_CODES_FUNCTION)();
+  return data.codes;
+};
+
+/**
+ * Completes TOTP enrollment with a code from the authenticator app and
+ * issues recovery codes
+ * @param {Object} user - Firebase user
+ * @param {TotpSecret} secret - Secret from startTotpEnrollment
+ * @param {string} verificationCode - Six-digit code
+ * @returns {Promise<Array<string>>} Recovery codes
+ * @throws {MfaError} When the factor was enrolled but codes could not be issued
+ */
+export const finishTotpEnrollment = async (user, secret, verificationCode) => {
+  const assertion = TotpMultiFactorGenerator.assertionForEnrollment(secret, verificationCode.trim());
+  await multiFactor(user).enroll(assertion, TOTP_FACTOR_NAME);
+
+  try {
+    return await regenerateRecoveryCodes();
+  } catch (error) {
+    console.error('Error creating recovery codes:', error);
+    throw new MfaError(
+      'mfa/recovery-codes-unavailable',
+      'Two-factor authentication is on, but recovery codes could not be created. Turn it off and on again to get them.',
+      error
+    );
+  }
+};
+
+/**
+ * Removes the TOTP factor and its recovery codes. The user must have
+ * signed in recently. Codes left behind if the delete fails are harmless,
+ * since they are only accepted while a factor is enrolled.
+ * @param {Object} user - Firebase user
+ * @returns {Promise<void>}
+ */
+export const unenrollTotp = async (user) => {
+  const factor = getTotpFactor(user);
+  if (factor) {
+    await multiFactor(user).unenroll(factor);
+  }
+  await deleteDoc(recoveryCodesRef(user.uid));
+};
+
+/**
+ * Answers a second-factor challenge with a TOTP code
+ * @param {MultiFactorResolver} resolver - From getMultiFactorResolver
+ * @param {string} verificationCode - Six-digit code
+ * @returns {Promise<UserCredential>}
+ * @throws {MfaError} When the account has no TOTP factor
+ */
+export const resolveTotpChallenge = async (resolver, verificationCode) => {
+  const hint = resolver.hints.find((factor) => factor.factorId === TotpMultiFactorGenerator.FACTOR_ID);
+  if (!hint) {
+    throw new MfaError('mfa/unsupported-factor', 'This account uses a second factor we cannot check here.');
+  }
+
+  const assertion = TotpMultiFactorGenerator.assertionForSignIn(hint.uid, verificationCode.trim());
+  return resolver.resolveSignIn(assertion);
+};
+
+/**
+ * Uses a recovery code to remove the second factor from an account, so the
+ * user can sign in with their first factor and enroll again
+ * @param {string} email - Account email
+ * @param {string} password - Account password, proving the first factor
+ * @param {string} recoveryCode - Recovery code as typed
+ * @returns {Promise<void>}
+ * @throws {MfaError} When the password or code is wrong, the code is used
+ *   or it cannot be checked
+ */
+export const redeemRecoveryCode = async (email, password, recoveryCode) => {
+  const redeem = httpsCallable(functions, REDEEM_RECOVERY_CODE_FUNCTION);
+
+  try {
+    await redeem({ email, password, code: normalizeRecoveryCode(recoveryCode) });
+  } catch (error) {
+    if (error.code === 'functions/permission-denied') {
+      throw new MfaError('mfa/invalid-recovery-code', 'That recovery code is not valid or has already been used.', error);
+    }
+    if (error.code === 'functions/resource-exhausted') {
+      throw new MfaError('mfa/too-many-attempts', 'Too many wrong recovery codes. Please try again later.', error);
+    }
+
+    console.error('Error redeeming recovery code:', error);
+
+    throw new MfaError('mfa/recovery-unavailable', 'Could not check your recovery code. Please try again.', error);
+  }
+};
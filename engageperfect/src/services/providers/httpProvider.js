@@ -0,0 +1,181 @@
+/**
+ * File: httpProvider.js
+ * Version: 1.1.0
+ * Purpose: Generation provider that calls a configurable HTTP endpoint.
+ * Sends the task, prompts and input as JSON and reads back either a
+ * newline-delimited JSON stream or a single JSON response. The quota
+ * reservation id travels with each request so the endpoint (the generate
+ * Cloud Function) can spend it.
+ */
+
+import { auth } from '../firebase';
+import { GenerationError } from '../generationErrors';
+
+/**
+ * Reads a File or Blob as a data URL so it can travel in a JSON body
+ * @param {Blob} blob - File to encode
+ * @returns {Promise<string>} Data URL
+ */
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Replaces File values in the request input with serializable objects
+ * @param {Object} input - Task input
+ * @returns {Promise<Object>} Serializable input
+ */
+const serializeInput = async (input) => {
+  const entries = await Promise.all(Object.entries(input || {}).map(async ([key, value]) => {
+    if (typeof Blob !== 'undefined' && value instanceof Blob) {
+      return [key, { name: value.name, type: value.type, size: value.size, dataUrl: await readAsDataUrl(value) }];
+    }
+    return [key, value];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Default auth header: the signed-in user's Firebase ID token
+ * @returns {Promise<Object>} Headers to merge into the request
+ */
+const firebaseAuthHeaders = async () => {
+  if (!auth.currentUser) return {};
+  const token = await auth.currentUser.getIdToken();
+  return { Authorization: `Bearer ${token}` };
+};
+
+/**
+ * Converts one parsed stream line into a provider event
+ * @param {Object} payload - Parsed JSON line
+ * @returns {Object|null} Provider event, or null for unknown lines
+ */
+const toEvent = (payload) => {
+  if (payload.error) {
+    throw new GenerationError('generation/provider-error', payload.error.message || String(payload.error));
+  }
+  if (typeof payload.token === 'string') {
+    return { type: 'token', text: payload.token };
+  }
+  if (payload.usage) {
+    return { type: 'usage', usage: payload.usage, model: payload.model };
+  }
+  return null;
+};
+
+/**
+ * Creates an HTTP provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.endpoint - URL that accepts generation requests
+ * @param {string} [config.model] - Model name forwarded to the endpoint
+ * @param {Function} [config.getHeaders] - Async function returning extra request headers
+ * @returns {Object} Generation provider
+ * @throws {GenerationError} When no endpoint is configured
+ */
+export const createHttpProvider = ({ endpoint, model, getHeaders = firebaseAuthHeaders }) => {
+  if (!endpoint) {
+    throw new GenerationError(
+      'generation/not-configured',
+      'Content generation is not set up yet. Please try again later.',
+      { missing: 'VITE_GENERATION_ENDPOINT' }
+    );
+  }
+
+  return {
+    name: 'http',
+
+    /**
+     * Streams a generation from the endpoint
+     * @param {Object} request - Generation request ({ task, prompt, system, input, reservationId })
+     * @param {Object} [options] - Stream options
+     * @param {AbortSignal} [options.signal] - Cancellation signal
+     * @returns {AsyncGenerator<Object>} Token events followed by a usage event
+     */
+    async *stream(request, { signal } = {}) {
+      let response;
+
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          signal,
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/x-ndjson, application/json',
+            ...(await getHeaders())
+          },
+          body: JSON.stringify({
+            task: request.task,
+            system: request.system,
+            prompt: request.prompt,
+            input: await serializeInput(request.input),
+            reservationId: request.reservationId,
+            model,
+            stream: true
+          })
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new GenerationError('generation/aborted', 'Generation was canceled');
+        }
+        throw new GenerationError('generation/network-error', 'Could not reach the generation service');
+      }
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new GenerationError(
+          response.status === 429 ? 'generation/rate-limited' : 'generation/http-error',
+          `Generation service responded with ${response.status}`,
+          { status: response.status, body }
+        );
+      }
+
+      // Non-streaming endpoints answer with { text, usage, model }
+      if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+        const payload = await response.json();
+        yield { type: 'token', text: payload.text || '' };
+        if (payload.usage) {
+          yield { type: 'usage', usage: payload.usage, model: payload.model };
+        }
+        return;
+      }
+
+      // Streaming endpoints send one JSON object per line
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let done = false;
+
+      try {
+        while (!done) {
+          const chunk = await reader.read();
+          done = chunk.done;
+          buffer += decoder.decode(chunk.value || new Uint8Array(), { stream: !done });
+
+          const lines = buffer.split('\n');
+          buffer = done ? '' : lines.pop();
+
+          for (const rawLine of lines) {
+            if (!rawLine.trim()) continue;
+            const event = toEvent(JSON.parse(rawLine));
+            if (event) yield event;
+          }
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new GenerationError('generation/aborted', 'Generation was canceled');
+        }
+        throw error instanceof GenerationError
+          ? error
+          : new GenerationError('generation/invalid-response', 'Generation stream could not be read');
+      } finally {
+        reader.releaseLock();
+      }
+    }
+  };
+};
+
+export default createHttpProvider;
@@ -0,0 +1,286 @@
+/**
+ * File: mockProvider.js
+ * Version: 2.0.0
+ * Purpose: Deterministic generation provider that runs in the browser.
+ * Builds template output for each task and streams it word by word,
+ * so development and tests work without a model endpoint.
+ */
+
+import { GenerationError } from '../generationErrors';
+
+// Opening lines per tone
+const TONE_OPENERS = {
+  professional: ['Here is what we have learned:', 'A quick insight for your week:', 'Worth sharing with your team:'],
+  casual: ['Okay, real talk:', 'Not gonna lie,', 'Just dropping this here:'],
+  humorous: ['Plot twist:', 'Nobody asked, but here we go:', 'Warning: may cause sudden productivity.'],
+  inspirational: ['Every big step starts small.', 'Your reminder for today:', 'Dream it, then do it.'],
+  educational: ['Did you know?', 'Here is a quick lesson:', 'Three things to remember:']
+};
+
+// Closing call to action per goal
+const GOAL_CLOSERS = {
+  engagement: 'What do you think? Tell us in the comments!',
+  awareness: 'Share this with someone who needs to see it.',
+  followers: 'Follow for more posts like this.',
+  sales: 'Tap the link in our bio to get yours today.',
+  traffic: 'Read the full story via the link in bio.',
+  leads: 'Send us a message to learn how we can help.'
+};
+
+// Base hashtags per niche
+const NICHE_HASHTAGS = {
+  technology: ['tech', 'innovation', 'digital'],
+  business: ['business', 'entrepreneur', 'growth'],
+  health: ['fitness', 'wellness', 'healthylifestyle'],
+  fashion: ['fashion', 'style', 'ootd'],
+  food: ['foodie', 'recipe', 'delicious'],
+  travel: ['travel', 'wanderlust', 'explore'],
+  education: ['learning', 'education', 'knowledge']
+};
+
+// Character budget per platform
+const PLATFORM_LIMITS = {
+  twitter: 280,
+  instagram: 2200,
+  facebook: 2000,
+  linkedin: 3000,
+  tiktok: 2200
+};
+
+// Hashtag count per platform
+const PLATFORM_HASHTAG_COUNT = {
+  twitter: 2,
+  linkedin: 3,
+  facebook: 3,
+  instagram: 8,
+  tiktok: 5
+};
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'your', 'our', 'are',
+  'was', 'were', 'have', 'has', 'you', 'but', 'not', 'all', 'can', 'its'
+]);
+
+/**
+ * Capitalizes the first letter of a string
+ * @param {string} text - Input text
+ * @returns {string} Capitalized text
+ */
+const capitalize = (text) => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+
+/**
+ * Extracts distinctive words from free text to use as hashtags
+ * @param {string} text - Source text
+ * @returns {Array<string>} Lowercase keywords
+ */
+const extractKeywords = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 3 && !STOP_WORDS.has(word));
+};
+
+/**
+ * Removes the file extension and separators from a media file name
+ * @param {string} name - File name
+ * @returns {string} Readable subject
+ */
+const subjectFromFileName = (name) => {
+  return (name || '')
+    .replace(/\.[^.]+$/, '')
+    .replace(/[_\-.]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Builds caption variants from the caption form input
+ * @param {Object} input - Normalized caption input
+ * @returns {{variants: Array<{text: string, hashtags: Array<string>}>}} Variants
+ */
+const buildCaptions = (input) => {
+  const subject = input.description || subjectFromFileName(input.media?.name) || 'our latest post';
+  const openers = TONE_OPENERS[input.tone] || TONE_OPENERS.casual;
+  const closer = GOAL_CLOSERS[input.goal] || GOAL_CLOSERS.engagement;
+  const limit = PLATFORM_LIMITS[input.platform] || 2200;
+  const hashtagCount = PLATFORM_HASHTAG_COUNT[input.platform] || 5;
+
+  const keywords = [...new Set([
+    ...(NICHE_HASHTAGS[input.niche] || []),
+    ...extractKeywords(subject)
+  ])];
+
+  const variants = Array.from({ length: input.variantCount }, (_, index) => {
+    const opener = openers[index % openers.length];
+    const hashtags = [...keywords.slice(index), ...keywords.slice(0, index)].slice(0, hashtagCount);
+    const body = `${opener} ${capitalize(subject)}`;
+    const tagLine = hashtags.map((tag) => `#${tag}`).join(' ');
+
+    // Trim the body so body, closer and hashtags fit the platform budget
+    const budget = limit - closer.length - tagLine.length - 4;
+    const text = body.length > budget ? `${body.slice(0, Math.max(0, budget - 1))}…` : body;
+
+    return {
+      text: `${text}\n\n${closer}`,
+      hashtags
+    };
+  });
+
+  return { variants };
+};
+
+// Outline skeleton used for every blog post
+const OUTLINE_TEMPLATE = [
+  { heading: 'Why {topic} matters', points: ['The problem readers face', 'What is at stake'] },
+  { heading: 'Key concepts behind {topic}', points: ['Core definitions', 'Common misconceptions'] },
+  { heading: 'How to get started with {topic}', points: ['First steps', 'Tools and resources'] },
+  { heading: 'Best practices for {keyword}', points: ['Proven techniques', 'Mistakes to avoid'] },
+  { heading: 'Conclusion', points: ['Summary of key takeaways', 'Next step for the reader'] }
+];
+
+/**
+ * Builds a blog outline for a topic
+ * @param {Object} input - Normalized blog input
+ * @returns {{sections: Array<{heading: string, points: Array<string>}>}} Outline sections
+ */
+const buildBlogOutline = (input) => {
+  const keyword = input.keywords[0] || input.topic;
+
+  return {
+    sections: OUTLINE_TEMPLATE.map((section) => ({
+      heading: capitalize(section.heading.replace('{topic}', input.topic).replace('{keyword}', keyword)),
+      points: [...section.points]
+    }))
+  };
+};
+
+/**
+ * Drafts the body of one outline section
+ * @param {Object} input - Blog input plus the section to draft
+ * @returns {string} Section body in Markdown
+ */
+const buildBlogSection = (input) => {
+  const { section, topic, keywords } = input;
+  const keyword = keywords[input.sectionIndex % Math.max(keywords.length, 1)] || topic;
+  const audience = input.audience || 'readers';
+
+  const paragraphs = section.points.map((point) => (
+    `${capitalize(point)} is central to understanding ${topic}. For ${audience}, ` +
+    `focusing on ${keyword} here makes the difference between guessing and getting consistent results.`
+  ));
+
+  if (section.points.length > 1) {
+    paragraphs.push(section.points.map((point) => `- ${capitalize(point)}`).join('\n'));
+  }
+
+  return paragraphs.join('\n\n');
+};
+
+/**
+ * Builds SEO metadata for a finished post
+ * @param {Object} input - Blog input plus the final outline
+ * @returns {{title: string, metaTitle: string, metaDescription: string}} Metadata
+ */
+const buildBlogMeta = (input) => {
+  const keyword = input.keywords[0] || input.topic;
+  const title = capitalize(`${input.topic}: a practical guide`);
+
+  return {
+    title,
+    metaTitle: capitalize(`${keyword} guide: ${input.topic}`),
+    metaDescription: capitalize(
+      `Learn ${input.topic} step by step. ${input.outline.length} sections covering ${keyword}, best practices and mistakes to avoid.`
+    )
+  };
+};
+
+// Output builder per task; structured tasks are serialized as JSON
+const TASK_BUILDERS = {
+  caption: (input) => JSON.stringify(buildCaptions(input)),
+  blog_outline: (input) => JSON.stringify(buildBlogOutline(input)),
+  blog_section: (input) => buildBlogSection(input),
+  blog_meta: (input) => JSON.stringify(buildBlogMeta(input))
+};
+
+/**
+ * Rough token estimate used for usage metadata
+ * @param {string} text - Text to measure
+ * @returns {number} Approximate token count
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Waits for the given time unless the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new GenerationError('generation/aborted', 'Generation was canceled'));
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(new GenerationError('generation/aborted', 'Generation was canceled'));
+  };
+
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Creates a mock provider
+ * @param {Object} [config] - Provider configuration
+ * @param {number} [config.tokenDelayMs=15] - Delay between streamed tokens; 0 disables it
+ * @returns {Object} Generation provider
+ */
+export const createMockProvider = ({ tokenDelayMs = 15 } = {}) => ({
+  name: 'mock',
+
+  /**
+   * Streams the template output for a request
+   * @param {Object} request - Generation request ({ task, prompt, system, input })
+   * @param {Object} [options] - Stream options
+   * @param {AbortSignal} [options.signal] - Cancellation signal
+   * @returns {AsyncGenerator<Object>} Token events followed by a usage event
+   */
+  async *stream(request, { signal } = {}) {
+    const build = TASK_BUILDERS[request.task];
+    if (!build) {
+      throw new GenerationError('generation/unsupported-task', `Unsupported generation task: ${request.task}`);
+    }
+
+    const output = build(request.input);
+    const tokens = output.match(/\s*\S+/g) || [];
+
+    for (const token of tokens) {
+      if (tokenDelayMs > 0) {
+        await wait(tokenDelayMs, signal);
+      } else if (signal?.aborted) {
+        throw new GenerationError('generation/aborted', 'Generation was canceled');
+      }
+      yield { type: 'token', text: token };
+    }
+
+    const promptTokens = estimateTokens(`${request.system || ''}${request.prompt}`);
+    yield {
+      type: 'usage',
+      model: 'mock',
+      usage: {
+        promptTokens,
+        completionTokens: tokens.length,
+        totalTokens: promptTokens + tokens.length
+      }
+    };
+  }
+});
+
+const mockProvider = createMockProvider();
+
+export default mockProvider;
@@ -0,0 +1,94 @@
+/**
+ * File: quotaService.js
+ * Version: 1.6.0
+ * Purpose: Request quota enforcement for content generation.
+ * Reserves a request before generating and sends its id with each
+ * generation call. The reserveRequest Cloud Function
+ * (functions/src/quota.js) updates users/{uid}.requests_used and Flex Pack
+ * credits; the web app can only read them. The generate endpoint spends
+ * the reservation and refunds it when the model service fails. Accounts
+ * with an unverified email cannot reserve requests.
+ */
+
+import { auth, functions } from './firebase';
+import { httpsCallable } from 'firebase/functions';
+import { PLAN_TYPES } from '../constants/plans';
+
+// Cycle rules are shared with the backend so both agree on when quotas reset
+export { getQuotaCycle } from '../../functions/src/shared/quotaCycle';
+
+// Callable deployed from functions/src/quota.js
+const RESERVE_REQUEST_FUNCTION = 'reserveRequest';
+
+// Requests included in the free plan
+export const DEFAULT_REQUEST_LIMIT = PLAN_TYPES.free.requestLimit;
+
+export class QuotaError extends Error {
+  /**
+   * @param {string} code - Error code, e.g. 'quota/exhausted'
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Usage details ({ used, limit, resetsAt, flexCredits })
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'QuotaError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Turns a failed reserveRequest call into a QuotaError
+ * @param {Error} error - Error from the callable
+ * @returns {QuotaError}
+ */
+const toQuotaError = (error) => {
+  const { code, resetsAt, ...details } = error.details || {};
+
+  if (code?.startsWith('quota/')) {
+    return new QuotaError(code, error.message, {
+      ...details,
+      ...(resetsAt && { resetsAt: new Date(resetsAt) })
+    });
+  }
+
+  console.error('Error reserving request:', error);
+
+  return new QuotaError('quota/unavailable', 'Could not check your request quota. Please try again.');
+};
+
+/**
+ * Reserves one generation request for the signed-in user, from the monthly
+ * allowance first and from Flex Pack credits once the allowance is used up
+ * @param {string} task - Generation task the request is for, e.g. 'caption'
+ * @param {number} [calls=1] - Generation calls the request covers
+ * @returns {Promise<{reservationId: string, source: string}>} Reservation to
+ *   send with each generation; source is 'allowance' or 'flex'
+ * @throws {QuotaError} When the user has no requests or credits left, or
+ *   has not verified their email
+ */
+export const reserveRequest = async (task, calls = 1) => {
+  if (auth.currentUser && !auth.currentUser.emailVerified) {
+    throw new QuotaError('quota/email-unverified', 'Verify your email address to start generating content.');
+  }
+
+  try {
+    const { data } = await httpsCallable(functions, RESERVE_REQUEST_FUNCTION)({ task, calls });
+    return data;
+  } catch (error) {
+    throw toQuotaError(error);
+  }
+};
+
+/**
+ * Runs a generation task with one reserved request
+ * @param {string} task - Generation task the request is for
+ * @param {Function} run - Async function performing the generation; receives the reservation id
+ * @param {Object} [options] - Reservation options
+ * @param {number} [options.calls=1] - Generation calls the request covers
+ * @returns {Promise<*>} Result of run
+ */
+export const withRequestQuota = async (task, run, { calls = 1 } = {}) => {
+  const { reservationId } = await reserveRequest(task, calls);
+  return run(reservationId);
+};
@@ -0,0 +1,33 @@
+/**
+ * File: statsService.js
+ * Version: 1.0.0
+ * Purpose: Usage statistics stored on users/{uid}.stats.
+ * Counters are updated with atomic increments so concurrent tabs never
+ * overwrite each other.
+ */
+
+import { db } from './firebase';
+import { doc, updateDoc, increment } from 'firebase/firestore';
+
+// Platforms tracked individually in stats.platformDistribution
+const TRACKED_PLATFORMS = ['twitter', 'linkedin', 'facebook'];
+
+/**
+ * Records a completed piece of generated content
+ * @param {string} uid - User ID
+ * @param {Object} [options] - Content details
+ * @param {string} [options.platform] - Target platform for social content
+ * @returns {Promise<void>}
+ */
+export const recordContentCreated = async (uid, { platform } = {}) => {
+  const updates = {
+    'stats.totalContentCreated': increment(1)
+  };
+
+  if (platform) {
+    const platformKey = TRACKED_PLATFORMS.includes(platform) ? platform : 'other';
+    updates[`stats.platformDistribution.${platformKey}`] = increment(1);
+  }
+
+  await updateDoc(doc(db, 'users', uid), updates);
+};
@@ -0,0 +1,142 @@
+/**
+ * File: subscriptionService.js
+ * Version: 1.1.1
+ * Purpose: Subscription state from the Stripe extension.
+ * Listens to customers/{uid}/subscriptions and derives the active plan,
+ * status, renewal date and request allowance for display. The backend
+ * (functions/src/subscriptions.js) mirrors the same state onto users/{uid},
+ * where quotas read it.
+ */
+
+import { db } from './firebase';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { CHECKOUT_PLANS, getPlanType } from '../constants/plans';
+
+// Statuses that still grant the plan's features
+const ENTITLED_STATUSES = ['trialing', 'active', 'past_due'];
+
+// State used when the user has never subscribed
+export const NO_SUBSCRIPTION = {
+  subscriptionId: null,
+  planId: null,
+  planType: 'free',
+  status: 'none',
+  renewsAt: null,
+  periodStart: null,
+  cancelAtPeriodEnd: false,
+  requestAllowance: getPlanType('free').requestLimit,
+  planKnown: true
+};
+
+/**
+ * Converts a Firestore timestamp into a Date
+ * @param {Timestamp|null} value - Stored value
+ * @returns {Date|null} Date, or null when unset
+ */
+const toDate = (value) => (value?.toDate ? value.toDate() : null);
+
+/**
+ * Returns the Stripe price id of a subscription document
+ * @param {Object} subscription - Subscription document data
+ * @returns {string|null} Price id
+ */
+const getPriceId = (subscription) => subscription.items?.[0]?.price?.id || subscription.price?.id || null;
+
+/**
+ * Picks the subscription that decides the user's plan: the newest entitled
+ * one, otherwise the newest of any status
+ * @param {Array<Object>} subscriptions - Subscription documents with ids
+ * @returns {Object|null} Subscription
+ */
+const pickCurrentSubscription = (subscriptions) => {
+  const byNewest = [...subscriptions].sort(
+    (a, b) => (toDate(b.created)?.getTime() || 0) - (toDate(a.created)?.getTime() || 0)
+  );
+
+  return byNewest.find((subscription) => ENTITLED_STATUSES.includes(subscription.status))
+    || byNewest[0]
+    || null;
+};
+
+/**
+ * Derives the plan state from the user's Stripe subscriptions
+ * @param {Array<Object>} subscriptions - Subscription documents with ids
+ * @returns {Object} Subscription state (see NO_SUBSCRIPTION for the shape)
+ */
+export const deriveSubscriptionState = (subscriptions) => {
+  const subscription = pickCurrentSubscription(subscriptions);
+  if (!subscription) return NO_SUBSCRIPTION;
+
+  const plan = CHECKOUT_PLANS.find((item) => item.priceId && item.priceId === getPriceId(subscription));
+  const entitled = ENTITLED_STATUSES.includes(subscription.status) && Boolean(plan);
+
+  // A live subscription to a price missing from the catalog usually means
+  // misconfigured price ids; never downgrade the user because of it
+  const planKnown = Boolean(plan) || !ENTITLED_STATUSES.includes(subscription.status);
+
+  return {
+    subscriptionId: subscription.id,
+    planId: plan?.id || null,
+    planType: entitled ? plan.planType : 'free',
+    status: subscription.status,
+    renewsAt: entitled ? toDate(subscription.current_period_end) : null,
+    periodStart: entitled ? toDate(subscription.current_period_start) : null,
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+    requestAllowance: entitled ? plan.requestAllowance : getPlanType('free').requestLimit,
+    planKnown
+  };
+};
+
+/**
+ * Describes subscription states the user should be told about
+ * @param {Object} state - Result of deriveSubscriptionState
+ * @returns {{label: string, tone: string}|null} Notice with a 'info', 'warning'
+ *   or 'danger' tone, or null when the subscription needs no attention
+ */
+export const getSubscriptionNotice = ({ status, cancelAtPeriodEnd, planKnown }) => {
+  if (planKnown === false) {
+    return { label: 'Plan not recognized', tone: 'warning' };
+  }
+  if (status === 'past_due' || status === 'unpaid') {
+    return { label: 'Payment past due', tone: 'danger' };
+  }
+  if (status === 'canceled') {
+    return { label: 'Canceled', tone: 'danger' };
+  }
+  if (cancelAtPeriodEnd) {
+    return { label: 'Cancels at period end', tone: 'warning' };
+  }
+  if (status === 'trialing') {
+    return { label: 'Trial', tone: 'info' };
+  }
+  return null;
+};
+
+/**
+ * Returns the number of whole days until the subscription renews
+ * @param {Date|null} renewsAt - Renewal date
+ * @returns {number|null} Days, or null when there is no renewal date
+ */
+export const getDaysUntilRenewal = (renewsAt) => {
+  if (!renewsAt) return null;
+  return Math.max(0, Math.ceil((renewsAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+};
+
+/**
+ * Listens to the user's subscriptions
+ * @param {string} uid - User ID
+ * @param {Function} onChange - Called with the derived subscription state
+ * @param {Function} [onError] - Called when the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSubscription = (uid, onChange, onError) => onSnapshot(
+  collection(db, 'customers', uid, 'subscriptions'),
+  (snapshot) => {
+    const subscriptions = snapshot.docs.map((subscriptionDoc) => ({
+      id: subscriptionDoc.id,
+      ...subscriptionDoc.data()
+    }));
+    onChange(deriveSubscriptionState(subscriptions));
+  },
+  onError
+);
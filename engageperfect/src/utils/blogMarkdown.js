@@ -0,0 +1,52 @@
+/**
+ * File: blogMarkdown.js
+ * Version: 1.0.0
+ * Purpose: Helpers for turning a generated blog post into Markdown.
+ * Used by the blog generator for copy and download.
+ */
+
+/**
+ * Converts a title into a URL-friendly slug
+ * @param {string} text - Title text
+ * @returns {string} Slug
+ */
+export const slugify = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Escapes a value for use inside a double-quoted YAML string
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeYaml = (value) => (value || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+/**
+ * Builds a Markdown document with SEO front matter
+ * @param {Object} post - Blog post
+ * @param {string} post.title - Post title (rendered as H1)
+ * @param {string} post.metaTitle - SEO title
+ * @param {string} post.metaDescription - SEO description
+ * @param {Array<{heading: string, content: string}>} post.sections - Post sections
+ * @returns {string} Markdown document
+ */
+export const buildBlogMarkdown = ({ title, metaTitle, metaDescription, sections }) => {
+  const frontMatter = [
+    '---',
+    `title: "${escapeYaml(metaTitle || title)}"`,
+    `description: "${escapeYaml(metaDescription)}"`,
+    `slug: "${slugify(title)}"`,
+    '---'
+  ].join('\n');
+
+  const body = sections
+    .map((section) => `## ${section.heading}\n\n${section.content || ''}`.trim())
+    .join('\n\n');
+
+  return `${frontMatter}\n\n# ${title}\n\n${body}\n`;
+};
@@ -0,0 +1,37 @@
+/**
+ * File: csv.js
+ * Version: 1.0.0
+ * Purpose: Helpers for building CSV files in the browser.
+ * Used by exports that users open in spreadsheet tools.
+ */
+
+/**
+ * Escapes a single CSV cell. Values that a spreadsheet would run as a
+ * formula are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document
+ * @param {Array<{key: string, label: string}>} columns - Columns in order
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} CSV text with a header row
+ */
+export const buildCsv = (columns, rows) => {
+  const lines = [
+    columns.map((column) => escapeCell(column.label)).join(','),
+    ...rows.map((row) => columns.map((column) => escapeCell(row[column.key])).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
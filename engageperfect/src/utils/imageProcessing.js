@@ -0,0 +1,64 @@
+/**
+ * File: imageProcessing.js
+ * Version: 1.0.0
+ * Purpose: Canvas helpers for cropping and resizing images in the browser.
+ * Used by the avatar upload flow.
+ */
+
+/**
+ * Loads an image file into an HTMLImageElement. The image keeps its object
+ * URL so it can also be shown on screen; pass it to releaseImage when done.
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<HTMLImageElement>} Decoded image
+ */
+export const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+
+  image.onload = () => resolve(image);
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The image could not be read'));
+  };
+  image.src = url;
+});
+
+/**
+ * Frees the object URL of an image created by loadImage
+ * @param {HTMLImageElement} image - Image to release
+ */
+export const releaseImage = (image) => {
+  URL.revokeObjectURL(image.src);
+};
+
+/**
+ * Draws a square region of an image at a fixed size and encodes it
+ * @param {HTMLImageElement} image - Source image
+ * @param {{x: number, y: number, size: number}} crop - Square region in source pixels
+ * @param {number} size - Output width and height in pixels
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.type='image/webp'] - Output MIME type
+ * @param {number} [options.quality=0.85] - Lossy quality between 0 and 1
+ * @returns {Promise<Blob>} Encoded image. Browsers without an encoder for
+ *   the type return PNG instead, so check blob.type.
+ */
+export const renderSquareCrop = (image, crop, size, { type = 'image/webp', quality = 0.85 } = {}) => (
+  new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const context = canvas.getContext('2d');
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(image, crop.x, crop.y, crop.size, crop.size, 0, 0, size, size);
+
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('The image could not be encoded'));
+      }
+    }, type, quality);
+  })
+);
@@ -0,0 +1,236 @@
+/**
+ * File: passwordPolicy.js
+ * Version: 1.0.0
+ * Purpose: Shared password rules and strength estimate.
+ * Used by sign-up, password changes and password reset so every form
+ * accepts the same passwords and shows the same messages.
+ */
+
+import { COMMON_PASSWORDS } from '../constants/commonPasswords';
+
+// Default rules; callers can override any of them per form
+export const PASSWORD_POLICY = {
+  minLength: 10,
+  maxLength: 128,
+  // Lowest acceptable strength score, 0 (very weak) to 4 (very strong)
+  minScore: 2,
+  requireLowercase: false,
+  requireUppercase: false,
+  requireNumber: false,
+  requireSymbol: false,
+  blockCommonPasswords: true,
+  blockPersonalInfo: true
+};
+
+export const PASSWORD_STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+// Entropy in bits needed to reach scores 1 to 4
+const SCORE_THRESHOLDS = [28, 36, 60, 80];
+
+// Letter substitutions undone before blocklist checks (p@ssw0rd -> password)
+const SUBSTITUTIONS = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i'
+};
+
+// Blocklisted words that can hide inside a longer password, longest first
+const COMMON_WORDS = [...COMMON_PASSWORDS]
+  .filter((word) => word.length >= 4)
+  .sort((a, b) => b.length - a.length);
+
+// Bits credited for a whole dictionary word found in the password
+const DICTIONARY_WORD_BITS = Math.log2(COMMON_PASSWORDS.size);
+
+const RULE_MESSAGES = {
+  required: () => 'Password is required',
+  minLength: ({ minLength }) => `Password must be at least ${minLength} characters`,
+  maxLength: ({ maxLength }) => `Password must be at most ${maxLength} characters`,
+  lowercase: () => 'Password must include a lowercase letter',
+  uppercase: () => 'Password must include an uppercase letter',
+  number: () => 'Password must include a number',
+  symbol: () => 'Password must include a symbol',
+  common: () => 'This password is too common. Choose one that is harder to guess',
+  personalInfo: () => 'Password must not contain your name or email',
+  weak: () => 'Password is too easy to guess. Add more words or characters'
+};
+
+// Firebase Auth errors raised when its own password policy rejects a password
+const POLICY_ERROR_CODES = ['auth/weak-password', 'auth/password-does-not-meet-requirements'];
+
+const unsubstitute = (text) => text.replace(/[013457@$!]/g, (char) => SUBSTITUTIONS[char]);
+
+/**
+ * Splits names and emails into lowercase words worth checking for
+ * @param {Array<string>} userInputs - e.g. the display name and email
+ * @returns {Array<string>} Words of four or more characters
+ */
+const getPersonalWords = (userInputs) => {
+  const words = new Set();
+
+  userInputs.filter(Boolean).forEach((input) => {
+    const text = String(input).toLowerCase();
+    const localPart = text.split('@')[0];
+    [localPart, ...text.split(/[^a-z0-9]+/)]
+      .filter((word) => word.length >= 4)
+      .forEach((word) => words.add(word));
+  });
+
+  return [...words].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Marks characters covered by any of the words and counts the matches
+ * @param {Array<string>} texts - Same-length forms of the password
+ * @param {Array<string>} words - Words to look for, longest first
+ * @param {Array<boolean>} mask - Covered characters, updated in place
+ * @returns {number} Number of words found
+ */
+const maskWords = (texts, words, mask) => {
+  let matches = 0;
+
+  words.forEach((word) => {
+    texts.forEach((text) => {
+      let index = text.indexOf(word);
+      while (index !== -1) {
+        const end = index + word.length;
+        if (!mask.slice(index, end).some(Boolean)) {
+          mask.fill(true, index, end);
+          matches += 1;
+        }
+        index = text.indexOf(word, index + 1);
+      }
+    });
+  });
+
+  return matches;
+};
+
+/**
+ * Size of the character set the password draws from
+ * @param {string} password - Password to inspect
+ * @returns {number} Number of possible characters per position
+ */
+const getCharsetSize = (password) => {
+  let size = 0;
+  if (/[a-z]/.test(password)) size += 26;
+  if (/[A-Z]/.test(password)) size += 26;
+  if (/[0-9]/.test(password)) size += 10;
+  if (/[^a-zA-Z0-9]/.test(password)) size += 33;
+  return size;
+};
+
+/**
+ * Estimates password entropy in bits. Characters are counted against the
+ * character set in use, repeats and runs such as "aaa" or "123" count for
+ * little, and blocklisted words or personal details count as one guess each.
+ * @param {string} password - Password to estimate
+ * @param {Array<string>} [userInputs=[]] - Name, email and similar details
+ * @returns {number} Estimated entropy in bits
+ */
+export const estimatePasswordEntropy = (password, userInputs = []) => {
+  if (!password) return 0;
+
+  const lower = password.toLowerCase();
+  const texts = [lower, unsubstitute(lower)];
+  const mask = new Array(password.length).fill(false);
+  const wordCount = maskWords(texts, getPersonalWords(userInputs), mask)
+    + maskWords(texts, COMMON_WORDS, mask);
+
+  // Count the remaining characters, discounting repeats and runs
+  let effectiveLength = 0;
+  let previousDelta = null;
+  for (let i = 0; i < password.length; i += 1) {
+    if (mask[i]) {
+      previousDelta = null;
+      continue;
+    }
+
+    const delta = i > 0 && !mask[i - 1] ? lower.charCodeAt(i) - lower.charCodeAt(i - 1) : null;
+    const isRepeat = delta === 0;
+    const isRun = delta !== null && Math.abs(delta) === 1 && delta === previousDelta;
+    effectiveLength += isRepeat || isRun ? 0.25 : 1;
+    previousDelta = delta;
+  }
+
+  return effectiveLength * Math.log2(getCharsetSize(password) || 1) + wordCount * DICTIONARY_WORD_BITS;
+};
+
+/**
+ * Rates a password for the strength meter
+ * @param {string} password - Password to rate
+ * @param {Array<string>} [userInputs=[]] - Name, email and similar details
+ * @returns {{score: number, label: string, entropy: number}} Score from 0 to 4
+ */
+export const getPasswordStrength = (password, userInputs = []) => {
+  const entropy = estimatePasswordEntropy(password, userInputs);
+  const score = SCORE_THRESHOLDS.filter((threshold) => entropy >= threshold).length;
+
+  return { score, label: PASSWORD_STRENGTH_LABELS[score], entropy };
+};
+
+/**
+ * Message shown when a password breaks a rule
+ * @param {string} rule - Rule id, e.g. 'minLength' or 'common'
+ * @param {Object} [policy={}] - Overrides of PASSWORD_POLICY
+ * @returns {string} User-facing message
+ */
+export const getPasswordRuleMessage = (rule, policy = {}) => (
+  RULE_MESSAGES[rule]({ ...PASSWORD_POLICY, ...policy })
+);
+
+/**
+ * Checks a password against the policy
+ * @param {string} password - Password to check
+ * @param {Object} [options] - Check options
+ * @param {Array<string>} [options.userInputs=[]] - Name, email and similar details
+ * @param {Object} [options.policy={}] - Overrides of PASSWORD_POLICY
+ * @returns {{valid: boolean, failedRules: Array<string>, message: string, strength: Object}}
+ *   Broken rules in display order; message is the first one's text
+ */
+export const validatePassword = (password, { userInputs = [], policy = {} } = {}) => {
+  const rules = { ...PASSWORD_POLICY, ...policy };
+  const strength = getPasswordStrength(password, userInputs);
+  const failedRules = [];
+
+  if (!password) {
+    failedRules.push('required');
+  } else {
+    const lower = password.toLowerCase();
+
+    if (password.length < rules.minLength) failedRules.push('minLength');
+    if (password.length > rules.maxLength) failedRules.push('maxLength');
+    if (rules.requireLowercase && !/[a-z]/.test(password)) failedRules.push('lowercase');
+    if (rules.requireUppercase && !/[A-Z]/.test(password)) failedRules.push('uppercase');
+    if (rules.requireNumber && !/[0-9]/.test(password)) failedRules.push('number');
+    if (rules.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) failedRules.push('symbol');
+
+    // Also catch the usual suffixes, e.g. "P@ssw0rd2024!"
+    const withoutSuffix = lower.replace(/[^a-z]+$/, '');
+    const commonForms = [lower, unsubstitute(lower), withoutSuffix, unsubstitute(withoutSuffix)];
+    if (rules.blockCommonPasswords && commonForms.some((form) => COMMON_PASSWORDS.has(form))) {
+      failedRules.push('common');
+    }
+
+    if (rules.blockPersonalInfo) {
+      const forms = [lower, unsubstitute(lower)];
+      if (getPersonalWords(userInputs).some((word) => forms.some((form) => form.includes(word)))) {
+        failedRules.push('personalInfo');
+      }
+    }
+
+    if (strength.score < rules.minScore) failedRules.push('weak');
+  }
+
+  return {
+    valid: failedRules.length === 0,
+    failedRules,
+    message: failedRules.length ? RULE_MESSAGES[failedRules[0]](rules) : '',
+    strength
+  };
+};
+
+/**
+ * Whether a Firebase Auth error means the password was rejected by policy
+ * @param {Error} error - Error from Firebase Auth
+ * @returns {boolean} True for weak-password style errors
+ */
+export const isPasswordPolicyError = (error) => POLICY_ERROR_CODES.includes(error?.code);